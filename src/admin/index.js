@@ -0,0 +1,595 @@
+/**
+ * Admin Module
+ *
+ * Administrative HTTP endpoints under /admin/.
+ * Every request must be authenticated with AUTH_ADMIN_KEY (X-API-Key header)
+ * or a bearer token granting the "admin" scope.
+ */
+
+import { AuthConfig, Scopes, ROLE_SCOPES, getTokenId } from "../auth/index.js";
+import { authenticateAdmin } from "../auth/issuance.js";
+import {
+  RevocationType,
+  revoke,
+  unrevoke,
+  listRevocations,
+  findRevocation,
+} from "../auth/revocation.js";
+import {
+  listKeys,
+  generateKey,
+  promoteKey,
+  retireKey,
+} from "../auth/keyring.js";
+import {
+  listPermanentTokens,
+  createPermanentToken,
+  setPermanentTokenDisabled,
+} from "../auth/permanent-tokens.js";
+import {
+  listDocsUsers,
+  addDocsUser,
+  setDocsUserPassword,
+  setDocsUserRole,
+  removeDocsUser,
+  generatePassword,
+} from "../auth/docs-users.js";
+import {
+  destroyUserSessions,
+  destroySessionById,
+  getSessionStats,
+} from "../auth/docs-auth.js";
+import {
+  listLoginThrottles,
+  clearLoginThrottle,
+} from "../auth/login-throttle.js";
+import { queryLoginEvents } from "../auth/login-audit.js";
+import {
+  approvePairing,
+  listPairingRequests,
+  rejectPairing,
+} from "../pairing/index.js";
+import { roomRegistry } from "../rooms/index.js";
+
+const MAX_ADMIN_BODY_BYTES = 64 * 1024;
+
+/**
+ * Send a JSON response
+ */
+function respond(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @returns {Promise<Object>} Parsed body (empty object for an empty body)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+      if (raw.length > MAX_ADMIN_BODY_BYTES) {
+        reject(new Error("Payload too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(raw || "{}"));
+      } catch (_) {
+        reject(new Error("Invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Close every live socket whose token is now revoked
+ * @param {Object} context - {rooms, controlRooms}
+ * @returns {number} Number of sockets closed
+ */
+export function disconnectRevokedSockets(context) {
+  let closed = 0;
+
+  for (const roomMap of [context.rooms, context.controlRooms]) {
+    if (!roomMap) continue;
+    for (const clients of roomMap.values()) {
+      for (const socket of clients) {
+        const revocation = findRevocation(socket.authPayload);
+        if (revocation) {
+          try {
+            socket.close(AuthConfig.ERRORS.TOKEN_REVOKED, "Token revoked");
+          } catch (_) {
+            /* socket already closing */
+          }
+          closed++;
+        }
+      }
+    }
+  }
+
+  return closed;
+}
+
+/**
+ * Close every live socket authenticated with a given permanent token
+ * @param {Object} context - {rooms, controlRooms}
+ * @param {string} id - Permanent token id
+ * @returns {number} Number of sockets closed
+ */
+function disconnectPermanentTokenSockets(context, id) {
+  let closed = 0;
+
+  for (const roomMap of [context.rooms, context.controlRooms]) {
+    if (!roomMap) continue;
+    for (const clients of roomMap.values()) {
+      for (const socket of clients) {
+        if (socket.authPayload?.metadata?.permanentTokenId === id) {
+          try {
+            socket.close(AuthConfig.ERRORS.TOKEN_REVOKED, "Token disabled");
+          } catch (_) {
+            /* socket already closing */
+          }
+          closed++;
+        }
+      }
+    }
+  }
+
+  return closed;
+}
+
+/**
+ * POST /admin/revocations
+ * Body: {tokenId} | {token} | {clientId}, plus optional reason
+ */
+async function handleRevoke(req, res, context, admin) {
+  const body = await readJsonBody(req);
+
+  let type;
+  let value;
+  if (body.clientId) {
+    type = RevocationType.CLIENT;
+    value = body.clientId;
+  } else if (body.tokenId) {
+    type = RevocationType.TOKEN;
+    value = body.tokenId;
+  } else if (body.token) {
+    // Decode without verifying: expired tokens still need to resolve to an id
+    let payload = null;
+    try {
+      const parts = String(body.token).split(".");
+      // JWTs carry the payload in the second segment (jti becomes tokenId)
+      const segment = parts.length === 3 ? parts[1] : parts[0];
+      const claims = JSON.parse(Buffer.from(segment, "base64url").toString());
+      payload = { tokenId: claims.tokenId || claims.jti };
+    } catch (_) {
+      /* fall back to the hash-based id */
+    }
+    type = RevocationType.TOKEN;
+    value = getTokenId(body.token, payload);
+  } else {
+    respond(res, 400, {
+      error: "One of tokenId, token or clientId is required",
+    });
+    return;
+  }
+
+  const entry = revoke(type, value, {
+    reason: body.reason,
+    revokedBy: admin.name,
+  });
+  const closedConnections = disconnectRevokedSockets(context);
+
+  respond(res, 201, { revocation: entry, closedConnections });
+}
+
+/**
+ * POST /admin/permanent-tokens
+ * Body: {id, clientId?, role, rooms, scopes?, description?}
+ */
+async function handleCreatePermanentToken(req, res, admin) {
+  const body = await readJsonBody(req);
+
+  if (!body.role || !ROLE_SCOPES[body.role]) {
+    respond(res, 400, {
+      error: `role must be one of: ${Object.keys(ROLE_SCOPES).join(", ")}`,
+    });
+    return;
+  }
+  if (body.scopes !== undefined) {
+    const knownScopes = Object.values(Scopes);
+    if (
+      !Array.isArray(body.scopes) ||
+      body.scopes.some((scope) => !knownScopes.includes(scope))
+    ) {
+      respond(res, 400, { error: "scopes must be an array of known scopes" });
+      return;
+    }
+  }
+
+  const { token, entry } = createPermanentToken(
+    {
+      id: body.id,
+      clientId: body.clientId,
+      role: body.role,
+      rooms: body.rooms,
+      scopes: body.scopes,
+      description: body.description,
+    },
+    admin.name
+  );
+
+  // The token value is only ever returned here
+  respond(res, 201, { token, permanentToken: entry });
+}
+
+/**
+ * POST /admin/docs-users
+ * Body: {email, role, password?} - a password is generated when omitted
+ */
+async function handleCreateDocsUser(req, res, admin) {
+  const body = await readJsonBody(req);
+  const password = body.password || generatePassword();
+
+  const user = await addDocsUser(
+    { email: body.email, role: body.role, password },
+    admin.name
+  );
+
+  // A generated password is only ever returned here
+  respond(res, 201, {
+    user,
+    ...(body.password ? {} : { password }),
+  });
+}
+
+/**
+ * POST /admin/docs-users/:email/password
+ * Body: {password?} - a password is generated when omitted
+ */
+async function handleResetDocsUserPassword(req, res, email) {
+  const body = await readJsonBody(req);
+  const password = body.password || generatePassword();
+
+  const user = await setDocsUserPassword(email, password);
+  if (!user) {
+    respond(res, 404, { error: "Docs user not found" });
+    return;
+  }
+  const destroyedSessions = await destroyUserSessions(user.email);
+
+  respond(res, 200, {
+    user,
+    destroyedSessions,
+    ...(body.password ? {} : { password }),
+  });
+}
+
+/**
+ * POST /admin/pairing/:code/approve
+ * Body: {clientId, room, metadata: {role, ...}, expiresIn?}
+ */
+async function handleApprovePairing(req, res, code, admin) {
+  const body = await readJsonBody(req);
+  const result = approvePairing(code, body, admin);
+
+  if (!result) {
+    respond(res, 404, { error: "Pairing code not found" });
+    return;
+  }
+  if (!result.allowed) {
+    respond(res, result.status, { error: result.error, ...result.details });
+    return;
+  }
+
+  respond(res, 200, {
+    pairing: result.pairing,
+    tokenId: result.payload.tokenId,
+    clientId: result.payload.clientId,
+    room: result.payload.room,
+    expiresAt: new Date(result.payload.expiresAt).toISOString(),
+  });
+}
+
+/**
+ * Handle an admin HTTP request
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Object} context - {rooms, controlRooms, wss}
+ */
+export async function handleAdminRequest(req, res, context) {
+  const admin = authenticateAdmin(req);
+  if (!admin) {
+    res.writeHead(401, {
+      "Content-Type": "application/json",
+      "WWW-Authenticate": "Bearer",
+    });
+    res.end(
+      JSON.stringify({
+        error:
+          "Admin credential required. Include X-API-Key or Authorization: Bearer <admin token>",
+      })
+    );
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const pathname = url.pathname.replace(/\/+$/, "");
+
+  try {
+    // Token revocation list
+    if (pathname === "/admin/revocations") {
+      if (req.method === "GET") {
+        respond(res, 200, { revocations: listRevocations() });
+        return;
+      }
+      if (req.method === "POST") {
+        await handleRevoke(req, res, context, admin);
+        return;
+      }
+    }
+
+    const unrevokeMatch = pathname.match(
+      /^\/admin\/revocations\/(token|client)\/([^/]+)$/
+    );
+    if (unrevokeMatch && req.method === "DELETE") {
+      const value = decodeURIComponent(unrevokeMatch[2]);
+      if (!unrevoke(unrevokeMatch[1], value)) {
+        respond(res, 404, { error: "Revocation not found" });
+        return;
+      }
+      respond(res, 200, { success: true, type: unrevokeMatch[1], value });
+      return;
+    }
+
+    // Signing keyring
+    if (pathname === "/admin/keys") {
+      if (req.method === "GET") {
+        respond(res, 200, { keys: listKeys() });
+        return;
+      }
+      if (req.method === "POST") {
+        const body = await readJsonBody(req);
+        let key = generateKey(body.kid);
+        if (body.promote) {
+          key = promoteKey(key.kid);
+        }
+        respond(res, 201, { key });
+        return;
+      }
+    }
+
+    const promoteMatch = pathname.match(/^\/admin\/keys\/([^/]+)\/promote$/);
+    if (promoteMatch && req.method === "POST") {
+      respond(res, 200, {
+        key: promoteKey(decodeURIComponent(promoteMatch[1])),
+      });
+      return;
+    }
+
+    const keyMatch = pathname.match(/^\/admin\/keys\/([^/]+)$/);
+    if (keyMatch && req.method === "DELETE") {
+      respond(res, 200, { key: retireKey(decodeURIComponent(keyMatch[1])) });
+      return;
+    }
+
+    // Permanent token registry
+    if (pathname === "/admin/permanent-tokens") {
+      if (req.method === "GET") {
+        respond(res, 200, { permanentTokens: listPermanentTokens() });
+        return;
+      }
+      if (req.method === "POST") {
+        await handleCreatePermanentToken(req, res, admin);
+        return;
+      }
+    }
+
+    const permanentMatch = pathname.match(
+      /^\/admin\/permanent-tokens\/([^/]+)\/(enable|disable)$/
+    );
+    if (permanentMatch && req.method === "POST") {
+      const entry = setPermanentTokenDisabled(
+        decodeURIComponent(permanentMatch[1]),
+        permanentMatch[2] === "disable"
+      );
+      if (!entry) {
+        respond(res, 404, { error: "Permanent token not found" });
+        return;
+      }
+      if (entry.disabled) {
+        // Disabled tokens no longer verify: drop sockets still using them
+        disconnectPermanentTokenSockets(context, entry.id);
+      }
+      respond(res, 200, { permanentToken: entry });
+      return;
+    }
+
+    // Docs portal users
+    if (pathname === "/admin/docs-users") {
+      if (req.method === "GET") {
+        respond(res, 200, { users: listDocsUsers() });
+        return;
+      }
+      if (req.method === "POST") {
+        await handleCreateDocsUser(req, res, admin);
+        return;
+      }
+    }
+
+    const docsUserMatch = pathname.match(
+      /^\/admin\/docs-users\/([^/]+)(?:\/(password|role))?$/
+    );
+    if (docsUserMatch) {
+      const email = decodeURIComponent(docsUserMatch[1]);
+      const action = docsUserMatch[2];
+
+      if (action === "password" && req.method === "POST") {
+        await handleResetDocsUserPassword(req, res, email);
+        return;
+      }
+      if (action === "role" && req.method === "POST") {
+        const body = await readJsonBody(req);
+        const user = setDocsUserRole(email, body.role);
+        if (!user) {
+          respond(res, 404, { error: "Docs user not found" });
+          return;
+        }
+        respond(res, 200, { user });
+        return;
+      }
+      if (!action && req.method === "DELETE") {
+        if (!removeDocsUser(email)) {
+          respond(res, 404, { error: "Docs user not found" });
+          return;
+        }
+        await destroyUserSessions(email);
+        respond(res, 200, { success: true, email });
+        return;
+      }
+    }
+
+    // Docs portal sessions
+    if (pathname === "/admin/docs-sessions" && req.method === "GET") {
+      respond(
+        res,
+        200,
+        await getSessionStats(url.searchParams.get("email") || null)
+      );
+      return;
+    }
+
+    const docsSessionMatch = pathname.match(
+      /^\/admin\/docs-sessions\/([^/]+)$/
+    );
+    if (docsSessionMatch && req.method === "DELETE") {
+      if (!(await destroySessionById(docsSessionMatch[1]))) {
+        respond(res, 404, { error: "Session not found" });
+        return;
+      }
+      respond(res, 200, { success: true, id: docsSessionMatch[1] });
+      return;
+    }
+
+    // Docs login audit trail and lockouts
+    if (pathname === "/admin/docs-login/audit" && req.method === "GET") {
+      respond(res, 200, {
+        events: queryLoginEvents({
+          event: url.searchParams.get("event"),
+          account: url.searchParams.get("account"),
+          ip: url.searchParams.get("ip"),
+          since: url.searchParams.get("since"),
+          limit: url.searchParams.get("limit"),
+        }),
+      });
+      return;
+    }
+
+    if (pathname === "/admin/docs-login/lockouts" && req.method === "GET") {
+      respond(res, 200, { lockouts: listLoginThrottles() });
+      return;
+    }
+
+    const lockoutMatch = pathname.match(
+      /^\/admin\/docs-login\/lockouts\/(ip|account)\/([^/]+)$/
+    );
+    if (lockoutMatch && req.method === "DELETE") {
+      const value = decodeURIComponent(lockoutMatch[2]);
+      if (!clearLoginThrottle(lockoutMatch[1], value)) {
+        respond(res, 404, { error: "No failures recorded for this key" });
+        return;
+      }
+      console.log(
+        `🔓 Docs login ${lockoutMatch[1]} ${value} unlocked by ${admin.name}`
+      );
+      respond(res, 200, { success: true, scope: lockoutMatch[1], value });
+      return;
+    }
+
+    // Device pairing (see src/pairing)
+    if (pathname === "/admin/pairing" && req.method === "GET") {
+      respond(res, 200, { pairings: listPairingRequests() });
+      return;
+    }
+
+    const pairingMatch = pathname.match(
+      /^\/admin\/pairing\/([A-Za-z0-9-]+)(\/approve)?$/
+    );
+    if (pairingMatch && pairingMatch[2] && req.method === "POST") {
+      await handleApprovePairing(req, res, pairingMatch[1], admin);
+      return;
+    }
+    if (pairingMatch && !pairingMatch[2] && req.method === "DELETE") {
+      if (!rejectPairing(pairingMatch[1], admin)) {
+        respond(res, 404, { error: "Pairing code not found" });
+        return;
+      }
+      respond(res, 200, { success: true, code: pairingMatch[1] });
+      return;
+    }
+
+    // Room handlers and hot reload (see src/rooms/index.js)
+    if (pathname === "/admin/rooms" && req.method === "GET") {
+      respond(res, 200, {
+        policy: roomRegistry.getRoomPolicy(),
+        rooms: roomRegistry.getRegisteredRooms().map((room) => ({
+          room,
+          handler: roomRegistry.getHandlerName(room),
+          handlerClass: roomRegistry.getHandler(room).constructor.name,
+          configured: roomRegistry.roomConfigs.has(room),
+          plugins: (roomRegistry.getHandler(room).pipeline || []).map(
+            (plugin) => plugin.name
+          ),
+          connections: context.rooms.get(room)?.size || 0,
+          controlConnections: context.controlRooms.get(room)?.size || 0,
+        })),
+      });
+      return;
+    }
+
+    if (pathname === "/admin/rooms/reload" && req.method === "POST") {
+      console.log(`🔄 Room handler reload requested by ${admin.name}`);
+      const results = await roomRegistry.reloadHandlers();
+      respond(res, results.some((result) => result.error) ? 500 : 200, {
+        results,
+      });
+      return;
+    }
+
+    const roomReloadMatch = pathname.match(/^\/admin\/rooms\/([^/]+)\/reload$/);
+    if (roomReloadMatch && req.method === "POST") {
+      const room = decodeURIComponent(roomReloadMatch[1]);
+      const name = roomRegistry.getHandlerName(room);
+      if (!name) {
+        respond(res, 404, { error: "Room has no registered handler", room });
+        return;
+      }
+      if (!roomRegistry.handlerModules.has(name)) {
+        respond(res, 400, { error: `Handler "${name}" cannot be reloaded` });
+        return;
+      }
+      console.log(`🔄 Reload of room ${room} requested by ${admin.name}`);
+      const [result] = await roomRegistry.reloadHandlers([name]);
+      respond(res, result.error ? 500 : 200, result);
+      return;
+    }
+
+    respond(res, 404, { error: "Not found" });
+  } catch (err) {
+    console.error("Admin request failed:", err);
+    respond(res, 400, { error: err.message });
+  }
+}
+
+/**
+ * Check if request is for an admin endpoint
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {boolean} True if this is an admin request
+ */
+export function isAdminRequest(req) {
+  return req.url === "/admin" || req.url.startsWith("/admin/");
+}
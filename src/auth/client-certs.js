@@ -0,0 +1,233 @@
+/**
+ * Client Certificate Authentication (mutual TLS)
+ *
+ * For venues that forbid bearer tokens in URLs, the server can terminate TLS
+ * itself and authenticate WebSocket clients by their client certificate
+ * instead. Certificates must be signed by the CA in TLS_CLIENT_CA_FILE; a
+ * mapping (AUTH_CLIENT_CERTS_FILE or AUTH_CLIENT_CERTS) then turns the
+ * certificate's subject CN, a subjectAltName entry or its fingerprint into a
+ * clientId, rooms and role. The result is an auth payload shaped like a
+ * token's, so room handlers see no difference.
+ *
+ * A certificate is revoked by revoking its token id: the SHA-256 fingerprint
+ * in lowercase hex without colons.
+ */
+
+import { readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { ROLE_SCOPES, resolveScopes, roomMatches } from "./index.js";
+import { findRevocation } from "./revocation.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let rules = null;
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function mappingFile() {
+  return (
+    process.env.AUTH_CLIENT_CERTS_FILE ||
+    join(__dirname, "..", "..", "data", "client-certs.json")
+  );
+}
+
+function normalizeFingerprint(fingerprint) {
+  return String(fingerprint || "")
+    .replace(/:/g, "")
+    .toLowerCase();
+}
+
+function addRule(definition) {
+  if (!definition.subject && !definition.san && !definition.fingerprint) {
+    console.warn(
+      "Skipping client certificate rule without subject/san/fingerprint"
+    );
+    return;
+  }
+  if (!Array.isArray(definition.rooms) || definition.rooms.length === 0) {
+    console.warn("Skipping client certificate rule without rooms");
+    return;
+  }
+  // Without either, resolveScopes would grant the legacy full access
+  if (!Array.isArray(definition.scopes) && !ROLE_SCOPES[definition.role]) {
+    console.warn(
+      "Skipping client certificate rule without scopes or a known role"
+    );
+    return;
+  }
+  rules.push({
+    ...definition,
+    fingerprint: definition.fingerprint
+      ? normalizeFingerprint(definition.fingerprint)
+      : null,
+  });
+}
+
+/**
+ * Load the certificate mapping on first use (missing file means no rules)
+ */
+function ensureLoaded() {
+  if (rules) return;
+  rules = [];
+
+  try {
+    const config = JSON.parse(readFileSync(mappingFile(), "utf-8"));
+    for (const definition of config.certificates || []) {
+      addRule(definition);
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(
+        "❌ Could not load client certificate mapping:",
+        err.message
+      );
+    }
+  }
+
+  if (process.env.AUTH_CLIENT_CERTS) {
+    try {
+      for (const definition of JSON.parse(process.env.AUTH_CLIENT_CERTS)) {
+        addRule(definition);
+      }
+    } catch (err) {
+      console.error("❌ AUTH_CLIENT_CERTS is not valid JSON:", err.message);
+    }
+  }
+
+  if (rules.length) {
+    console.log(`✅ Loaded ${rules.length} client certificate rule(s)`);
+  }
+}
+
+/**
+ * Parse "DNS:a, URI:b, email:c" into ["DNS:a", "URI:b", "email:c"]
+ */
+function parseSubjectAltNames(cert) {
+  return (cert.subjectaltname || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find the first rule matching a certificate
+ * subject and san accept `*` wildcards (e.g. "screen-*.venue.example")
+ */
+function findRule(cert) {
+  ensureLoaded();
+  const commonName = cert.subject?.CN;
+  const altNames = parseSubjectAltNames(cert);
+  const fingerprint = normalizeFingerprint(cert.fingerprint256);
+
+  return (
+    rules.find((rule) => {
+      if (rule.fingerprint) {
+        return rule.fingerprint === fingerprint;
+      }
+      if (rule.subject) {
+        return roomMatches(rule.subject, commonName);
+      }
+      return altNames.some((name) => roomMatches(rule.san, name));
+    }) || null
+  );
+}
+
+/**
+ * TLS options for the HTTP server, or null to serve plain HTTP
+ * TLS_CERT_FILE + TLS_KEY_FILE enable TLS; TLS_CLIENT_CA_FILE additionally
+ * asks clients for a certificate. Clients without one can still use tokens
+ * unless TLS_CLIENT_CERT_REQUIRED=true.
+ * @returns {Object|null} Options for https.createServer
+ */
+export function getTlsServerOptions() {
+  const certFile = process.env.TLS_CERT_FILE;
+  const keyFile = process.env.TLS_KEY_FILE;
+  if (!certFile || !keyFile) {
+    return null;
+  }
+
+  const options = {
+    cert: readFileSync(certFile),
+    key: readFileSync(keyFile),
+  };
+
+  const caFile = process.env.TLS_CLIENT_CA_FILE;
+  if (caFile) {
+    options.ca = readFileSync(caFile);
+    options.requestCert = true;
+    // Unverified certificates are rejected per request (see verifyClientCertificate)
+    options.rejectUnauthorized =
+      process.env.TLS_CLIENT_CERT_REQUIRED === "true";
+  }
+
+  return options;
+}
+
+/**
+ * Get the client certificate of a request, if one was presented
+ * @param {Object} req - HTTP request
+ * @returns {Object|null} Peer certificate (tls.PeerCertificate)
+ */
+export function getClientCertificate(req) {
+  const socket = req.socket;
+  if (!socket?.encrypted || typeof socket.getPeerCertificate !== "function") {
+    return null;
+  }
+  const cert = socket.getPeerCertificate();
+  return cert && Object.keys(cert).length ? cert : null;
+}
+
+/**
+ * Authenticate a request by its client certificate
+ * @param {Object} req - HTTP request (WebSocket upgrade)
+ * @returns {Object|null} Auth payload like verifyAuthToken's, or null
+ */
+export function verifyClientCertificate(req) {
+  const cert = getClientCertificate(req);
+  if (!cert) {
+    return null;
+  }
+
+  const commonName = cert.subject?.CN || "(no CN)";
+  if (!req.socket.authorized) {
+    console.warn(
+      `Client certificate rejected for ${commonName}: ${req.socket.authorizationError}`
+    );
+    return null;
+  }
+
+  const rule = findRule(cert);
+  if (!rule) {
+    console.warn(`No client certificate rule matches ${commonName}`);
+    return null;
+  }
+
+  const fingerprint = normalizeFingerprint(cert.fingerprint256);
+  const payload = {
+    format: "certificate",
+    tokenId: fingerprint,
+    clientId: rule.clientId || cert.subject?.CN || fingerprint,
+    room: rule.rooms[0],
+    rooms: rule.rooms,
+    expiresAt: Date.parse(cert.valid_to),
+    metadata: {
+      ...(rule.metadata || {}),
+      role: rule.role || null,
+      description: rule.description || "",
+      certificateSubject: cert.subject?.CN || null,
+      certificateFingerprint: fingerprint,
+    },
+    issuedAt: Date.parse(cert.valid_from),
+  };
+  payload.scopes = rule.scopes || resolveScopes(payload);
+
+  const revocation = findRevocation(payload);
+  if (revocation) {
+    console.warn(
+      `Client certificate revoked (${revocation.type}: ${revocation.value}) for ${payload.clientId}`
+    );
+    return null;
+  }
+
+  return payload;
+}
@@ -2,59 +2,70 @@
  * Documentation Authentication Module
  *
  * Provides session-based authentication for protected documentation routes.
- * Uses email/password validation with session tokens.
- * Email is stored hashed for security.
+ * Users and their roles live in the docs user store (docs-users.js); a
+ * successful login creates a session token carrying the user's role.
  */
 
 import crypto from "crypto";
-
-// In-memory session storage (use Redis in production)
-const sessions = new Map();
+import {
+  DocsRoles,
+  docsRoleAllows,
+  findDocsUser,
+  verifyDocsUser,
+} from "./docs-users.js";
+import {
+  beginLoginAttempt,
+  endLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "./login-throttle.js";
+import { LoginEvent, recordLoginEvent } from "./login-audit.js";
+import { createSessionStore } from "./session-store.js";
+
+// Session storage (memory or file, see session-store.js)
+let store = null;
 
 // Session configuration
-const SESSION_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_IDLE_TIMEOUT = 8 * 60 * 60 * 1000; // 8 hours without activity
+const DEFAULT_MAX_LIFETIME = 7 * 24 * 60 * 60 * 1000; // 7 days at most
 const SESSION_CLEANUP_INTERVAL = 60 * 60 * 1000; // Clean up every hour
+const ACTIVITY_RESOLUTION = 60 * 1000; // Record activity at most once a minute
 
-/**
- * Hash an email address using SHA-256
- * This allows storing email hashes instead of plain text
- */
-function hashEmail(email) {
-  return crypto
-    .createHash("sha256")
-    .update(email.toLowerCase().trim())
-    .digest("hex");
+// Resolved lazily: importers load .env after their imports are evaluated
+function getStore() {
+  if (!store) {
+    store = createSessionStore();
+  }
+  return store;
+}
+
+function getIdleTimeoutMs() {
+  return parseInt(
+    process.env.DOCS_SESSION_IDLE_MS || `${DEFAULT_IDLE_TIMEOUT}`,
+    10
+  );
+}
+
+function getMaxLifetimeMs() {
+  return parseInt(
+    process.env.DOCS_SESSION_MAX_MS || `${DEFAULT_MAX_LIFETIME}`,
+    10
+  );
 }
 
 /**
- * Hash a password using SHA-256
- * This allows storing password hashes instead of plain text
+ * Replace the session store (e.g. with a shared backend)
+ * @param {Object} customStore - Store implementing get/set/delete/list
  */
-function hashPassword(password) {
-  return crypto.createHash("sha256").update(password.trim()).digest("hex");
+export function setSessionStore(customStore) {
+  store = customStore;
 }
 
 /**
- * Get documentation credentials from environment
- * Returns the hashed email and password for comparison
+ * Cookie lifetime for docs sessions, in seconds
  */
-export function getDocsCredentials() {
-  // If DOCS_EMAIL_HASH is provided, use it directly
-  // Otherwise, hash the DOCS_EMAIL
-  const emailHash =
-    process.env.DOCS_EMAIL_HASH ||
-    hashEmail(process.env.DOCS_EMAIL || "admin@radiows.local");
-
-  // If DOCS_PASSWORD_HASH is provided, use it directly
-  // Otherwise, hash the DOCS_PASSWORD
-  const passwordHash =
-    process.env.DOCS_PASSWORD_HASH ||
-    hashPassword(process.env.DOCS_PASSWORD || "admin123");
-
-  return {
-    emailHash: emailHash,
-    passwordHash: passwordHash,
-  };
+export function getSessionCookieMaxAge() {
+  return Math.floor(getMaxLifetimeMs() / 1000);
 }
 
 /**
@@ -72,24 +83,51 @@ function generateSessionToken() {
   return crypto.randomBytes(32).toString("hex");
 }
 
+/**
+ * Session id for a token: stores never see the token itself
+ */
+function sessionIdFor(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Sliding expiry: idle timeout after the last activity, capped by the
+ * maximum lifetime
+ */
+function computeExpiry(session) {
+  return Math.min(
+    session.lastActivity + getIdleTimeoutMs(),
+    session.createdAt + getMaxLifetimeMs()
+  );
+}
+
 /**
  * Create a new session
+ * @param {Object} user - {email, role}
+ * @param {Object} context - {clientAddress, userAgent}
+ * @returns {Promise<string>} Session token
  */
-export function createSession(email) {
+export async function createSession(user, context = {}) {
   const token = generateSessionToken();
-  const expiresAt = Date.now() + SESSION_DURATION;
+  const now = Date.now();
+  const { email, role } = user;
 
-  sessions.set(token, {
+  const session = {
+    id: sessionIdFor(token),
     email,
-    createdAt: Date.now(),
-    expiresAt,
-    lastActivity: Date.now(),
-  });
+    role,
+    ip: context.clientAddress || null,
+    userAgent: context.userAgent || null,
+    createdAt: now,
+    lastActivity: now,
+  };
+  session.expiresAt = computeExpiry(session);
+  await getStore().set(session.id, session);
 
   console.log(
     `✅ Session created for ${email}, expires at ${new Date(
-      expiresAt
-    ).toISOString()}`
+      session.expiresAt
+    ).toISOString()} unless renewed by activity`
   );
 
   return token;
@@ -97,53 +135,104 @@ export function createSession(email) {
 
 /**
  * Validate a session token
+ * Activity extends the session up to its maximum lifetime.
+ * @returns {Promise<Object|null>} Session or null
  */
-export function validateSession(token) {
+export async function validateSession(token) {
   if (!token) {
     return null;
   }
 
-  const session = sessions.get(token);
+  const id = sessionIdFor(token);
+  const session = await getStore().get(id);
 
   if (!session) {
     return null;
   }
 
   // Check if session expired
-  if (Date.now() > session.expiresAt) {
-    sessions.delete(token);
+  const now = Date.now();
+  if (now > computeExpiry(session)) {
+    await getStore().delete(id);
     console.log(`⏰ Session expired and removed`);
     return null;
   }
 
-  // Update last activity
-  session.lastActivity = Date.now();
+  // Removed users lose access immediately; role changes apply right away
+  const user = findDocsUser(session.email);
+  if (!user) {
+    await getStore().delete(id);
+    return null;
+  }
+
+  if (
+    session.role !== user.role ||
+    now - session.lastActivity >= ACTIVITY_RESOLUTION
+  ) {
+    session.role = user.role;
+    session.lastActivity = now;
+    session.expiresAt = computeExpiry(session);
+    await getStore().set(id, session);
+  }
 
   return session;
 }
 
 /**
  * Destroy a session
+ * @param {string} token - Session token
  */
-export function destroySession(token) {
-  if (sessions.has(token)) {
-    sessions.delete(token);
+export async function destroySession(token) {
+  if (await getStore().delete(sessionIdFor(token))) {
     console.log(`🗑️  Session destroyed`);
     return true;
   }
   return false;
 }
 
+/**
+ * Destroy a session by id (admin revocation)
+ * @param {string} id - Session id
+ * @returns {Promise<boolean>} True if the session existed
+ */
+export async function destroySessionById(id) {
+  if (await getStore().delete(id)) {
+    console.log(`🗑️  Session ${id.slice(0, 8)}… revoked`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Destroy every session of a user (after a password reset or removal)
+ * @param {string} email - User email
+ * @returns {Promise<number>} Number of sessions destroyed
+ */
+export async function destroyUserSessions(email) {
+  const normalized = String(email).toLowerCase().trim();
+  let destroyed = 0;
+  for (const session of await getStore().list()) {
+    if (session.email === normalized) {
+      await getStore().delete(session.id);
+      destroyed++;
+    }
+  }
+  if (destroyed > 0) {
+    console.log(`🗑️  Destroyed ${destroyed} session(s) of ${normalized}`);
+  }
+  return destroyed;
+}
+
 /**
  * Clean up expired sessions
  */
-function cleanupExpiredSessions() {
+async function cleanupExpiredSessions() {
   const now = Date.now();
   let cleanedCount = 0;
 
-  for (const [token, session] of sessions.entries()) {
-    if (now > session.expiresAt) {
-      sessions.delete(token);
+  for (const session of await getStore().list()) {
+    if (now > computeExpiry(session)) {
+      await getStore().delete(session.id);
       cleanedCount++;
     }
   }
@@ -154,13 +243,22 @@ function cleanupExpiredSessions() {
 }
 
 // Start periodic cleanup
-setInterval(cleanupExpiredSessions, SESSION_CLEANUP_INTERVAL);
+setInterval(() => {
+  cleanupExpiredSessions().catch((err) =>
+    console.error("Session cleanup failed:", err)
+  );
+}, SESSION_CLEANUP_INTERVAL).unref();
 
 /**
- * Authenticate user credentials
- * User provides plain text email and password, but comparison is against hashed values
+ * Authenticate user credentials against the docs user store
+ * Attempts are throttled per IP and per account, and every outcome is
+ * written to the login audit trail.
+ * @param {string} email - Submitted email
+ * @param {string} password - Submitted password
+ * @param {Object} context - {clientAddress, userAgent}
+ * @returns {Promise<Object>} {success, message, token, role} or {success: false, status, message, retryAfterMs}
  */
-export function authenticateDocsUser(email, password) {
+export async function authenticateDocsUser(email, password, context = {}) {
   if (!email || !password) {
     return { success: false, message: "Email and password are required" };
   }
@@ -170,55 +268,121 @@ export function authenticateDocsUser(email, password) {
     return { success: false, message: "Invalid email format" };
   }
 
-  // Get credentials from environment (emailHash and passwordHash)
-  const credentials = getDocsCredentials();
-
-  // Hash the provided email and password for comparison
-  const providedEmailHash = hashEmail(email);
-  const providedPasswordHash = hashPassword(password);
+  const audit = {
+    email,
+    knownUser: Boolean(findDocsUser(email)),
+    clientAddress: context.clientAddress,
+    userAgent: context.userAgent,
+  };
 
-  // Check credentials (compare hashes with hashes)
-  if (
-    providedEmailHash === credentials.emailHash &&
-    providedPasswordHash === credentials.passwordHash
-  ) {
-    const token = createSession(email);
+  const throttle = beginLoginAttempt(context.clientAddress, email);
+  if (!throttle.allowed) {
+    recordLoginEvent({
+      ...audit,
+      event: LoginEvent.THROTTLED,
+      reason: `${throttle.scope} ${throttle.reason}`,
+    });
     return {
-      success: true,
-      message: "Login successful",
-      token,
+      success: false,
+      status: 429,
+      message: "Too many failed login attempts. Try again later.",
+      retryAfterMs: throttle.retryAfterMs,
     };
   }
 
-  console.log(`❌ Failed login attempt for email: ${email}`);
-  return { success: false, message: "Invalid credentials" };
+  // The attempt stays reserved until its outcome is recorded
+  try {
+    const user = await verifyDocsUser(email, password);
+    if (user) {
+      recordLoginSuccess(email);
+      recordLoginEvent({
+        ...audit,
+        event: LoginEvent.SUCCESS,
+        role: user.role,
+      });
+      const token = await createSession(user, context);
+      return {
+        success: true,
+        message: "Login successful",
+        token,
+        role: user.role,
+      };
+    }
+
+    const entry = recordLoginEvent({
+      ...audit,
+      event: LoginEvent.FAILURE,
+      reason: "invalid credentials",
+    });
+    console.log(
+      `❌ Failed docs login for ${entry.account} from ${context.clientAddress}`
+    );
+
+    for (const locked of recordLoginFailure(context.clientAddress, email)) {
+      recordLoginEvent({
+        ...audit,
+        event: LoginEvent.LOCKED,
+        reason: `${locked.scope} locked until ${new Date(
+          locked.lockedUntil
+        ).toISOString()}`,
+      });
+      console.warn(
+        `🔒 Docs login locked for ${locked.scope} ${
+          locked.scope === "account" ? entry.account : locked.value
+        } until ${new Date(locked.lockedUntil).toISOString()}`
+      );
+    }
+
+    return { success: false, status: 401, message: "Invalid credentials" };
+  } finally {
+    endLoginAttempt(context.clientAddress, email);
+  }
 }
 
 /**
- * Middleware to protect routes
- * Checks for valid session token in cookies or Authorization header
+ * Get the docs session token from the Authorization header or cookie
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {string|null}
  */
-export function requireDocsAuth(req, res, next) {
+function getSessionToken(req) {
   // Check for token in Authorization header
-  let token = null;
   const authHeader = req.headers.authorization;
-
   if (authHeader && authHeader.startsWith("Bearer ")) {
-    token = authHeader.substring(7);
+    return authHeader.substring(7);
   }
 
   // Check for token in cookies
-  if (!token && req.headers.cookie) {
-    const cookies = parseCookies(req.headers.cookie);
-    token = cookies.docs_auth_token;
+  if (req.headers.cookie) {
+    return parseCookies(req.headers.cookie).docs_auth_token || null;
   }
+  return null;
+}
 
+/**
+ * Middleware to protect routes
+ * Checks for valid session token in cookies or Authorization header
+ * @param {string} requiredRole - Minimum docs role (default viewer)
+ */
+export async function requireDocsAuth(
+  req,
+  res,
+  next,
+  requiredRole = DocsRoles.VIEWER
+) {
   // Validate session
-  const session = validateSession(token);
-
-  if (session) {
+  const session = await validateSession(getSessionToken(req));
+
+  if (session && !docsRoleAllows(session.role, requiredRole)) {
+    res.writeHead(403, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        error: "Forbidden",
+        message: `This resource requires the ${requiredRole} role`,
+      })
+    );
+  } else if (session) {
     req.docsUser = session;
-    next();
+    await next();
   } else {
     // Redirect to login page for browser requests
     if (req.headers.accept && req.headers.accept.includes("text/html")) {
@@ -254,17 +418,37 @@ function parseCookies(cookieHeader) {
   return cookies;
 }
 
+/**
+ * Public view of a session (the id can revoke it, but never log in)
+ */
+function describeSession(session) {
+  return {
+    id: session.id,
+    email: session.email,
+    role: session.role,
+    ip: session.ip || null,
+    userAgent: session.userAgent || null,
+    createdAt: new Date(session.createdAt).toISOString(),
+    expiresAt: new Date(computeExpiry(session)).toISOString(),
+    lastActivity: new Date(session.lastActivity).toISOString(),
+  };
+}
+
 /**
  * Get session statistics
+ * @param {string|null} email - Only include this user's sessions
+ * @returns {Promise<Object>} {activeSessions, sessions}
  */
-export function getSessionStats() {
+export async function getSessionStats(email = null) {
+  const now = Date.now();
+  const sessions = (await getStore().list())
+    .filter((session) => now <= computeExpiry(session))
+    .filter((session) => !email || session.email === email)
+    .sort((a, b) => b.lastActivity - a.lastActivity)
+    .map(describeSession);
+
   return {
-    activeSessions: sessions.size,
-    sessions: Array.from(sessions.entries()).map(([token, session]) => ({
-      email: session.email,
-      createdAt: new Date(session.createdAt).toISOString(),
-      expiresAt: new Date(session.expiresAt).toISOString(),
-      lastActivity: new Date(session.lastActivity).toISOString(),
-    })),
+    activeSessions: sessions.length,
+    sessions,
   };
 }
@@ -0,0 +1,416 @@
+/**
+ * Documentation Portal Users
+ *
+ * Local user store for the /docs portal. Users are kept in a JSON file
+ * (DOCS_USERS_FILE, default data/docs-users.json) with salted scrypt
+ * password hashes and one of three roles:
+ *
+ * - viewer: read the API documentation
+ * - operator: viewer, plus operational tools in the portal
+ * - admin: operator, plus user management
+ *
+ * Stored hash format: scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+ *
+ * Bootstrapping: while the store is empty, DOCS_EMAIL/DOCS_PASSWORD seed an
+ * admin user. Legacy SHA-256 credentials (DOCS_EMAIL_HASH/DOCS_PASSWORD_HASH)
+ * are still accepted and migrated to a scrypt user on the first successful
+ * login.
+ */
+
+import crypto from "crypto";
+import { promisify } from "util";
+import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DocsRoles = {
+  VIEWER: "viewer",
+  OPERATOR: "operator",
+  ADMIN: "admin",
+};
+
+// Higher rank includes everything a lower rank may do
+const ROLE_RANK = {
+  [DocsRoles.VIEWER]: 1,
+  [DocsRoles.OPERATOR]: 2,
+  [DocsRoles.ADMIN]: 3,
+};
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Async scrypt runs on the libuv thread pool, so logins do not block the
+// event loop that serves the WebSocket rooms
+const scrypt = promisify(crypto.scrypt);
+
+// email -> user
+const users = new Map();
+let loaded = false;
+let legacyCredentials = null;
+let dummyHash = null;
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function usersFile() {
+  return (
+    process.env.DOCS_USERS_FILE ||
+    join(__dirname, "..", "..", "data", "docs-users.json")
+  );
+}
+
+function normalizeEmail(email) {
+  return String(email || "")
+    .toLowerCase()
+    .trim();
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash (scrypt$N$r$p$salt$hash)
+ */
+export async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return encodeHash(salt, hash);
+}
+
+function encodeHash(salt, hash) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  return [
+    "scrypt",
+    N,
+    r,
+    p,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+}
+
+/**
+ * Check a password against an encoded scrypt hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} encoded - Hash produced by hashPassword
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, encoded) {
+  const parts = String(encoded || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") {
+    return false;
+  }
+
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(
+    String(password),
+    Buffer.from(salt, "base64"),
+    expected.length,
+    { N: Number(N), r: Number(r), p: Number(p) }
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+}
+
+function validateRole(role) {
+  if (!ROLE_RANK[role]) {
+    throw new Error(
+      `role must be one of: ${Object.values(DocsRoles).join(", ")}`
+    );
+  }
+}
+
+/**
+ * Generate a random password (for new users and resets without one)
+ */
+export function generatePassword() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+function readUsers() {
+  try {
+    return JSON.parse(readFileSync(usersFile(), "utf-8")).users || [];
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`❌ Could not read ${usersFile()}:`, err.message);
+    }
+    return [];
+  }
+}
+
+function saveUsers() {
+  try {
+    mkdirSync(dirname(usersFile()), { recursive: true });
+    writeFileSync(
+      usersFile(),
+      JSON.stringify({ users: Array.from(users.values()) }, null, 2)
+    );
+  } catch (err) {
+    console.error("❌ Could not persist docs users:", err.message);
+  }
+}
+
+/**
+ * Load the user store on first use, seeding it from the environment if empty
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+
+  for (const user of readUsers()) {
+    users.set(normalizeEmail(user.email), user);
+  }
+
+  if (users.size === 0) {
+    const email = normalizeEmail(process.env.DOCS_EMAIL);
+    if (email && process.env.DOCS_PASSWORD) {
+      const now = new Date().toISOString();
+      const seedSalt = crypto.randomBytes(SALT_BYTES);
+      users.set(email, {
+        email,
+        role: DocsRoles.ADMIN,
+        // One-time bootstrap on first use; logins use the async scrypt
+        passwordHash: encodeHash(
+          seedSalt,
+          crypto.scryptSync(
+            process.env.DOCS_PASSWORD,
+            seedSalt,
+            SCRYPT_KEY_LENGTH,
+            SCRYPT_PARAMS
+          )
+        ),
+        createdAt: now,
+        updatedAt: now,
+        createdBy: "env",
+      });
+      saveUsers();
+      console.log(`✅ Seeded docs admin ${email} from DOCS_EMAIL`);
+    } else if (process.env.DOCS_PASSWORD_HASH) {
+      legacyCredentials = {
+        emailHash: process.env.DOCS_EMAIL_HASH || (email && sha256(email)),
+        passwordHash: process.env.DOCS_PASSWORD_HASH,
+      };
+      console.warn(
+        "⚠️  Using legacy SHA-256 docs credentials; they are migrated to scrypt on first login"
+      );
+    } else {
+      console.warn(
+        "⚠️  No docs users configured. Add one with: node src/utils/docs-users.js add <email> admin"
+      );
+    }
+  }
+
+  console.log(`✅ Loaded ${users.size} docs user(s)`);
+}
+
+// Public view of a user: never expose the password hash
+function describe(user) {
+  return {
+    email: user.email,
+    role: user.role,
+    createdAt: user.createdAt,
+    createdBy: user.createdBy || null,
+    updatedAt: user.updatedAt,
+    lastLoginAt: user.lastLoginAt || null,
+  };
+}
+
+/**
+ * Check whether a role includes the permissions of another
+ * @param {string} role - Role held by the user
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean}
+ */
+export function docsRoleAllows(role, requiredRole) {
+  return (ROLE_RANK[role] || 0) >= (ROLE_RANK[requiredRole] || Infinity);
+}
+
+/**
+ * Find a user by email
+ * @returns {Object|null} Public user description or null
+ */
+export function findDocsUser(email) {
+  ensureLoaded();
+  const user = users.get(normalizeEmail(email));
+  return user ? describe(user) : null;
+}
+
+/**
+ * List all users (without password hashes)
+ */
+export function listDocsUsers() {
+  ensureLoaded();
+  return Array.from(users.values()).map(describe);
+}
+
+/**
+ * Verify a login
+ * Unknown users cost the same scrypt work as known ones, so response times
+ * do not reveal which emails exist.
+ * @param {string} email - Email address
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object|null>} Public user description or null if invalid
+ */
+export async function verifyDocsUser(email, password) {
+  ensureLoaded();
+  const normalized = normalizeEmail(email);
+  const user = users.get(normalized);
+
+  if (!user && legacyCredentials) {
+    return verifyLegacyUser(normalized, password);
+  }
+
+  if (!dummyHash) {
+    dummyHash = await hashPassword(generatePassword());
+  }
+  const valid = await verifyPassword(
+    password,
+    user ? user.passwordHash : dummyHash
+  );
+  if (!user || !valid) {
+    return null;
+  }
+
+  user.lastLoginAt = new Date().toISOString();
+  saveUsers();
+  return describe(user);
+}
+
+// Constant-time comparison of two hex digests
+function digestEquals(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(String(expected || "").toLowerCase());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function verifyLegacyUser(email, password) {
+  const emailOk = digestEquals(sha256(email), legacyCredentials.emailHash);
+  const passwordOk = digestEquals(
+    sha256(String(password).trim()),
+    legacyCredentials.passwordHash
+  );
+  if (!emailOk || !passwordOk) {
+    return null;
+  }
+
+  // First successful login: move the legacy credentials into the store
+  legacyCredentials = null;
+  const passwordHash = await hashPassword(String(password));
+  const now = new Date().toISOString();
+  users.set(email, {
+    email,
+    role: DocsRoles.ADMIN,
+    passwordHash,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: "legacy-env",
+    lastLoginAt: now,
+  });
+  saveUsers();
+  console.log(`🔐 Migrated legacy docs credentials for ${email} to scrypt`);
+  return describe(users.get(email));
+}
+
+/**
+ * Add a user
+ * @param {Object} definition - {email, role, password}
+ * @param {string} createdBy - Who created the user
+ * @returns {Promise<Object>} Public user description
+ */
+export async function addDocsUser({ email, role, password }, createdBy) {
+  ensureLoaded();
+  const normalized = normalizeEmail(email);
+  if (!isValidEmail(normalized)) {
+    throw new Error("A valid email is required");
+  }
+  if (users.has(normalized)) {
+    throw new Error(`Docs user ${normalized} already exists`);
+  }
+  validateRole(role);
+  validatePassword(password);
+
+  const passwordHash = await hashPassword(password);
+  // Re-check: another request may have added the user while hashing
+  if (users.has(normalized)) {
+    throw new Error(`Docs user ${normalized} already exists`);
+  }
+  const now = new Date().toISOString();
+  users.set(normalized, {
+    email: normalized,
+    role,
+    passwordHash,
+    createdAt: now,
+    updatedAt: now,
+    createdBy,
+  });
+  saveUsers();
+  console.log(`👤 Docs user ${normalized} (${role}) added by ${createdBy}`);
+  return describe(users.get(normalized));
+}
+
+/**
+ * Reset a user's password
+ * @returns {Promise<Object|null>} Updated user or null if unknown
+ */
+export async function setDocsUserPassword(email, password) {
+  ensureLoaded();
+  const user = users.get(normalizeEmail(email));
+  if (!user) return null;
+  validatePassword(password);
+
+  user.passwordHash = await hashPassword(password);
+  user.updatedAt = new Date().toISOString();
+  saveUsers();
+  console.log(`🔐 Password reset for docs user ${user.email}`);
+  return describe(user);
+}
+
+/**
+ * Change a user's role
+ * @returns {Object|null} Updated user or null if unknown
+ */
+export function setDocsUserRole(email, role) {
+  ensureLoaded();
+  const user = users.get(normalizeEmail(email));
+  if (!user) return null;
+  validateRole(role);
+
+  user.role = role;
+  user.updatedAt = new Date().toISOString();
+  saveUsers();
+  console.log(`👤 Docs user ${user.email} is now ${role}`);
+  return describe(user);
+}
+
+/**
+ * Remove a user
+ * @returns {boolean} True if the user existed
+ */
+export function removeDocsUser(email) {
+  ensureLoaded();
+  const normalized = normalizeEmail(email);
+  if (!users.delete(normalized)) {
+    return false;
+  }
+  saveUsers();
+  console.log(`🗑️  Docs user ${normalized} removed`);
+  return true;
+}
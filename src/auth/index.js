@@ -1,10 +1,19 @@
 import crypto from "crypto";
+import { findRevocation } from "./revocation.js";
+import { getSigningKey, getVerificationSecret } from "./keyring.js";
+import { isJwt, verifyJwt } from "./jwt.js";
+import {
+  findPermanentToken,
+  recordPermanentTokenUsage,
+} from "./permanent-tokens.js";
 
 /**
  * Authentication Manager
  *
  * Provides secure token-based authentication for WebSocket connections.
- * Uses HMAC-SHA256 for token generation and verification.
+ * Uses HMAC-SHA256 for token generation and verification, with keys
+ * (and their kid) managed by the keyring (see keyring.js). Standard JWTs
+ * are accepted as well (see jwt.js).
  */
 
 // Load environment variables (needed when this module is imported)
@@ -16,18 +25,189 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 dotenv.config({ path: join(__dirname, "..", "..", ".env") });
 
-// Secret key for signing tokens - MUST be set via environment variable in production
-const AUTH_SECRET =
-  process.env.AUTH_SECRET ||
-  "CHANGE_THIS_IN_PRODUCTION_" + crypto.randomBytes(32).toString("hex");
+/**
+ * Scopes that can be granted to a token
+ */
+export const Scopes = {
+  ROOM_JOIN: "room:join", // Join a room as a listener over WebSocket
+  ROOM_POST: "room:post", // Broadcast content via POST /rooms/:room/post
+  CONTROL_SUBSCRIBE: "control:subscribe", // Subscribe to /rooms/:room/remotecontrol
+  HEALTH_READ: "health:read", // Read detailed health information
+  TOKEN_ISSUE: "token:issue", // Mint tokens via POST /auth/token
+  ADMIN: "admin", // Administrative endpoints
+};
+
+/**
+ * Default scopes granted for each metadata.role
+ */
+export const ROLE_SCOPES = {
+  screen: [Scopes.ROOM_JOIN, Scopes.CONTROL_SUBSCRIBE],
+  advertiser: [Scopes.ROOM_POST],
+  control: [
+    Scopes.ROOM_JOIN,
+    Scopes.ROOM_POST,
+    Scopes.CONTROL_SUBSCRIBE,
+    Scopes.HEALTH_READ,
+  ],
+  monitor: [Scopes.ROOM_JOIN, Scopes.CONTROL_SUBSCRIBE, Scopes.HEALTH_READ],
+};
+
+// Tokens issued before scopes existed (no scopes and no known role) keep
+// the access they always had
+const LEGACY_SCOPES = [
+  Scopes.ROOM_JOIN,
+  Scopes.ROOM_POST,
+  Scopes.CONTROL_SUBSCRIBE,
+];
+
+// JWTs from other services never had that access: without scopes or a known
+// role they may only join their rooms
+const EXTERNAL_DEFAULT_SCOPES = [Scopes.ROOM_JOIN];
+
+// Scopes a JWT may grant unless AUTH_JWT_ALLOWED_SCOPES widens them: any
+// service holding the JWT key must not be able to mint admin access
+const EXTERNAL_ALLOWED_SCOPES = [
+  Scopes.ROOM_JOIN,
+  Scopes.ROOM_POST,
+  Scopes.CONTROL_SUBSCRIBE,
+];
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function getExternalAllowedScopes() {
+  const configured = process.env.AUTH_JWT_ALLOWED_SCOPES;
+  if (!configured) {
+    return EXTERNAL_ALLOWED_SCOPES;
+  }
+  return configured
+    .split(",")
+    .map((scope) => scope.trim())
+    .filter(Boolean);
+}
+
+function resolveClaimedScopes(payload) {
+  if (Array.isArray(payload.scopes)) {
+    return payload.scopes;
+  }
+
+  const role = payload.metadata?.role;
+  if (role && ROLE_SCOPES[role]) {
+    return ROLE_SCOPES[role];
+  }
+
+  return payload.format === "jwt" ? EXTERNAL_DEFAULT_SCOPES : LEGACY_SCOPES;
+}
+
+/**
+ * Resolve the effective scopes of a token payload
+ * Explicit scopes win, then the role defaults, then the legacy full access
+ * (join-only for JWTs). JWT scopes are limited to AUTH_JWT_ALLOWED_SCOPES.
+ * @param {Object} payload - Decoded token payload
+ * @returns {string[]} Granted scopes
+ */
+export function resolveScopes(payload) {
+  if (!payload) {
+    return [];
+  }
+
+  const scopes = resolveClaimedScopes(payload);
+  if (payload.format !== "jwt") {
+    return scopes;
+  }
+  const allowed = getExternalAllowedScopes();
+  return scopes.filter((scope) => allowed.includes(scope));
+}
+
+/**
+ * Check whether a token payload grants a scope
+ * @param {Object} payload - Decoded token payload
+ * @param {string} scope - Required scope (see Scopes)
+ * @returns {boolean}
+ */
+export function hasScope(payload, scope) {
+  return resolveScopes(payload).includes(scope);
+}
 
-if (!process.env.AUTH_SECRET) {
-  console.warn(
-    "⚠️  WARNING: AUTH_SECRET not set! Using random key. Tokens will not persist across restarts."
+/**
+ * Check whether a room pattern covers a room
+ * Patterns are room names where `*` matches any run of characters
+ * (e.g. `radio-*`, or `*` for every room)
+ * @param {string} pattern - Room name or pattern
+ * @param {string} room - Room name
+ * @returns {boolean}
+ */
+export function roomMatches(pattern, room) {
+  if (typeof pattern !== "string" || typeof room !== "string") {
+    return false;
+  }
+  if (!pattern.includes("*")) {
+    return pattern === room;
+  }
+  const regex = new RegExp(
+    "^" +
+      pattern
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*") +
+      "$"
   );
-  console.warn("⚠️  Set AUTH_SECRET environment variable in production!");
-} else {
-  console.log("✅ AUTH_SECRET loaded from environment");
+  return regex.test(room);
+}
+
+/**
+ * Get the rooms (or room patterns) a token payload is valid for
+ * @param {Object} payload - Decoded token payload
+ * @returns {string[]} Room names/patterns
+ */
+export function getTokenRooms(payload) {
+  if (!payload) {
+    return [];
+  }
+  if (Array.isArray(payload.rooms) && payload.rooms.length) {
+    return payload.rooms;
+  }
+  return payload.room ? [payload.room] : [];
+}
+
+/**
+ * Check whether a token payload is valid for a room
+ * @param {Object} payload - Decoded token payload
+ * @param {string} room - Room name
+ * @returns {boolean}
+ */
+export function tokenAllowsRoom(payload, room) {
+  return getTokenRooms(payload).some((pattern) => roomMatches(pattern, room));
+}
+
+/**
+ * Get the id of a token
+ * Tokens carry their own tokenId; older tokens are identified by a hash of the token string
+ * @param {string} token - Raw token
+ * @param {Object} payload - Decoded payload
+ * @returns {string} Token id
+ */
+export function getTokenId(token, payload) {
+  if (payload?.tokenId) {
+    return payload.tokenId;
+  }
+  return crypto.createHash("sha256").update(token).digest("hex").slice(0, 24);
+}
+
+/**
+ * Reject payloads whose token id or client id has been revoked
+ * (skipped when options.checkRevocation is false)
+ */
+function checkRevocation(payload, options = {}) {
+  if (options.checkRevocation === false) {
+    return payload;
+  }
+  const revocation = findRevocation(payload);
+  if (revocation) {
+    console.warn(
+      `Token revoked (${revocation.type}: ${revocation.value}) for ${payload.clientId}`
+    );
+    return null;
+  }
+  return payload;
 }
 
 /**
@@ -35,22 +215,58 @@ if (!process.env.AUTH_SECRET) {
  * @param {Object} payload - Client data to embed in token
  * @param {string} payload.clientId - Unique client identifier
  * @param {string} payload.room - Room name the client wants to access
+ * @param {string[]} payload.rooms - Rooms or patterns (e.g. "radio-*") the token covers (optional, instead of or besides room)
  * @param {Object} payload.metadata - Additional metadata (optional)
+ * @param {string[]} payload.scopes - Granted scopes (optional, defaults to the role's scopes)
+ * @param {number} payload.expiresIn - Lifetime in ms (optional, defaults to AuthConfig.DEFAULT_EXPIRY)
  * @returns {string} Secure token
  */
 export function generateAuthToken(payload) {
-  if (!payload.clientId || !payload.room) {
-    throw new Error("clientId and room are required");
+  if (payload.rooms !== undefined) {
+    if (
+      !Array.isArray(payload.rooms) ||
+      payload.rooms.length === 0 ||
+      !payload.rooms.every((room) => typeof room === "string" && room)
+    ) {
+      throw new Error("rooms must be a non-empty array of room names");
+    }
+  }
+
+  const room = payload.room || payload.rooms?.[0];
+  if (!payload.clientId || !room) {
+    throw new Error("clientId and room (or rooms) are required");
+  }
+
+  const knownScopes = Object.values(Scopes);
+  if (payload.scopes !== undefined) {
+    if (!Array.isArray(payload.scopes)) {
+      throw new Error("scopes must be an array");
+    }
+    const unknown = payload.scopes.filter((s) => !knownScopes.includes(s));
+    if (unknown.length) {
+      throw new Error(`Unknown scope(s): ${unknown.join(", ")}`);
+    }
   }
 
   // Default expiration: 1 hour from now
-  const expiresAt = Date.now() + 60 * 60 * 1000; // 1 hour
+  const lifetime = payload.expiresIn ?? AuthConfig.DEFAULT_EXPIRY;
+  if (!Number.isFinite(lifetime) || lifetime <= 0) {
+    throw new Error("expiresIn must be a positive number of milliseconds");
+  }
+  const expiresAt = Date.now() + lifetime;
+
+  // Sign with the keyring's active key and record its kid in the payload
+  const signingKey = getSigningKey();
 
   const tokenData = {
+    kid: signingKey.kid,
+    tokenId: crypto.randomBytes(12).toString("base64url"),
     clientId: payload.clientId,
-    room: payload.room,
+    room,
+    ...(payload.rooms ? { rooms: payload.rooms } : {}),
     expiresAt,
     metadata: payload.metadata || {},
+    scopes: payload.scopes || resolveScopes(payload),
     issuedAt: Date.now(),
   };
 
@@ -60,7 +276,7 @@ export function generateAuthToken(payload) {
   );
 
   // Generate HMAC signature
-  const hmac = crypto.createHmac("sha256", AUTH_SECRET);
+  const hmac = crypto.createHmac("sha256", signingKey.secret);
   hmac.update(payloadStr);
   const signature = hmac.digest("base64url");
 
@@ -72,81 +288,77 @@ export function generateAuthToken(payload) {
  * Verify and decode an authentication token
  * @param {string} token - Token to verify
  * @param {string} expectedRoom - Expected room name (optional, for additional validation)
+ * @param {Object} options - Optional settings:
+ *   clientAddress / recordUsage - permanent token usage tracking
+ *   allowExpired - accept expired tokens (introspection)
+ *   checkRevocation - set to false to skip the revocation list (introspection)
  * @returns {Object|null} Decoded payload if valid, null if invalid
  */
-export function verifyAuthToken(token, expectedRoom = null) {
+export function verifyAuthToken(token, expectedRoom = null, options = {}) {
   try {
     if (!token || typeof token !== "string") {
       return null;
     }
 
-    // Hardcoded always-valid tokens for trusted clients
-    const ALWAYS_VALID_TOKENS = {
-      // Screen role - for display screens
-      screen: {
-        token:
-          "eyJjbGllbnRJZCI6InNjcmVlbiIsInJvb20iOiJyYWRpbyIsImV4cGlyZXNBdCI6NDkxNDEyMTU2NjQ2NCwibWV0YWRhdGEiOnsidmFsaWRpdHkiOiJObyBleHBpcmF0aW9uIn0sImlzc3VlZEF0IjoxNzYwNTIxNTY2NDY0fQ.1tMYGVIeJl5zPxOclrPWHieEognJGWDaq4-vzjziNi0",
-        payload: {
-          clientId: "screen",
-          room: "radio",
-          expiresAt: 4914121566464,
-          metadata: { role: "screen", validity: "No expiration" },
-          issuedAt: 1760521566464,
-        },
-      },
-      // Advertiser role - for content posting
-      advertiser: {
-        token:
-          "eyJjbGllbnRJZCI6ImFkdmVydGlzZXIiLCJyb29tIjoicmFkaW8iLCJleHBpcmVzQXQiOjQ5MTQxMjE1NjY0NjQsIm1ldGFkYXRhIjp7InJvbGUiOiJhZHZlcnRpc2VyIiwidmFsaWRpdHkiOiJObyBleHBpcmF0aW9uIn0sImlzc3VlZEF0IjoxNzYwNTIxNTY2NDY0fQ.K7jX9mNvL4pRnQwS8tYc1UhA6fBgE3qJsW2oZxI5kDv",
-        payload: {
-          clientId: "advertiser",
-          room: "radio",
-          expiresAt: 4914121566464,
-          metadata: { role: "advertiser", validity: "No expiration" },
-          issuedAt: 1760521566464,
-        },
-      },
-      // Control role - for administrative control
-      control: {
-        token:
-          "eyJjbGllbnRJZCI6ImNvbnRyb2wiLCJyb29tIjoicmFkaW8iLCJleHBpcmVzQXQiOjQ5MTQxMjE1NjY0NjQsIm1ldGFkYXRhIjp7InJvbGUiOiJjb250cm9sIiwidmFsaWRpdHkiOiJObyBleHBpcmF0aW9uIn0sImlzc3VlZEF0IjoxNzYwNTIxNTY2NDY0fQ.P3mH8nRwT6jKbVxZ9sLq2YdF5aGtC4wJoX1yNiE7uMp",
-        payload: {
-          clientId: "control",
-          room: "radio",
-          expiresAt: 4914121566464,
-          metadata: { role: "control", validity: "No expiration" },
-          issuedAt: 1760521566464,
-        },
-      },
-      // Monitor role - for monitoring clients
-      monitor: {
-        token:
-          "eyJjbGllbnRJZCI6Im1vbml0b3IiLCJyb29tIjoicmFkaW8iLCJleHBpcmVzQXQiOjQ5MTQxMjE1NjY0NjQsIm1ldGFkYXRhIjp7InJvbGUiOiJtb25pdG9yIiwidmFsaWRpdHkiOiJObyBleHBpcmF0aW9uIn0sImlzc3VlZEF0IjoxNzYwNTIxNTY2NDY0fQ.5f5owqdr4j3gRD0UtiZLTYI_Du4Sa9XtRNN84B0fat4",
-        payload: {
-          clientId: "monitor",
-          room: "radio",
-          expiresAt: 4914121566464,
-          metadata: { role: "monitor", validity: "No expiration" },
-          issuedAt: 1760521566464,
+    // Permanent tokens for trusted clients (see permanent-tokens.js)
+    const permanent = findPermanentToken(token);
+    if (permanent) {
+      if (permanent.disabled) {
+        console.warn(`Permanent token disabled: ${permanent.id}`);
+        return null;
+      }
+
+      // Check room if provided
+      if (expectedRoom && !tokenAllowsRoom(permanent, expectedRoom)) {
+        const allowed = permanent.rooms.join(", ");
+        console.warn(
+          `Token room mismatch: expected ${expectedRoom}, got ${allowed}`
+        );
+        return null;
+      }
+
+      if (options.recordUsage !== false) {
+        recordPermanentTokenUsage(permanent.id, options.clientAddress);
+      }
+
+      const payload = {
+        format: "permanent",
+        clientId: permanent.clientId,
+        room: permanent.rooms[0],
+        rooms: permanent.rooms,
+        expiresAt: null,
+        metadata: {
+          role: permanent.role,
+          description: permanent.description,
+          validity: "No expiration",
+          permanentTokenId: permanent.id,
         },
-      },
-    };
-
-    // Check if token matches any of the hardcoded tokens
-    for (const [role, config] of Object.entries(ALWAYS_VALID_TOKENS)) {
-      if (token === config.token) {
-        console.log(`✅ Always-valid token accepted: ${role}`);
-
-        // Check room if provided
-        if (expectedRoom && config.payload.room !== expectedRoom) {
-          console.warn(
-            `Token room mismatch: expected ${expectedRoom}, got ${config.payload.room}`
-          );
-          return null;
-        }
-
-        return config.payload;
+        issuedAt: permanent.createdAt ? Date.parse(permanent.createdAt) : null,
+      };
+      payload.scopes = permanent.scopes || resolveScopes(payload);
+      payload.tokenId = getTokenId(token, null);
+      return checkRevocation(payload, options);
+    }
+
+    // Standard JWTs from other services (see jwt.js)
+    if (isJwt(token)) {
+      const payload = verifyJwt(token, options);
+      if (!payload) {
+        return null;
+      }
+
+      // Check room if provided (aud may list several rooms)
+      if (expectedRoom && !tokenAllowsRoom(payload, expectedRoom)) {
+        const allowed = payload.rooms.join(", ");
+        console.warn(
+          `Token room mismatch: expected ${expectedRoom}, got ${allowed}`
+        );
+        return null;
       }
+
+      payload.tokenId = getTokenId(token, payload);
+      payload.scopes = resolveScopes(payload);
+      return checkRevocation(payload, options);
     }
 
     // Split token into payload and signature
@@ -157,34 +369,52 @@ export function verifyAuthToken(token, expectedRoom = null) {
 
     const [payloadStr, signature] = parts;
 
+    // Decode payload (untrusted until the signature is verified)
+    const payload = JSON.parse(Buffer.from(payloadStr, "base64url").toString());
+
+    // Look up the key the token claims to be signed with
+    const secret = getVerificationSecret(payload.kid);
+    if (!secret) {
+      console.warn(`Token signed with unknown or retired key: ${payload.kid}`);
+      return null;
+    }
+
     // Verify signature
-    const hmac = crypto.createHmac("sha256", AUTH_SECRET);
+    const hmac = crypto.createHmac("sha256", secret);
     hmac.update(payloadStr);
-    const expectedSignature = hmac.digest("base64url");
+    const expectedSignature = Buffer.from(hmac.digest("base64url"));
+    const providedSignature = Buffer.from(signature);
 
-    if (signature !== expectedSignature) {
+    if (
+      providedSignature.length !== expectedSignature.length ||
+      !crypto.timingSafeEqual(providedSignature, expectedSignature)
+    ) {
       console.warn("Token signature verification failed");
       return null;
     }
 
-    // Decode payload
-    const payload = JSON.parse(Buffer.from(payloadStr, "base64url").toString());
-
     // Check expiration
-    if (payload.expiresAt && Date.now() > payload.expiresAt) {
+    if (
+      payload.expiresAt &&
+      Date.now() > payload.expiresAt &&
+      !options.allowExpired
+    ) {
       console.warn("Token expired");
       return null;
     }
 
     // Check room if provided
-    if (expectedRoom && payload.room !== expectedRoom) {
+    if (expectedRoom && !tokenAllowsRoom(payload, expectedRoom)) {
+      const allowed = getTokenRooms(payload).join(", ");
       console.warn(
-        `Token room mismatch: expected ${expectedRoom}, got ${payload.room}`
+        `Token room mismatch: expected ${expectedRoom}, got ${allowed}`
       );
       return null;
     }
 
-    return payload;
+    payload.tokenId = getTokenId(token, payload);
+    payload.scopes = resolveScopes(payload);
+    return checkRevocation(payload, options);
   } catch (err) {
     console.error("Token verification error:", err);
     return null;
@@ -221,6 +451,67 @@ export function extractToken(req) {
   }
 }
 
+/**
+ * Extract client address (respect Cloud Run / proxy headers)
+ * @param {Object} req - HTTP request
+ * @returns {string} Client address
+ */
+export function getClientAddress(req) {
+  const fwd = req.headers["x-forwarded-for"]; // may contain list
+  if (fwd) return fwd.split(",")[0].trim();
+  return req.socket.remoteAddress + ":" + req.socket.remotePort;
+}
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function trustedProxyHops() {
+  const hops = parseInt(process.env.TRUSTED_PROXY_HOPS || "0", 10);
+  return Number.isFinite(hops) && hops > 0 ? hops : 0;
+}
+
+/**
+ * Extract the client IP without the port (for per-client limits)
+ * Clients can send any X-Forwarded-For they like, and proxies append to it,
+ * so only the entries added by our own proxies are trusted: with
+ * TRUSTED_PROXY_HOPS=N the Nth entry from the right (Cloud Run: 1). Without
+ * it the header is ignored and the socket address is used.
+ * @param {Object} req - HTTP request
+ * @returns {string} Client IP
+ */
+export function getClientIp(req) {
+  const hops = trustedProxyHops();
+  const fwd = req.headers["x-forwarded-for"];
+  if (hops > 0 && fwd) {
+    const entries = String(fwd)
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    if (entries.length > 0) {
+      return entries[Math.max(0, entries.length - hops)];
+    }
+  }
+  return req.socket.remoteAddress;
+}
+
+// Public base URL for clients (override in env). Fallback to the deployed Cloud Run URL.
+// Example (PowerShell): $env:PUBLIC_BASE_URL='https://radiowsserver-763503917257.europe-west1.run.app'
+export const PUBLIC_BASE_URL = (
+  process.env.PUBLIC_BASE_URL ||
+  "https://radiowsserver-763503917257.europe-west1.run.app"
+).replace(/\/$/, "");
+
+/**
+ * WebSocket URL a client uses to join a room with a token
+ * Built from PUBLIC_BASE_URL, never from request headers: a client-supplied
+ * Host would otherwise end up in URLs handed to other clients.
+ * @param {string} room - Room name
+ * @param {string} token - Auth token
+ * @returns {string}
+ */
+export function buildWebSocketUrl(room, token) {
+  const base = PUBLIC_BASE_URL.replace(/^http/, "ws");
+  return `${base}/rooms/${encodeURIComponent(room)}?token=${token}`;
+}
+
 /**
  * Validate token from HTTP POST request
  * @param {Object} req - HTTP request
@@ -236,7 +527,9 @@ export function validateHttpPostAuth(req, expectedRoom) {
     }
 
     const token = authHeader.substring(7);
-    return verifyAuthToken(token, expectedRoom);
+    return verifyAuthToken(token, expectedRoom, {
+      clientAddress: getClientAddress(req),
+    });
   } catch (err) {
     console.error("Error validating HTTP auth:", err);
     return null;
@@ -270,6 +563,9 @@ export const AuthConfig = {
     EXPIRED_TOKEN: 4003,
     WRONG_ROOM: 4004,
     NO_ROOM_SPECIFIED: 4005,
+    INSUFFICIENT_SCOPE: 4006,
+    TOKEN_REVOKED: 4007,
+    UNKNOWN_ROOM: 4011,
   },
 };
 
@@ -282,5 +578,6 @@ export function createTokenForClient(clientId, room, options = {}) {
     clientId,
     room,
     metadata: options.metadata || {},
+    scopes: options.scopes,
   });
 }
@@ -0,0 +1,84 @@
+/**
+ * Token Introspection
+ *
+ * Decodes what a token grants for POST /auth/introspect (admin) and
+ * GET /auth/whoami (the caller's own token). Both go through
+ * verifyAuthToken, so every token format is described the same way.
+ */
+
+import { verifyAuthToken, getTokenRooms } from "./index.js";
+import { findRevocation } from "./revocation.js";
+import { findPermanentToken } from "./permanent-tokens.js";
+
+function toIso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Describe a verified token payload
+ * @param {Object} payload - Payload returned by verifyAuthToken
+ * @returns {Object} Public description of the token's claims
+ */
+export function describeToken(payload) {
+  return {
+    format: payload.format || "legacy",
+    tokenId: payload.tokenId || null,
+    kid: payload.kid || null,
+    clientId: payload.clientId,
+    room: payload.room || null,
+    rooms: getTokenRooms(payload),
+    role: payload.metadata?.role || null,
+    scopes: payload.scopes || [],
+    metadata: payload.metadata || {},
+    issuedAt: toIso(payload.issuedAt),
+    expiresAt: toIso(payload.expiresAt),
+    expiresInMs: payload.expiresAt
+      ? Math.max(0, payload.expiresAt - Date.now())
+      : null,
+  };
+}
+
+/**
+ * Introspect a token: validity, expiry, claims and revocation status
+ * Expired and revoked tokens are still described (with active: false).
+ * @param {string} token - Raw token
+ * @returns {Object} {active, reason, ...describeToken, revocation}
+ */
+export function introspectToken(token) {
+  const permanent = findPermanentToken(token);
+  if (permanent?.disabled) {
+    return {
+      active: false,
+      reason: "disabled",
+      format: "permanent",
+      permanentTokenId: permanent.id,
+      clientId: permanent.clientId,
+    };
+  }
+
+  const payload = verifyAuthToken(token, null, {
+    allowExpired: true,
+    checkRevocation: false,
+    recordUsage: false,
+  });
+  if (!payload) {
+    return { active: false, reason: "invalid" };
+  }
+
+  const expired = Boolean(payload.expiresAt && Date.now() > payload.expiresAt);
+  const revocation = findRevocation(payload);
+
+  let reason = null;
+  if (revocation) {
+    reason = "revoked";
+  } else if (expired) {
+    reason = "expired";
+  }
+
+  return {
+    active: !reason,
+    reason,
+    ...describeToken(payload),
+    revocation,
+  };
+}
@@ -0,0 +1,326 @@
+/**
+ * Token Issuance Policy
+ *
+ * Guards POST /auth/token: callers must present an issuer credential
+ * (an issuer API key or a token with the token:issue / admin scope),
+ * and every request is checked against a per-role policy that limits
+ * the rooms, metadata keys, scopes and lifetime a token may carry.
+ * Tokens minted through issueToken() are recorded in the issued token log.
+ * Also identifies callers of the admin endpoints (src/admin).
+ */
+
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import {
+  AuthConfig,
+  ROLE_SCOPES,
+  Scopes,
+  generateAuthToken,
+  hasScope,
+  roomMatches,
+  verifyAuthToken,
+} from "./index.js";
+import { recordIssuedToken } from "./issued-tokens.js";
+import { findRevocation } from "./revocation.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Broadsign metadata every screen-like role may carry
+const BROADSIGN_METADATA_KEYS = [
+  "frameId",
+  "adCopyId",
+  "playerId",
+  "expectedSlotDurationMs",
+  "broadcastDelay",
+];
+
+/**
+ * Built-in policy used when AUTH_ISSUANCE_POLICY_FILE is not set.
+ * Roles not listed here cannot be issued.
+ */
+export const DEFAULT_ISSUANCE_POLICY = {
+  roles: {
+    screen: {
+      rooms: ["*"],
+      metadataKeys: [...BROADSIGN_METADATA_KEYS, "validity", "description"],
+      scopes: ROLE_SCOPES.screen,
+      maxLifetimeMs: 30 * DAY,
+    },
+    advertiser: {
+      rooms: ["*"],
+      metadataKeys: ["validity", "description"],
+      scopes: ROLE_SCOPES.advertiser,
+      maxLifetimeMs: 30 * DAY,
+    },
+    control: {
+      rooms: ["*"],
+      metadataKeys: ["validity", "description"],
+      scopes: ROLE_SCOPES.control,
+      maxLifetimeMs: 1 * DAY,
+    },
+    monitor: {
+      rooms: ["*"],
+      metadataKeys: ["validity", "description"],
+      scopes: ROLE_SCOPES.monitor,
+      maxLifetimeMs: 7 * DAY,
+    },
+  },
+};
+
+let cachedPolicy = null;
+
+/**
+ * Load the issuance policy (JSON file from AUTH_ISSUANCE_POLICY_FILE, or the built-in default)
+ * @returns {Object} Policy with a `roles` map
+ */
+export function getIssuancePolicy() {
+  if (cachedPolicy) {
+    return cachedPolicy;
+  }
+
+  const policyFile = process.env.AUTH_ISSUANCE_POLICY_FILE;
+  if (policyFile) {
+    try {
+      cachedPolicy = JSON.parse(readFileSync(policyFile, "utf-8"));
+      console.log(`✅ Token issuance policy loaded from ${policyFile}`);
+    } catch (err) {
+      console.error(
+        `❌ Could not load issuance policy from ${policyFile}, using defaults:`,
+        err.message
+      );
+      cachedPolicy = DEFAULT_ISSUANCE_POLICY;
+    }
+  } else {
+    cachedPolicy = DEFAULT_ISSUANCE_POLICY;
+  }
+
+  return cachedPolicy;
+}
+
+/**
+ * Compare two secrets without leaking their length or content through timing
+ */
+function safeEqual(a, b) {
+  const digestA = crypto.createHash("sha256").update(String(a)).digest();
+  const digestB = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Parse AUTH_ISSUER_KEYS ("name:key,name2:key2") into a list
+ */
+function getIssuerKeys() {
+  const keys = (process.env.AUTH_ISSUER_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      return separator > 0
+        ? { name: entry.slice(0, separator), key: entry.slice(separator + 1) }
+        : { name: "issuer", key: entry };
+    });
+
+  if (process.env.AUTH_ADMIN_KEY) {
+    keys.push({ name: "admin", key: process.env.AUTH_ADMIN_KEY });
+  }
+
+  return keys;
+}
+
+/**
+ * Extract an API key from the X-API-Key header
+ * @param {Object} req - HTTP request
+ * @returns {string|null}
+ */
+export function extractApiKey(req) {
+  const header = req.headers["x-api-key"];
+  return typeof header === "string" && header.length > 0 ? header : null;
+}
+
+/**
+ * Identify the caller of POST /auth/token
+ * @param {Object} req - HTTP request
+ * @returns {Object|null} Issuer descriptor ({type, name}) or null if not allowed to issue
+ */
+export function authenticateIssuer(req) {
+  const apiKey = extractApiKey(req);
+  if (apiKey) {
+    const match = getIssuerKeys().find((entry) => safeEqual(entry.key, apiKey));
+    return match ? { type: "apiKey", name: match.name } : null;
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    const payload = verifyAuthToken(authHeader.substring(7));
+    if (
+      payload &&
+      (hasScope(payload, Scopes.TOKEN_ISSUE) || hasScope(payload, Scopes.ADMIN))
+    ) {
+      return { type: "token", name: payload.clientId };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Identify the caller of an admin endpoint
+ * Accepts AUTH_ADMIN_KEY via X-API-Key, or a bearer token with the admin scope
+ * @param {Object} req - HTTP request
+ * @returns {Object|null} Admin descriptor ({type, name}) or null
+ */
+export function authenticateAdmin(req) {
+  const apiKey = extractApiKey(req);
+  if (apiKey) {
+    const adminKey = process.env.AUTH_ADMIN_KEY;
+    return adminKey && safeEqual(adminKey, apiKey)
+      ? { type: "apiKey", name: "admin" }
+      : null;
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    const payload = verifyAuthToken(authHeader.substring(7));
+    if (payload && hasScope(payload, Scopes.ADMIN)) {
+      return { type: "token", name: payload.clientId };
+    }
+  }
+
+  return null;
+}
+
+// A requested room (or pattern) is allowed when a policy pattern covers it
+// literally: "radio-*" in the policy allows "radio-lobby" and "radio-*",
+// while only "*" allows the "*" wildcard itself
+function roomAllowed(allowedRooms, room) {
+  return (allowedRooms || []).some((allowed) => roomMatches(allowed, room));
+}
+
+/**
+ * Check a token request against the issuance policy
+ * @param {Object} data - Request body ({clientId, room, rooms, metadata, scopes, expiresIn})
+ * @returns {Object} {allowed: true, expiresIn, scopes} or {allowed: false, status, error, details}
+ */
+export function evaluateIssuanceRequest(data) {
+  const policy = getIssuancePolicy();
+  const metadata = data.metadata || {};
+  const role = metadata.role;
+
+  if (!role) {
+    return {
+      allowed: false,
+      status: 400,
+      error: "metadata.role is required",
+      details: { allowedRoles: Object.keys(policy.roles || {}) },
+    };
+  }
+
+  const rolePolicy = policy.roles?.[role];
+  if (!rolePolicy) {
+    return {
+      allowed: false,
+      status: 403,
+      error: `Role "${role}" may not be issued`,
+      details: { allowedRoles: Object.keys(policy.roles || {}) },
+    };
+  }
+
+  const requestedRooms = [
+    ...(data.room ? [data.room] : []),
+    ...(Array.isArray(data.rooms) ? data.rooms : []),
+  ];
+  const deniedRoom = requestedRooms.find(
+    (room) => !roomAllowed(rolePolicy.rooms, room)
+  );
+  if (deniedRoom !== undefined) {
+    return {
+      allowed: false,
+      status: 403,
+      error: `Role "${role}" may not be issued for room "${deniedRoom}"`,
+    };
+  }
+
+  const allowedKeys = ["role", ...(rolePolicy.metadataKeys || [])];
+  const extraKeys = Object.keys(metadata).filter(
+    (key) => !allowedKeys.includes(key)
+  );
+  if (extraKeys.length) {
+    return {
+      allowed: false,
+      status: 403,
+      error: `Metadata keys not allowed for role "${role}": ${extraKeys.join(
+        ", "
+      )}`,
+    };
+  }
+
+  const roleScopes = rolePolicy.scopes || ROLE_SCOPES[role] || [];
+  const scopes = data.scopes ?? roleScopes;
+  if (!Array.isArray(scopes)) {
+    return { allowed: false, status: 400, error: "scopes must be an array" };
+  }
+  const extraScopes = scopes.filter((scope) => !roleScopes.includes(scope));
+  if (extraScopes.length) {
+    return {
+      allowed: false,
+      status: 403,
+      error: `Scopes not allowed for role "${role}": ${extraScopes.join(", ")}`,
+    };
+  }
+
+  let expiresIn = AuthConfig.DEFAULT_EXPIRY;
+  if (data.expiresIn !== undefined && data.expiresIn !== null) {
+    expiresIn = Number(data.expiresIn);
+    if (!Number.isFinite(expiresIn) || expiresIn <= 0) {
+      return {
+        allowed: false,
+        status: 400,
+        error: "expiresIn must be a positive number of milliseconds",
+      };
+    }
+  }
+
+  const maxLifetimeMs = Number(rolePolicy.maxLifetimeMs);
+  if (Number.isFinite(maxLifetimeMs) && expiresIn > maxLifetimeMs) {
+    return {
+      allowed: false,
+      status: 403,
+      error: `expiresIn exceeds the maximum lifetime for role "${role}"`,
+      details: { maxLifetimeMs },
+    };
+  }
+
+  return { allowed: true, expiresIn, scopes };
+}
+
+/**
+ * Check a token request against the policy, mint the token and log it
+ * @param {Object} data - Request body ({clientId, room, rooms, metadata, scopes, expiresIn})
+ * @param {Object} issuer - {type, name} of the caller
+ * @returns {Object} {allowed: true, token, payload}, the denied decision, or
+ *   {allowed: false, status: 403} when the clientId is revoked
+ */
+export function issueToken(data, issuer) {
+  const decision = evaluateIssuanceRequest(data);
+  if (!decision.allowed) {
+    return decision;
+  }
+  // A revoked clientId would get a token that is dead on arrival
+  if (findRevocation({ clientId: data.clientId })) {
+    return { allowed: false, status: 403, error: "Client revoked" };
+  }
+
+  const token = generateAuthToken({
+    clientId: data.clientId,
+    room: data.room,
+    rooms: data.rooms,
+    metadata: data.metadata || {},
+    scopes: decision.scopes,
+    expiresIn: decision.expiresIn,
+  });
+  const payload = verifyAuthToken(token, null, { checkRevocation: false });
+  recordIssuedToken(payload, issuer);
+
+  return { allowed: true, token, payload };
+}
@@ -0,0 +1,157 @@
+/**
+ * Issued Token Log
+ *
+ * Records every token minted through POST /auth/token or the docs portal,
+ * so operators can see what is out there and revoke it later. Only the
+ * decoded payload is kept: the token string itself is shown once at minting
+ * and never stored. Persisted to a local JSON file so the list survives
+ * restarts; entries are dropped a while after they expire.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { findRevocation } from "./revocation.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 5000;
+
+export const IssuedTokenStatus = {
+  ACTIVE: "active",
+  EXPIRED: "expired",
+  REVOKED: "revoked",
+};
+
+// Map of tokenId -> entry (insertion order = issue order)
+const issuedTokens = new Map();
+let loaded = false;
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function issuedTokensFile() {
+  return (
+    process.env.AUTH_ISSUED_TOKENS_FILE ||
+    join(__dirname, "..", "..", "data", "issued-tokens.json")
+  );
+}
+
+function retentionMs() {
+  return parseInt(
+    process.env.AUTH_ISSUED_TOKENS_RETENTION_MS || `${30 * DAY}`,
+    10
+  );
+}
+
+/**
+ * Load the log from disk on first use (missing file means an empty log)
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const entries = JSON.parse(readFileSync(issuedTokensFile(), "utf-8"));
+    for (const entry of entries) {
+      issuedTokens.set(entry.tokenId, entry);
+    }
+    console.log(
+      `✅ Loaded ${issuedTokens.size} issued token record(s) from ${issuedTokensFile()}`
+    );
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error("❌ Could not load issued tokens:", err.message);
+    }
+  }
+}
+
+function saveIssuedTokens() {
+  try {
+    mkdirSync(dirname(issuedTokensFile()), { recursive: true });
+    writeFileSync(
+      issuedTokensFile(),
+      JSON.stringify(Array.from(issuedTokens.values()), null, 2)
+    );
+  } catch (err) {
+    console.error("❌ Could not persist issued tokens:", err.message);
+  }
+}
+
+/**
+ * Forget entries that expired longer than the retention period ago
+ */
+function prune(now) {
+  const cutoff = now - retentionMs();
+  for (const [tokenId, entry] of issuedTokens) {
+    if (Date.parse(entry.expiresAt) < cutoff) {
+      issuedTokens.delete(tokenId);
+    }
+  }
+  // Bounded: drop the oldest records (Map keeps insertion order)
+  while (issuedTokens.size > MAX_ENTRIES) {
+    issuedTokens.delete(issuedTokens.keys().next().value);
+  }
+}
+
+function withStatus(entry, now) {
+  let status = IssuedTokenStatus.ACTIVE;
+  if (findRevocation(entry)) {
+    status = IssuedTokenStatus.REVOKED;
+  } else if (Date.parse(entry.expiresAt) <= now) {
+    status = IssuedTokenStatus.EXPIRED;
+  }
+  return { ...entry, status };
+}
+
+/**
+ * Record a freshly issued token
+ * @param {Object} payload - Decoded token payload (from verifyAuthToken)
+ * @param {Object} issuer - {type, name} of whoever minted it
+ * @returns {Object} The stored entry
+ */
+export function recordIssuedToken(payload, issuer) {
+  ensureLoaded();
+  const entry = {
+    tokenId: payload.tokenId,
+    clientId: payload.clientId,
+    room: payload.room,
+    rooms: payload.rooms || [payload.room],
+    role: payload.metadata?.role || null,
+    metadata: payload.metadata || {},
+    scopes: payload.scopes || [],
+    issuedBy: issuer ? `${issuer.type}:${issuer.name}` : null,
+    issuedAt: new Date(payload.issuedAt).toISOString(),
+    expiresAt: new Date(payload.expiresAt).toISOString(),
+  };
+
+  issuedTokens.set(entry.tokenId, entry);
+  prune(Date.now());
+  saveIssuedTokens();
+  return entry;
+}
+
+/**
+ * List issued tokens, newest first
+ * @param {Object} filters - {status, clientId, room}
+ * @returns {Object[]} Entries with their current status
+ */
+export function listIssuedTokens(filters = {}) {
+  ensureLoaded();
+  const now = Date.now();
+  return Array.from(issuedTokens.values())
+    .reverse()
+    .map((entry) => withStatus(entry, now))
+    .filter((entry) => !filters.status || entry.status === filters.status)
+    .filter((entry) => !filters.clientId || entry.clientId === filters.clientId)
+    .filter((entry) => !filters.room || entry.rooms.includes(filters.room));
+}
+
+/**
+ * Find an issued token by id
+ * @param {string} tokenId - Token id
+ * @returns {Object|null} Entry with its current status
+ */
+export function findIssuedToken(tokenId) {
+  ensureLoaded();
+  const entry = issuedTokens.get(tokenId);
+  return entry ? withStatus(entry, Date.now()) : null;
+}
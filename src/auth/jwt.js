@@ -0,0 +1,216 @@
+/**
+ * JWT Verification
+ *
+ * Accepts standard JSON Web Tokens (RFC 7519) issued by other services,
+ * alongside the legacy `base64url(payload).signature` format.
+ *
+ * Supported algorithms:
+ * - HS256: shared secret (AUTH_JWT_SECRET, or the keyring key named by `kid`)
+ * - RS256 / EdDSA: public keys from a PEM file (AUTH_JWT_PUBLIC_KEY_FILE)
+ *   and/or a JWKS file (AUTH_JWT_JWKS_FILE)
+ *
+ * Claims are mapped onto the legacy payload shape:
+ * `sub` -> clientId, `aud` -> room, `exp`/`iat` -> expiresAt/issuedAt,
+ * `jti` -> tokenId, `scope`/`scopes` -> scopes.
+ */
+
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import { getVerificationSecret } from "./keyring.js";
+
+export const SUPPORTED_ALGORITHMS = ["HS256", "RS256", "EdDSA"];
+
+// Key types each asymmetric algorithm may be verified with
+const KEY_TYPES = {
+  RS256: ["rsa"],
+  EdDSA: ["ed25519", "ed448"],
+};
+
+// [{ kid, key: KeyObject }]
+const publicKeys = [];
+let loaded = false;
+
+/**
+ * Load public keys on first use
+ * Resolved lazily: importers load .env after their imports are evaluated
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+
+  const pemFile = process.env.AUTH_JWT_PUBLIC_KEY_FILE;
+  if (pemFile) {
+    try {
+      publicKeys.push({
+        kid: null,
+        key: crypto.createPublicKey(readFileSync(pemFile, "utf-8")),
+      });
+      console.log(`✅ JWT public key loaded from ${pemFile}`);
+    } catch (err) {
+      console.error("❌ Could not load JWT public key:", err.message);
+    }
+  }
+
+  const jwksFile = process.env.AUTH_JWT_JWKS_FILE;
+  if (jwksFile) {
+    try {
+      const jwks = JSON.parse(readFileSync(jwksFile, "utf-8"));
+      for (const jwk of jwks.keys || []) {
+        try {
+          publicKeys.push({
+            kid: jwk.kid || null,
+            key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+          });
+        } catch (err) {
+          console.error(`❌ Skipping JWK ${jwk.kid}:`, err.message);
+        }
+      }
+      console.log(`✅ Loaded ${publicKeys.length} JWT public key(s)`);
+    } catch (err) {
+      console.error("❌ Could not load JWKS:", err.message);
+    }
+  }
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString());
+}
+
+function verifyHmac(signingInput, signature, kid) {
+  const secret = process.env.AUTH_JWT_SECRET || getVerificationSecret(kid);
+  if (!secret) {
+    console.warn(`JWT signed with unknown or retired key: ${kid}`);
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(signingInput).digest("base64url")
+  );
+  const provided = Buffer.from(signature);
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+}
+
+function verifyAsymmetric(alg, signingInput, signature, kid) {
+  ensureLoaded();
+  const candidates = publicKeys.filter(
+    ({ kid: keyKid, key }) =>
+      (!kid || !keyKid || keyKid === kid) &&
+      KEY_TYPES[alg].includes(key.asymmetricKeyType)
+  );
+  if (candidates.length === 0) {
+    console.warn(`No ${alg} public key for JWT kid ${kid}`);
+    return false;
+  }
+
+  const digest = alg === "RS256" ? "sha256" : null;
+  const signatureBytes = Buffer.from(signature, "base64url");
+  return candidates.some(({ key }) =>
+    crypto.verify(digest, Buffer.from(signingInput), key, signatureBytes)
+  );
+}
+
+/**
+ * Check whether a token looks like a JWT (header.payload.signature)
+ * @param {string} token - Raw token
+ * @returns {boolean}
+ */
+export function isJwt(token) {
+  return typeof token === "string" && token.split(".").length === 3;
+}
+
+/**
+ * Verify a JWT's signature and time claims and map it to a token payload
+ * Room and revocation checks are left to verifyAuthToken.
+ * @param {string} token - Raw JWT
+ * @param {Object} options - {allowExpired}
+ * @returns {Object|null} Payload ({clientId, room, rooms, expiresAt, ...}) or null if invalid
+ */
+export function verifyJwt(token, options = {}) {
+  const [headerStr, payloadStr, signature] = token.split(".");
+
+  const header = decodeSegment(headerStr);
+  if (!SUPPORTED_ALGORITHMS.includes(header.alg)) {
+    console.warn(`Unsupported JWT algorithm: ${header.alg}`);
+    return null;
+  }
+
+  const signingInput = `${headerStr}.${payloadStr}`;
+  const valid =
+    header.alg === "HS256"
+      ? verifyHmac(signingInput, signature, header.kid)
+      : verifyAsymmetric(header.alg, signingInput, signature, header.kid);
+  if (!valid) {
+    console.warn("JWT signature verification failed");
+    return null;
+  }
+
+  const claims = decodeSegment(payloadStr);
+  const now = Date.now();
+  const skewMs =
+    parseInt(process.env.AUTH_JWT_CLOCK_SKEW_SEC || "30", 10) * 1000;
+
+  // Without exp a leaked JWT would be valid forever
+  if (
+    typeof claims.exp !== "number" &&
+    process.env.AUTH_JWT_ALLOW_NO_EXP !== "true"
+  ) {
+    console.warn("JWT without exp claim");
+    return null;
+  }
+  if (
+    typeof claims.exp === "number" &&
+    now > claims.exp * 1000 + skewMs &&
+    !options.allowExpired
+  ) {
+    console.warn("Token expired");
+    return null;
+  }
+  if (typeof claims.nbf === "number" && now < claims.nbf * 1000 - skewMs) {
+    console.warn("JWT not yet valid");
+    return null;
+  }
+  const expectedIssuer = process.env.AUTH_JWT_ISSUER;
+  if (expectedIssuer && claims.iss !== expectedIssuer) {
+    console.warn(`Unexpected JWT issuer: ${claims.iss}`);
+    return null;
+  }
+  if (!claims.sub) {
+    console.warn("JWT without sub claim");
+    return null;
+  }
+
+  const rooms = Array.isArray(claims.aud)
+    ? claims.aud
+    : claims.aud
+      ? [claims.aud]
+      : [];
+
+  let scopes;
+  if (Array.isArray(claims.scopes)) {
+    scopes = claims.scopes;
+  } else if (typeof claims.scope === "string") {
+    scopes = claims.scope.split(" ").filter(Boolean);
+  }
+
+  const metadata = { ...(claims.metadata || {}) };
+  if (claims.role && !metadata.role) {
+    metadata.role = claims.role;
+  }
+
+  return {
+    format: "jwt",
+    kid: header.kid || null,
+    tokenId: claims.jti || null,
+    clientId: claims.sub,
+    room: rooms[0] || null,
+    rooms,
+    expiresAt: typeof claims.exp === "number" ? claims.exp * 1000 : null,
+    issuedAt: typeof claims.iat === "number" ? claims.iat * 1000 : null,
+    issuer: claims.iss || null,
+    metadata,
+    scopes,
+  };
+}
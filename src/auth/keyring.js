@@ -0,0 +1,234 @@
+/**
+ * Signing Keyring
+ *
+ * Holds every secret the server accepts for token verification, each with
+ * a key id (kid), and which one is used to sign new tokens. Tokens embed
+ * the kid of the key that signed them, so a new key can be promoted while
+ * screens holding tokens signed with the previous key keep working.
+ *
+ * Key sources:
+ * - AUTH_SECRET: key with kid "default" (tokens without a kid use it)
+ * - AUTH_KEYS: extra keys as "kid:secret,kid2:secret2"
+ * - Keyring file (AUTH_KEYRING_FILE): keys generated through the admin API,
+ *   plus the active kid and retired kids
+ */
+
+import crypto from "crypto";
+import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_KID = "default";
+
+// kid -> { kid, secret, source, createdAt }
+const keys = new Map();
+let activeKid = DEFAULT_KID;
+let retiredKids = new Set();
+let loaded = false;
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function keyringFile() {
+  return (
+    process.env.AUTH_KEYRING_FILE ||
+    join(__dirname, "..", "..", "data", "keyring.json")
+  );
+}
+
+/**
+ * Load keys from the environment and the keyring file on first use
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+  loadEnvironmentKeys();
+  loadKeyringFile();
+}
+
+function loadEnvironmentKeys() {
+  if (process.env.AUTH_SECRET) {
+    keys.set(DEFAULT_KID, {
+      kid: DEFAULT_KID,
+      secret: process.env.AUTH_SECRET,
+      source: "env",
+      createdAt: null,
+    });
+    console.log("✅ AUTH_SECRET loaded from environment");
+  } else {
+    console.warn(
+      "⚠️  WARNING: AUTH_SECRET not set! Using random key. Tokens will not persist across restarts."
+    );
+    console.warn("⚠️  Set AUTH_SECRET environment variable in production!");
+    keys.set(DEFAULT_KID, {
+      kid: DEFAULT_KID,
+      secret:
+        "CHANGE_THIS_IN_PRODUCTION_" + crypto.randomBytes(32).toString("hex"),
+      source: "generated",
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  for (const entry of (process.env.AUTH_KEYS || "").split(",")) {
+    const separator = entry.indexOf(":");
+    if (separator <= 0) continue;
+    const kid = entry.slice(0, separator).trim();
+    keys.set(kid, {
+      kid,
+      secret: entry.slice(separator + 1).trim(),
+      source: "env",
+      createdAt: null,
+    });
+  }
+
+  if (process.env.AUTH_ACTIVE_KID) {
+    activeKid = process.env.AUTH_ACTIVE_KID;
+  }
+}
+
+function loadKeyringFile() {
+  try {
+    const state = JSON.parse(readFileSync(keyringFile(), "utf-8"));
+    for (const key of state.keys || []) {
+      if (!keys.has(key.kid)) {
+        keys.set(key.kid, { ...key, source: "keyring" });
+      }
+    }
+    retiredKids = new Set(state.retired || []);
+    if (state.activeKid) {
+      activeKid = state.activeKid;
+    }
+    console.log(`✅ Keyring loaded from ${keyringFile()}`);
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error("❌ Could not load keyring:", err.message);
+    }
+  }
+}
+
+function saveKeyringFile() {
+  try {
+    mkdirSync(dirname(keyringFile()), { recursive: true });
+    writeFileSync(
+      keyringFile(),
+      JSON.stringify(
+        {
+          activeKid,
+          retired: Array.from(retiredKids),
+          // Only generated keys are stored; env keys stay in the environment
+          keys: Array.from(keys.values())
+            .filter((key) => key.source === "keyring")
+            .map(({ kid, secret, createdAt }) => ({ kid, secret, createdAt })),
+        },
+        null,
+        2
+      ),
+      { mode: 0o600 }
+    );
+  } catch (err) {
+    console.error("❌ Could not persist keyring:", err.message);
+  }
+}
+
+/**
+ * Get the key used to sign new tokens
+ * @returns {Object} {kid, secret}
+ */
+export function getSigningKey() {
+  ensureLoaded();
+  const key = keys.get(activeKid);
+  if (!key || retiredKids.has(activeKid)) {
+    throw new Error(`Active signing key "${activeKid}" is not available`);
+  }
+  return key;
+}
+
+/**
+ * Get the secret for verifying a token signed with `kid`
+ * @param {string} kid - Key id from the token (missing means the default key)
+ * @returns {string|null} Secret, or null if the key is unknown or retired
+ */
+export function getVerificationSecret(kid) {
+  ensureLoaded();
+  const effectiveKid = kid || DEFAULT_KID;
+  if (retiredKids.has(effectiveKid)) {
+    return null;
+  }
+  return keys.get(effectiveKid)?.secret || null;
+}
+
+/**
+ * List keys without their secrets
+ */
+export function listKeys() {
+  ensureLoaded();
+  return Array.from(keys.values()).map((key) => ({
+    kid: key.kid,
+    source: key.source,
+    createdAt: key.createdAt,
+    active: key.kid === activeKid,
+    retired: retiredKids.has(key.kid),
+  }));
+}
+
+/**
+ * Generate a new random key (not yet used for signing)
+ * @param {string} kid - Optional key id (defaults to a timestamped id)
+ * @returns {Object} Key description without the secret
+ */
+export function generateKey(kid) {
+  ensureLoaded();
+  const newKid =
+    kid ||
+    `k${new Date().toISOString().slice(0, 10)}-${crypto
+      .randomBytes(3)
+      .toString("hex")}`;
+  if (keys.has(newKid)) {
+    throw new Error(`Key "${newKid}" already exists`);
+  }
+
+  keys.set(newKid, {
+    kid: newKid,
+    secret: crypto.randomBytes(48).toString("base64url"),
+    source: "keyring",
+    createdAt: new Date().toISOString(),
+  });
+  saveKeyringFile();
+  console.log(`🔑 Generated signing key ${newKid}`);
+  return listKeys().find((key) => key.kid === newKid);
+}
+
+/**
+ * Make a key the active signing key
+ * Previously active keys stay valid for verification.
+ */
+export function promoteKey(kid) {
+  ensureLoaded();
+  if (!keys.has(kid)) {
+    throw new Error(`Unknown key "${kid}"`);
+  }
+  if (retiredKids.has(kid)) {
+    throw new Error(`Key "${kid}" is retired`);
+  }
+  activeKid = kid;
+  saveKeyringFile();
+  console.log(`🔑 Signing key ${kid} promoted to active`);
+  return listKeys().find((key) => key.kid === kid);
+}
+
+/**
+ * Stop accepting tokens signed with a key
+ */
+export function retireKey(kid) {
+  ensureLoaded();
+  if (!keys.has(kid)) {
+    throw new Error(`Unknown key "${kid}"`);
+  }
+  if (kid === activeKid) {
+    throw new Error("The active signing key cannot be retired");
+  }
+  retiredKids.add(kid);
+  saveKeyringFile();
+  console.log(`🔑 Signing key ${kid} retired`);
+  return listKeys().find((key) => key.kid === kid);
+}
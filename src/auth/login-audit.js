@@ -0,0 +1,153 @@
+/**
+ * Docs Login Audit Trail
+ *
+ * Records docs login successes, failures, throttled attempts and lockouts.
+ * Events are appended to a JSON Lines file (DOCS_LOGIN_AUDIT_FILE, default
+ * data/docs-login-audit.jsonl) and the most recent ones are kept in memory
+ * for GET /admin/docs-login/audit.
+ *
+ * Emails that do not belong to a docs user are stored as a SHA-256 prefix:
+ * people mistype passwords into the email field, and those must not end up
+ * in the log in plain text.
+ */
+
+import crypto from "crypto";
+import { readFileSync, appendFileSync, mkdirSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const LoginEvent = {
+  SUCCESS: "success",
+  FAILURE: "failure",
+  THROTTLED: "throttled",
+  LOCKED: "locked",
+};
+
+const DEFAULT_MEMORY_SIZE = 1000;
+
+// Most recent events, oldest first
+const events = [];
+let loaded = false;
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function auditFile() {
+  return (
+    process.env.DOCS_LOGIN_AUDIT_FILE ||
+    join(__dirname, "..", "..", "data", "docs-login-audit.jsonl")
+  );
+}
+
+function getMemorySize() {
+  return parseInt(
+    process.env.DOCS_LOGIN_AUDIT_MEMORY || `${DEFAULT_MEMORY_SIZE}`,
+    10
+  );
+}
+
+function remember(entry) {
+  events.push(entry);
+  if (events.length > getMemorySize()) {
+    events.splice(0, events.length - getMemorySize());
+  }
+}
+
+/**
+ * Load the most recent events from disk on first use
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const lines = readFileSync(auditFile(), "utf-8").split("\n");
+    for (const line of lines.slice(-getMemorySize() - 1)) {
+      if (!line.trim()) continue;
+      try {
+        remember(JSON.parse(line));
+      } catch (_) {
+        /* skip a partially written line */
+      }
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error("❌ Could not load docs login audit:", err.message);
+    }
+  }
+}
+
+/**
+ * Hash an email that does not belong to a user
+ */
+export function maskEmail(email) {
+  return `sha256:${crypto
+    .createHash("sha256")
+    .update(
+      String(email || "")
+        .toLowerCase()
+        .trim()
+    )
+    .digest("hex")
+    .slice(0, 16)}`;
+}
+
+/**
+ * Record a login event
+ * @param {Object} event - {event, email, knownUser, clientAddress, userAgent, reason, role}
+ * @returns {Object} Stored entry
+ */
+export function recordLoginEvent(event) {
+  ensureLoaded();
+  const entry = {
+    time: new Date().toISOString(),
+    event: event.event,
+    account: event.knownUser
+      ? String(event.email).toLowerCase().trim()
+      : maskEmail(event.email),
+    knownUser: Boolean(event.knownUser),
+    ip: event.clientAddress || null,
+    userAgent: event.userAgent || null,
+    reason: event.reason || null,
+    role: event.role || null,
+  };
+
+  remember(entry);
+  try {
+    mkdirSync(dirname(auditFile()), { recursive: true });
+    appendFileSync(auditFile(), `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    console.error("❌ Could not write docs login audit:", err.message);
+  }
+  return entry;
+}
+
+/**
+ * Query recent login events, newest first
+ * @param {Object} filters - {event, account, ip, since, limit}
+ * @returns {Object[]} Matching events
+ */
+export function queryLoginEvents(filters = {}) {
+  ensureLoaded();
+  const account = filters.account
+    ? String(filters.account).toLowerCase().trim()
+    : null;
+  const since = filters.since ? Date.parse(filters.since) : null;
+  const limit = Math.min(parseInt(filters.limit || "100", 10) || 100, 1000);
+
+  const result = [];
+  for (let i = events.length - 1; i >= 0 && result.length < limit; i--) {
+    const entry = events[i];
+    if (filters.event && entry.event !== filters.event) continue;
+    if (
+      account &&
+      entry.account !== account &&
+      entry.account !== maskEmail(account)
+    ) {
+      continue;
+    }
+    if (filters.ip && entry.ip !== filters.ip) continue;
+    if (since && Date.parse(entry.time) < since) continue;
+    result.push(entry);
+  }
+  return result;
+}
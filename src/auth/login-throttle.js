@@ -0,0 +1,265 @@
+/**
+ * Docs Login Throttling
+ *
+ * Tracks failed docs logins per client IP and per account (email). Once a
+ * key has used its free attempts, each further attempt must wait twice as
+ * long as the previous one (exponential backoff). After too many failures
+ * the key is locked out for a while. Unknown emails are tracked exactly like
+ * existing ones, so throttling does not reveal which accounts exist.
+ *
+ * Logins that are still being verified count against the free attempts and
+ * the lockout threshold (beginLoginAttempt), so parallel guesses cannot all
+ * pass the check before the first failure is recorded.
+ *
+ * State is in memory: a restart clears all counters.
+ */
+
+export const ThrottleScope = {
+  IP: "ip",
+  ACCOUNT: "account",
+};
+
+const MAX_TRACKED_KEYS = 10000;
+
+// "scope:value" -> { scope, value, failures, lastFailureAt, lockedUntil }
+const attempts = new Map();
+
+// "scope:value" -> number of logins currently being verified
+const pending = new Map();
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function getSetting(name, fallback) {
+  return parseInt(process.env[name] || `${fallback}`, 10);
+}
+
+function getConfig() {
+  return {
+    freeAttempts: getSetting("DOCS_LOGIN_FREE_ATTEMPTS", 3),
+    backoffBaseMs: getSetting("DOCS_LOGIN_BACKOFF_BASE_MS", 1000),
+    backoffMaxMs: getSetting("DOCS_LOGIN_BACKOFF_MAX_MS", 60000),
+    lockoutThreshold: {
+      [ThrottleScope.ACCOUNT]: getSetting("DOCS_LOGIN_ACCOUNT_LOCKOUT", 5),
+      [ThrottleScope.IP]: getSetting("DOCS_LOGIN_IP_LOCKOUT", 20),
+    },
+    lockoutMs: getSetting("DOCS_LOGIN_LOCKOUT_MS", 15 * 60 * 1000),
+  };
+}
+
+function keyFor(scope, value) {
+  return `${scope}:${value}`;
+}
+
+function normalizeEmail(email) {
+  return String(email || "")
+    .toLowerCase()
+    .trim();
+}
+
+function keysFor(clientAddress, email) {
+  const keys = [];
+  if (clientAddress) {
+    keys.push({ scope: ThrottleScope.IP, value: clientAddress });
+  }
+  if (email) {
+    keys.push({ scope: ThrottleScope.ACCOUNT, value: normalizeEmail(email) });
+  }
+  return keys;
+}
+
+/**
+ * Get the tracked state for a key, forgetting it once it has gone quiet
+ */
+function getState(scope, value, now) {
+  const key = keyFor(scope, value);
+  const state = attempts.get(key);
+  if (!state) return null;
+
+  // Failures are forgotten after a lockout period without new ones
+  if (
+    state.lockedUntil <= now &&
+    now - state.lastFailureAt > getConfig().lockoutMs
+  ) {
+    attempts.delete(key);
+    return null;
+  }
+  return state;
+}
+
+function backoffMs(failures, config) {
+  const excess = failures - config.freeAttempts;
+  if (excess < 0) return 0;
+  return Math.min(config.backoffBaseMs * 2 ** excess, config.backoffMaxMs);
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {string|null} clientAddress - Caller IP
+ * @param {string} email - Submitted email
+ * @returns {Object} {allowed: true} or {allowed: false, reason, scope, retryAfterMs}
+ */
+export function checkLoginAllowed(clientAddress, email) {
+  const now = Date.now();
+  const config = getConfig();
+  let blocked = null;
+
+  for (const { scope, value } of keysFor(clientAddress, email)) {
+    const state = getState(scope, value, now);
+    const inFlight = pending.get(keyFor(scope, value)) || 0;
+    const failures = state ? state.failures : 0;
+
+    let candidate = null;
+    if (state && state.lockedUntil > now) {
+      candidate = {
+        reason: "locked",
+        scope,
+        retryAfterMs: state.lockedUntil - now,
+      };
+    } else if (
+      inFlight > 0 &&
+      failures + inFlight >=
+        Math.min(config.freeAttempts, config.lockoutThreshold[scope])
+    ) {
+      // Past the free attempts, one login at a time: the others may fail
+      candidate = {
+        reason: "throttled",
+        scope,
+        retryAfterMs: backoffMs(failures + inFlight, config),
+      };
+    } else if (state) {
+      const waitUntil = state.lastFailureAt + backoffMs(state.failures, config);
+      if (waitUntil > now) {
+        candidate = {
+          reason: "throttled",
+          scope,
+          retryAfterMs: waitUntil - now,
+        };
+      }
+    }
+
+    if (
+      candidate &&
+      (!blocked || candidate.retryAfterMs > blocked.retryAfterMs)
+    ) {
+      blocked = candidate;
+    }
+  }
+
+  return blocked ? { allowed: false, ...blocked } : { allowed: true };
+}
+
+/**
+ * Check a login attempt and, if allowed, reserve it until endLoginAttempt
+ * Call endLoginAttempt once the outcome has been recorded.
+ * @param {string|null} clientAddress - Caller IP
+ * @param {string} email - Submitted email
+ * @returns {Object} Same as checkLoginAllowed
+ */
+export function beginLoginAttempt(clientAddress, email) {
+  const decision = checkLoginAllowed(clientAddress, email);
+  if (decision.allowed) {
+    for (const { scope, value } of keysFor(clientAddress, email)) {
+      const key = keyFor(scope, value);
+      pending.set(key, (pending.get(key) || 0) + 1);
+    }
+  }
+  return decision;
+}
+
+/**
+ * Release an attempt reserved by beginLoginAttempt
+ * @param {string|null} clientAddress - Caller IP
+ * @param {string} email - Submitted email
+ */
+export function endLoginAttempt(clientAddress, email) {
+  for (const { scope, value } of keysFor(clientAddress, email)) {
+    const key = keyFor(scope, value);
+    const count = (pending.get(key) || 0) - 1;
+    if (count > 0) {
+      pending.set(key, count);
+    } else {
+      pending.delete(key);
+    }
+  }
+}
+
+/**
+ * Record a failed login
+ * @returns {Object[]} Keys that became locked by this failure ({scope, value, lockedUntil})
+ */
+export function recordLoginFailure(clientAddress, email) {
+  const now = Date.now();
+  const config = getConfig();
+  const newlyLocked = [];
+
+  for (const { scope, value } of keysFor(clientAddress, email)) {
+    const key = keyFor(scope, value);
+    let state = getState(scope, value, now);
+    if (!state) {
+      // Bounded: drop the oldest tracked key (Map keeps insertion order)
+      while (attempts.size >= MAX_TRACKED_KEYS) {
+        attempts.delete(attempts.keys().next().value);
+      }
+      state = { scope, value, failures: 0, lastFailureAt: 0, lockedUntil: 0 };
+      attempts.set(key, state);
+    }
+
+    state.failures++;
+    state.lastFailureAt = now;
+
+    if (
+      state.failures >= config.lockoutThreshold[scope] &&
+      state.lockedUntil <= now
+    ) {
+      state.lockedUntil = now + config.lockoutMs;
+      newlyLocked.push({ scope, value, lockedUntil: state.lockedUntil });
+    }
+  }
+
+  return newlyLocked;
+}
+
+/**
+ * Record a successful login: the account's failures are forgotten
+ * The IP keeps its count so one valid account cannot reset IP throttling.
+ */
+export function recordLoginSuccess(email) {
+  attempts.delete(keyFor(ThrottleScope.ACCOUNT, normalizeEmail(email)));
+}
+
+/**
+ * List keys with recent failures or an active lockout
+ */
+export function listLoginThrottles() {
+  const now = Date.now();
+  const result = [];
+  for (const { scope, value } of Array.from(attempts.values())) {
+    const state = getState(scope, value, now);
+    if (!state) continue;
+    result.push({
+      scope,
+      value,
+      failures: state.failures,
+      lastFailureAt: new Date(state.lastFailureAt).toISOString(),
+      lockedUntil:
+        state.lockedUntil > now
+          ? new Date(state.lockedUntil).toISOString()
+          : null,
+    });
+  }
+  return result;
+}
+
+/**
+ * Clear a key's failures and lockout (admin unlock)
+ * @param {string} scope - ThrottleScope.IP or ThrottleScope.ACCOUNT
+ * @param {string} value - IP address or email
+ * @returns {boolean} True if the key was tracked
+ */
+export function clearLoginThrottle(scope, value) {
+  if (!Object.values(ThrottleScope).includes(scope)) {
+    throw new Error(`Unknown throttle scope: ${scope}`);
+  }
+  const normalized =
+    scope === ThrottleScope.ACCOUNT ? normalizeEmail(value) : value;
+  return attempts.delete(keyFor(scope, normalized));
+}
@@ -0,0 +1,295 @@
+/**
+ * Permanent Token Registry
+ *
+ * Long-lived credentials for trusted clients (screens, the advertiser
+ * bridge, control and monitoring tools). Tokens are opaque strings matched
+ * exactly; each entry declares its rooms, role and description, and the
+ * registry tracks when and from where it was last used.
+ *
+ * Sources:
+ * - Config file (AUTH_PERMANENT_TOKENS_CONFIG, default
+ *   data/permanent-tokens.config.json, see permanent-tokens.example.json)
+ *   and AUTH_PERMANENT_TOKENS (JSON array). Entries should carry a
+ *   tokenHash (sha256 hex) rather than the token, so the config holds no
+ *   usable credential.
+ * - Registry state file (AUTH_PERMANENT_TOKENS_FILE): tokens created through
+ *   the admin API (stored hashed), disabled flags and usage counters
+ */
+
+import crypto from "crypto";
+import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const USAGE_FLUSH_DELAY_MS = 5000;
+
+// id -> entry
+const entries = new Map();
+// sha256(token) -> id
+const tokenIndex = new Map();
+let loaded = false;
+let flushTimer = null;
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function configFile() {
+  return (
+    process.env.AUTH_PERMANENT_TOKENS_CONFIG ||
+    join(__dirname, "..", "..", "data", "permanent-tokens.config.json")
+  );
+}
+
+function stateFile() {
+  return (
+    process.env.AUTH_PERMANENT_TOKENS_FILE ||
+    join(__dirname, "..", "..", "data", "permanent-tokens.json")
+  );
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function addEntry(definition, source) {
+  if (!definition.id || (!definition.token && !definition.tokenHash)) {
+    console.warn("Skipping permanent token without id or token", definition.id);
+    return;
+  }
+
+  const entry = {
+    id: definition.id,
+    clientId: definition.clientId || definition.id,
+    role: definition.role || null,
+    rooms: Array.isArray(definition.rooms) ? definition.rooms : [],
+    scopes: Array.isArray(definition.scopes) ? definition.scopes : null,
+    description: definition.description || "",
+    // Plaintext is only kept for configured tokens, which already live in config
+    token: source === "config" ? definition.token || null : null,
+    tokenHash: definition.tokenHash || hashToken(definition.token),
+    source,
+    disabled: Boolean(definition.disabled),
+    createdAt: definition.createdAt || null,
+    createdBy: definition.createdBy || null,
+    lastUsedAt: null,
+    lastUsedIp: null,
+    useCount: 0,
+  };
+
+  entries.set(entry.id, entry);
+  tokenIndex.set(entry.tokenHash, entry.id);
+}
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`❌ Could not read ${path}:`, err.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Load configured tokens and registry state on first use
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+
+  const config = readJson(configFile());
+  for (const definition of config?.tokens || []) {
+    addEntry(definition, "config");
+  }
+
+  if (process.env.AUTH_PERMANENT_TOKENS) {
+    try {
+      for (const definition of JSON.parse(process.env.AUTH_PERMANENT_TOKENS)) {
+        addEntry(definition, "config");
+      }
+    } catch (err) {
+      console.error("❌ AUTH_PERMANENT_TOKENS is not valid JSON:", err.message);
+    }
+  }
+
+  const state = readJson(stateFile());
+  for (const definition of state?.tokens || []) {
+    if (!entries.has(definition.id)) {
+      addEntry(definition, "registry");
+    }
+  }
+  for (const [id, saved] of Object.entries(state?.status || {})) {
+    const entry = entries.get(id);
+    if (entry) {
+      entry.disabled = Boolean(saved.disabled);
+      entry.lastUsedAt = saved.lastUsedAt || null;
+      entry.lastUsedIp = saved.lastUsedIp || null;
+      entry.useCount = saved.useCount || 0;
+    }
+  }
+
+  console.log(`✅ Loaded ${entries.size} permanent token(s)`);
+}
+
+function saveState() {
+  const tokens = [];
+  const status = {};
+  for (const entry of entries.values()) {
+    if (entry.source === "registry") {
+      tokens.push({
+        id: entry.id,
+        clientId: entry.clientId,
+        role: entry.role,
+        rooms: entry.rooms,
+        scopes: entry.scopes,
+        description: entry.description,
+        tokenHash: entry.tokenHash,
+        createdAt: entry.createdAt,
+        createdBy: entry.createdBy,
+      });
+    }
+    status[entry.id] = {
+      disabled: entry.disabled,
+      lastUsedAt: entry.lastUsedAt,
+      lastUsedIp: entry.lastUsedIp,
+      useCount: entry.useCount,
+    };
+  }
+
+  try {
+    mkdirSync(dirname(stateFile()), { recursive: true });
+    writeFileSync(stateFile(), JSON.stringify({ tokens, status }, null, 2));
+  } catch (err) {
+    console.error("❌ Could not persist permanent tokens:", err.message);
+  }
+}
+
+// Usage counters change on every connection: batch the writes
+function scheduleSave() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    saveState();
+  }, USAGE_FLUSH_DELAY_MS);
+  flushTimer.unref();
+}
+
+// Public view of an entry: never expose the token or its hash
+function describe(entry) {
+  return {
+    id: entry.id,
+    clientId: entry.clientId,
+    role: entry.role,
+    rooms: entry.rooms,
+    scopes: entry.scopes,
+    description: entry.description,
+    source: entry.source,
+    disabled: entry.disabled,
+    createdAt: entry.createdAt,
+    createdBy: entry.createdBy,
+    lastUsedAt: entry.lastUsedAt,
+    lastUsedIp: entry.lastUsedIp,
+    useCount: entry.useCount,
+  };
+}
+
+/**
+ * Find the registry entry for a raw token
+ * @param {string} token - Raw token
+ * @returns {Object|null} Entry (possibly disabled) or null
+ */
+export function findPermanentToken(token) {
+  ensureLoaded();
+  const id = tokenIndex.get(hashToken(token));
+  return id ? entries.get(id) : null;
+}
+
+/**
+ * Record a successful use of a permanent token
+ * @param {string} id - Entry id
+ * @param {string|null} clientAddress - Caller address
+ */
+export function recordPermanentTokenUsage(id, clientAddress) {
+  ensureLoaded();
+  const entry = entries.get(id);
+  if (!entry) return;
+  entry.lastUsedAt = new Date().toISOString();
+  entry.lastUsedIp = clientAddress || entry.lastUsedIp;
+  entry.useCount++;
+  scheduleSave();
+}
+
+/**
+ * List permanent tokens (without token values)
+ */
+export function listPermanentTokens() {
+  ensureLoaded();
+  return Array.from(entries.values()).map(describe);
+}
+
+/**
+ * Create a permanent token
+ * @param {Object} definition - {id, clientId, role, rooms, scopes, description}
+ * @param {string} createdBy - Admin that created it
+ * @returns {Object} {token, entry} - token is only returned here
+ */
+export function createPermanentToken(definition, createdBy) {
+  ensureLoaded();
+  if (!definition.id || !/^[A-Za-z0-9_.-]+$/.test(definition.id)) {
+    throw new Error("id is required (letters, digits, . _ -)");
+  }
+  if (entries.has(definition.id)) {
+    throw new Error(`Permanent token "${definition.id}" already exists`);
+  }
+  if (
+    !Array.isArray(definition.rooms) ||
+    definition.rooms.length === 0 ||
+    !definition.rooms.every((room) => typeof room === "string" && room)
+  ) {
+    throw new Error("rooms must be a non-empty array of room names");
+  }
+
+  const token = `pt_${crypto.randomBytes(32).toString("base64url")}`;
+  addEntry(
+    {
+      ...definition,
+      token,
+      createdAt: new Date().toISOString(),
+      createdBy,
+    },
+    "registry"
+  );
+  saveState();
+  console.log(`🔑 Permanent token ${definition.id} created by ${createdBy}`);
+
+  return { token, entry: describe(entries.get(definition.id)) };
+}
+
+/**
+ * Enable or disable a permanent token
+ * @returns {Object|null} Updated entry or null if unknown
+ */
+export function setPermanentTokenDisabled(id, disabled) {
+  ensureLoaded();
+  const entry = entries.get(id);
+  if (!entry) return null;
+  entry.disabled = Boolean(disabled);
+  saveState();
+  console.log(
+    `🔑 Permanent token ${id} ${entry.disabled ? "disabled" : "enabled"}`
+  );
+  return describe(entry);
+}
+
+/**
+ * Get the value of a configured permanent token (e.g. for internal bridges)
+ * Tokens created through the admin API are stored hashed and cannot be read back.
+ * @param {string} id - Entry id
+ * @returns {string|null}
+ */
+export function getConfiguredTokenValue(id) {
+  ensureLoaded();
+  const entry = entries.get(id);
+  return entry && !entry.disabled ? entry.token : null;
+}
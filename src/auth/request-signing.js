@@ -0,0 +1,232 @@
+/**
+ * HMAC-Signed Request Bodies
+ *
+ * Alternative to bearer tokens for server-to-server room posts. The caller
+ * signs the raw body together with a timestamp and a nonce using a secret
+ * shared with its integration, and sends:
+ *
+ *   X-Signature: keyId=<integration>,t=<unix seconds>,nonce=<random>,v1=<hex>
+ *
+ * where v1 = HMAC-SHA256(secret, `${t}.${nonce}.${rawBody}`). Requests outside
+ * the tolerance window or reusing a nonce are rejected, so a sniffed request
+ * cannot be replayed.
+ *
+ * Integrations:
+ * - AUTH_SIGNING_KEYS: "id:secret,id2:secret2" (may post to every room)
+ * - AUTH_SIGNING_INTEGRATIONS_FILE: JSON {integrations: [{id, secret, rooms, scopes, role}]}
+ */
+
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import { Scopes, roomMatches } from "./index.js";
+
+export const SIGNATURE_HEADER = "x-signature";
+
+const DEFAULT_TOLERANCE_SEC = 300;
+const DEFAULT_NONCE_CACHE_SIZE = 10000;
+
+// id -> { id, secret, rooms, scopes, role }
+const integrations = new Map();
+// nonce key -> expiry timestamp, oldest first (Map keeps insertion order)
+const seenNonces = new Map();
+let loaded = false;
+
+/**
+ * Load integrations on first use
+ * Resolved lazily: importers load .env after their imports are evaluated
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+
+  for (const entry of (process.env.AUTH_SIGNING_KEYS || "").split(",")) {
+    const separator = entry.indexOf(":");
+    if (separator <= 0) continue;
+    const id = entry.slice(0, separator).trim();
+    integrations.set(id, {
+      id,
+      secret: entry.slice(separator + 1).trim(),
+      rooms: ["*"],
+      scopes: [Scopes.ROOM_POST],
+      role: null,
+    });
+  }
+
+  const file = process.env.AUTH_SIGNING_INTEGRATIONS_FILE;
+  if (file) {
+    try {
+      const config = JSON.parse(readFileSync(file, "utf-8"));
+      for (const integration of config.integrations || []) {
+        if (!integration.id || !integration.secret) {
+          console.warn("Skipping signing integration without id or secret");
+          continue;
+        }
+        integrations.set(integration.id, {
+          id: integration.id,
+          secret: integration.secret,
+          rooms: integration.rooms || ["*"],
+          scopes: integration.scopes || [Scopes.ROOM_POST],
+          role: integration.role || null,
+        });
+      }
+      console.log(`✅ Loaded signing integrations from ${file}`);
+    } catch (err) {
+      console.error("❌ Could not load signing integrations:", err.message);
+    }
+  }
+}
+
+function getToleranceMs() {
+  return (
+    parseInt(
+      process.env.AUTH_SIGNATURE_TOLERANCE_SEC || `${DEFAULT_TOLERANCE_SEC}`,
+      10
+    ) * 1000
+  );
+}
+
+function getNonceCacheSize() {
+  return parseInt(
+    process.env.AUTH_NONCE_CACHE_SIZE || `${DEFAULT_NONCE_CACHE_SIZE}`,
+    10
+  );
+}
+
+/**
+ * Parse "keyId=a,t=1,nonce=b,v1=c" into an object
+ */
+function parseSignatureHeader(header) {
+  const fields = {};
+  for (const part of String(header).split(",")) {
+    const separator = part.indexOf("=");
+    if (separator <= 0) continue;
+    fields[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+  }
+  return fields;
+}
+
+/**
+ * Remember a nonce
+ * The cache is bounded, but a nonce is only forgotten once it has expired:
+ * dropping a live one would let its request be replayed. When the cache is
+ * full of live nonces the request is refused until the oldest expires.
+ * @returns {Object|null} null when remembered, else {error, status, retryAfterMs}
+ */
+function rememberNonce(keyId, nonce, now) {
+  const key = `${keyId}:${nonce}`;
+  const expiry = seenNonces.get(key);
+  if (expiry && expiry > now) {
+    return { error: "Nonce already used", status: 401 };
+  }
+
+  // Every nonce lives equally long, so the expired ones come first
+  for (const [seenKey, seenExpiry] of seenNonces) {
+    if (seenExpiry > now) break;
+    seenNonces.delete(seenKey);
+  }
+  if (seenNonces.size >= getNonceCacheSize()) {
+    const oldestExpiry = seenNonces.values().next().value;
+    return {
+      error: "Too many signed requests, retry later",
+      status: 503,
+      retryAfterMs: oldestExpiry - now,
+    };
+  }
+
+  // A nonce only needs to be remembered while its timestamp is acceptable
+  seenNonces.delete(key);
+  seenNonces.set(key, now + 2 * getToleranceMs());
+  return null;
+}
+
+/**
+ * Compute the signature for a body (for clients and test scripts)
+ * @param {string} secret - Integration secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} nonce - Unique random value
+ * @param {string} rawBody - Exact request body
+ * @returns {string} Hex HMAC-SHA256
+ */
+export function computeSignature(secret, timestamp, nonce, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.${rawBody}`)
+    .digest("hex");
+}
+
+/**
+ * Check whether a request carries a body signature
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {boolean}
+ */
+export function isSignedRequest(req) {
+  return Boolean(req.headers[SIGNATURE_HEADER]);
+}
+
+/**
+ * Verify a signed request body
+ * @param {http.IncomingMessage} req - HTTP request (for the signature header)
+ * @param {string} rawBody - Exact request body as received
+ * @param {string} room - Room being posted to
+ * @returns {Object} {payload} on success, or {error, status, retryAfterMs}
+ *   describing the rejection (status defaults to 401)
+ */
+export function verifySignedRequest(req, rawBody, room) {
+  ensureLoaded();
+  const fields = parseSignatureHeader(req.headers[SIGNATURE_HEADER]);
+  const { keyId, t, nonce, v1 } = fields;
+
+  if (!keyId || !t || !nonce || !v1) {
+    return { error: "X-Signature must contain keyId, t, nonce and v1" };
+  }
+
+  const integration = integrations.get(keyId);
+  if (!integration) {
+    return { error: "Unknown signing key" };
+  }
+
+  const timestamp = Number(t);
+  const now = Date.now();
+  if (
+    !Number.isFinite(timestamp) ||
+    Math.abs(now - timestamp * 1000) > getToleranceMs()
+  ) {
+    return { error: "Signature timestamp outside the tolerance window" };
+  }
+
+  const expected = Buffer.from(
+    computeSignature(integration.secret, t, nonce, rawBody)
+  );
+  const provided = Buffer.from(v1);
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    console.warn(`Body signature verification failed for ${keyId}`);
+    return { error: "Invalid signature" };
+  }
+
+  if (!integration.rooms.some((pattern) => roomMatches(pattern, room))) {
+    return { error: "Signing key not valid for this room" };
+  }
+
+  // Only record nonces of authentic requests so they cannot be pre-filled
+  const rejected = rememberNonce(keyId, nonce, now);
+  if (rejected) {
+    console.warn(`Signed request rejected for ${keyId}: ${rejected.error}`);
+    return rejected;
+  }
+
+  return {
+    payload: {
+      format: "signature",
+      clientId: integration.id,
+      room,
+      rooms: integration.rooms,
+      expiresAt: null,
+      metadata: { role: integration.role, integration: integration.id },
+      scopes: integration.scopes,
+      issuedAt: timestamp * 1000,
+    },
+  };
+}
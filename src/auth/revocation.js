@@ -0,0 +1,139 @@
+/**
+ * Token Revocation Store
+ *
+ * Keeps a list of revoked token ids and client ids, persisted to a local
+ * JSON file so revocations survive restarts. verifyAuthToken consults it
+ * for every token, including the always-valid ones.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const RevocationType = {
+  TOKEN: "token", // A single token, by token id
+  CLIENT: "client", // Every token issued to a clientId
+};
+
+// Map of "type:value" -> revocation entry
+const revocations = new Map();
+let loaded = false;
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function revocationFile() {
+  return (
+    process.env.AUTH_REVOCATION_FILE ||
+    join(__dirname, "..", "..", "data", "revocations.json")
+  );
+}
+
+function keyFor(type, value) {
+  return `${type}:${value}`;
+}
+
+/**
+ * Load revocations from disk on first use (missing file means an empty list)
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+  try {
+    const entries = JSON.parse(readFileSync(revocationFile(), "utf-8"));
+    for (const entry of entries) {
+      revocations.set(keyFor(entry.type, entry.value), entry);
+    }
+    console.log(
+      `✅ Loaded ${revocations.size} token revocation(s) from ${revocationFile()}`
+    );
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error("❌ Could not load token revocations:", err.message);
+    }
+  }
+}
+
+function saveRevocations() {
+  try {
+    mkdirSync(dirname(revocationFile()), { recursive: true });
+    writeFileSync(
+      revocationFile(),
+      JSON.stringify(Array.from(revocations.values()), null, 2)
+    );
+  } catch (err) {
+    console.error("❌ Could not persist token revocations:", err.message);
+  }
+}
+
+/**
+ * Revoke a token id or client id
+ * @param {string} type - RevocationType.TOKEN or RevocationType.CLIENT
+ * @param {string} value - Token id or client id
+ * @param {Object} options - {reason, revokedBy}
+ * @returns {Object} The stored revocation entry
+ */
+export function revoke(type, value, options = {}) {
+  ensureLoaded();
+  if (!Object.values(RevocationType).includes(type)) {
+    throw new Error(`Unknown revocation type: ${type}`);
+  }
+  if (!value || typeof value !== "string") {
+    throw new Error("A token id or client id is required");
+  }
+
+  const entry = {
+    type,
+    value,
+    reason: options.reason || null,
+    revokedBy: options.revokedBy || null,
+    revokedAt: new Date().toISOString(),
+  };
+
+  revocations.set(keyFor(type, value), entry);
+  saveRevocations();
+  console.log(`🚫 Revoked ${type} ${value}`);
+  return entry;
+}
+
+/**
+ * Remove a revocation
+ * @returns {boolean} True if an entry was removed
+ */
+export function unrevoke(type, value) {
+  ensureLoaded();
+  const removed = revocations.delete(keyFor(type, value));
+  if (removed) {
+    saveRevocations();
+    console.log(`♻️  Un-revoked ${type} ${value}`);
+  }
+  return removed;
+}
+
+/**
+ * List all revocations
+ */
+export function listRevocations() {
+  ensureLoaded();
+  return Array.from(revocations.values());
+}
+
+/**
+ * Find the revocation that applies to a decoded token payload
+ * @param {Object} payload - Decoded token payload (with tokenId and clientId)
+ * @returns {Object|null} Matching revocation entry or null
+ */
+export function findRevocation(payload) {
+  ensureLoaded();
+  if (!payload) {
+    return null;
+  }
+
+  return (
+    (payload.tokenId &&
+      revocations.get(keyFor(RevocationType.TOKEN, payload.tokenId))) ||
+    (payload.clientId &&
+      revocations.get(keyFor(RevocationType.CLIENT, payload.clientId))) ||
+    null
+  );
+}
@@ -0,0 +1,143 @@
+/**
+ * Docs Session Stores
+ *
+ * Storage backends for docs portal sessions. Sessions are keyed by session
+ * id (a SHA-256 hash of the session token), so a leaked store never reveals
+ * usable tokens.
+ *
+ * Every store implements the same async interface, so a shared backend
+ * (e.g. Redis for several Cloud Run instances) can be plugged in with
+ * setSessionStore() in docs-auth.js:
+ *
+ *   get(id) -> session | null
+ *   set(id, session)
+ *   delete(id) -> boolean
+ *   list() -> session[]
+ *
+ * Built-in stores (DOCS_SESSION_STORE):
+ * - memory: sessions are lost on restart
+ * - file (default): persisted to DOCS_SESSION_FILE (default
+ *   data/docs-sessions.json); suitable for a single instance
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const FLUSH_DELAY_MS = 5000;
+
+/**
+ * In-memory session store
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  async set(id, session) {
+    this.sessions.set(id, session);
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  async list() {
+    return Array.from(this.sessions.values());
+  }
+}
+
+/**
+ * Session store persisted to a JSON file
+ * Reads are served from memory; writes are batched so activity updates on
+ * every request do not each hit the disk.
+ */
+export class FileSessionStore extends MemorySessionStore {
+  constructor(file) {
+    super();
+    this.file = file;
+    this.flushTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(readFileSync(this.file, "utf-8"));
+      for (const session of saved.sessions || []) {
+        this.sessions.set(session.id, session);
+      }
+      console.log(
+        `✅ Loaded ${this.sessions.size} docs session(s) from ${this.file}`
+      );
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("❌ Could not load docs sessions:", err.message);
+      }
+    }
+  }
+
+  save() {
+    try {
+      mkdirSync(dirname(this.file), { recursive: true });
+      writeFileSync(
+        this.file,
+        JSON.stringify({ sessions: Array.from(this.sessions.values()) })
+      );
+    } catch (err) {
+      console.error("❌ Could not persist docs sessions:", err.message);
+    }
+  }
+
+  scheduleSave() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.save();
+    }, FLUSH_DELAY_MS);
+    this.flushTimer.unref();
+  }
+
+  async set(id, session) {
+    const isNew = !this.sessions.has(id);
+    await super.set(id, session);
+    // New sessions are written at once; activity updates can wait
+    if (isNew) {
+      this.save();
+    } else {
+      this.scheduleSave();
+    }
+  }
+
+  async delete(id) {
+    const deleted = await super.delete(id);
+    if (deleted) {
+      this.save();
+    }
+    return deleted;
+  }
+}
+
+/**
+ * Create the session store configured by DOCS_SESSION_STORE
+ * @returns {MemorySessionStore|FileSessionStore}
+ */
+export function createSessionStore() {
+  const type = process.env.DOCS_SESSION_STORE || "file";
+
+  if (type === "memory") {
+    return new MemorySessionStore();
+  }
+  if (type !== "file") {
+    console.warn(`Unknown DOCS_SESSION_STORE "${type}", using file`);
+  }
+  return new FileSessionStore(
+    process.env.DOCS_SESSION_FILE ||
+      join(__dirname, "..", "..", "data", "docs-sessions.json")
+  );
+}
@@ -0,0 +1,158 @@
+/**
+ * In-band Token Refresh
+ *
+ * Tokens are only checked at handshake time, but screens stay connected for
+ * days. Connected clients are warned ahead of expiry with a `token-expiring`
+ * message and can swap their token without reconnecting by sending
+ * `{type: "refreshToken", token}`. Sockets whose token expired without a
+ * refresh can optionally be closed (TOKEN_EXPIRY_ENFORCE=true).
+ */
+
+import { AuthConfig, verifyAuthToken } from "./index.js";
+
+export const REFRESH_MESSAGE_TYPE = "refreshtoken";
+
+function getExpiryWarningMs() {
+  return parseInt(process.env.TOKEN_EXPIRY_WARNING_MS || "300000", 10);
+}
+
+function isEnforced() {
+  return process.env.TOKEN_EXPIRY_ENFORCE === "true";
+}
+
+function send(socket, obj) {
+  try {
+    socket.send(JSON.stringify(obj));
+  } catch (err) {
+    console.error("Failed to send JSON", err);
+  }
+}
+
+/**
+ * Check whether a parsed message is a refresh request
+ * @param {Object} message - Parsed client message
+ * @returns {boolean}
+ */
+export function isRefreshTokenMessage(message) {
+  return (
+    typeof message?.type === "string" &&
+    message.type.toLowerCase() === REFRESH_MESSAGE_TYPE
+  );
+}
+
+/**
+ * Handle a {type: "refreshToken", token} message
+ * The new token must be valid for the socket's room, pass the room handler's
+ * auth check and belong to the same client as the current one.
+ * @param {WebSocket} socket - Client socket (with authPayload and currentRoom)
+ * @param {Object} message - Parsed message
+ * @param {Object} context - {clientAddress, handler}
+ * @returns {Promise<boolean>} True if the token was replaced
+ */
+export async function handleRefreshTokenMessage(socket, message, context) {
+  const { clientAddress, handler } = context;
+  const fail = (reason) => {
+    console.warn(`Token refresh rejected for ${clientAddress}: ${reason}`);
+    send(socket, { type: "token-refresh-failed", error: reason });
+    return false;
+  };
+
+  if (typeof message.token !== "string" || !message.token) {
+    return fail("token is required");
+  }
+
+  const payload = verifyAuthToken(message.token, socket.currentRoom, {
+    clientAddress,
+  });
+  if (!payload) {
+    return fail("Invalid or expired token");
+  }
+
+  const current = socket.authPayload;
+  if (current && current.clientId !== payload.clientId) {
+    return fail("Token belongs to a different client");
+  }
+
+  const authResult = socket.isControlChannel
+    ? await handler.verifyControlAuth(payload, null, clientAddress)
+    : await handler.verifyAuth(payload, null, clientAddress);
+  if (authResult && authResult.reject) {
+    return fail(authResult.reason);
+  }
+
+  socket.authPayload = payload;
+  socket.tokenExpiryWarnedAt = null;
+  socket.tokenExpiredNotified = false;
+
+  console.log(
+    `Token refreshed for ${payload.clientId} (${clientAddress}) in ${socket.currentRoom}`
+  );
+  send(socket, {
+    type: "token-refreshed",
+    expiresAt: payload.expiresAt
+      ? new Date(payload.expiresAt).toISOString()
+      : null,
+    time: Date.now(),
+  });
+  return true;
+}
+
+/**
+ * Warn sockets whose token expires soon and handle expired tokens
+ * Called periodically by the server.
+ * @param {Map[]} roomMaps - Room maps (room name -> Set of sockets)
+ * @returns {Object} {warned, expired, closed}
+ */
+export function checkTokenExpiry(roomMaps) {
+  const now = Date.now();
+  const warningMs = getExpiryWarningMs();
+  const enforce = isEnforced();
+  const result = { warned: 0, expired: 0, closed: 0 };
+
+  for (const roomMap of roomMaps) {
+    for (const clients of roomMap.values()) {
+      for (const socket of clients) {
+        const expiresAt = socket.authPayload?.expiresAt;
+        if (!expiresAt) continue; // anonymous or permanent
+
+        if (now >= expiresAt) {
+          result.expired++;
+          if (enforce) {
+            try {
+              socket.close(AuthConfig.ERRORS.EXPIRED_TOKEN, "Token expired");
+            } catch (_) {
+              /* socket already closing */
+            }
+            result.closed++;
+          } else if (!socket.tokenExpiredNotified) {
+            send(socket, {
+              type: "token-expired",
+              expiresAt: new Date(expiresAt).toISOString(),
+              time: now,
+            });
+            socket.tokenExpiredNotified = true;
+          }
+          continue;
+        }
+
+        if (
+          warningMs > 0 &&
+          expiresAt - now <= warningMs &&
+          socket.tokenExpiryWarnedAt !== expiresAt
+        ) {
+          send(socket, {
+            type: "token-expiring",
+            expiresAt: new Date(expiresAt).toISOString(),
+            expiresInMs: expiresAt - now,
+            refresh: { type: "refreshToken", token: "<new token>" },
+            time: now,
+          });
+          socket.tokenExpiryWarnedAt = expiresAt;
+          result.warned++;
+        }
+      }
+    }
+  }
+
+  return result;
+}
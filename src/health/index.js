@@ -6,6 +6,12 @@
  */
 
 import { roomRegistry } from "../rooms/index.js";
+import {
+  extractToken,
+  verifyAuthToken,
+  hasScope,
+  Scopes,
+} from "../auth/index.js";
 
 /**
  * Parse boolean-like query parameters with a default value
@@ -66,6 +72,7 @@ export async function generateHealthResponse(rooms, wss, detailed = false) {
     clients: wss?.clients?.size || 0,
     rooms: roomStats,
     registeredHandlers: roomRegistry.getRegisteredRooms(),
+    roomPolicy: roomRegistry.getRoomPolicy().mode,
   };
 }
 
@@ -85,6 +92,39 @@ export async function handleHealthRequest(req, res, rooms, wss) {
       false
     );
 
+    // Detailed stats expose client addresses: they need a token granting
+    // health:read unless HEALTH_DETAILED_PUBLIC=true opts out
+    const isPublic = parseBooleanQueryParam(
+      process.env.HEALTH_DETAILED_PUBLIC,
+      false
+    );
+    if (detailed && !isPublic) {
+      const token = extractToken(req);
+      const authPayload = token ? verifyAuthToken(token) : null;
+      if (!authPayload) {
+        res.writeHead(401, {
+          "Content-Type": "application/json",
+          "WWW-Authenticate": "Bearer",
+        });
+        res.end(
+          JSON.stringify({
+            error: "Authentication required for detailed health",
+          })
+        );
+        return;
+      }
+      if (!hasScope(authPayload, Scopes.HEALTH_READ)) {
+        res.writeHead(403, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({
+            error: "Insufficient scope",
+            requiredScope: Scopes.HEALTH_READ,
+          })
+        );
+        return;
+      }
+    }
+
     const response = await generateHealthResponse(rooms, wss, detailed);
 
     res.writeHead(200, { "Content-Type": "application/json" });
@@ -0,0 +1,297 @@
+/**
+ * Device Pairing Module
+ *
+ * Enrollment flow for new players, so nobody has to copy a long token by hand:
+ *
+ * 1. An unpaired screen opens a WebSocket to /pair (no credentials) and
+ *    receives a short pairing code to display.
+ * 2. An operator approves the code in the docs portal or through the admin
+ *    API, choosing the clientId, room, role and Broadsign metadata.
+ * 3. The token is minted through the issuance policy and sent to the screen
+ *    over the same socket, which is then closed.
+ *
+ * Pending requests live in memory and only as long as the screen's socket is
+ * open (at most PAIRING_CODE_TTL_MS).
+ */
+
+import crypto from "crypto";
+import { WebSocketServer } from "ws";
+import { buildWebSocketUrl, getClientIp } from "../auth/index.js";
+import { getIssuancePolicy, issueToken } from "../auth/issuance.js";
+
+// No 0/O or 1/I/L, so codes can be read off a screen
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+export const PairingCloseCodes = {
+  PAIRED: 1000,
+  EXPIRED: 4008,
+  REJECTED: 4009,
+  LIMIT_REACHED: 4010,
+};
+
+// code -> pending request
+const pending = new Map();
+
+const wss = new WebSocketServer({ noServer: true, maxPayload: 4096 });
+wss.on("connection", handlePairingConnection);
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function getSetting(name, fallback) {
+  return parseInt(process.env[name] || `${fallback}`, 10);
+}
+
+function generateCode() {
+  let code;
+  do {
+    code = Array.from(
+      { length: CODE_LENGTH },
+      () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+    ).join("");
+  } while (pending.has(code));
+  return code;
+}
+
+/**
+ * Normalize a code typed by an operator ("abc-123" -> "ABC123")
+ */
+function normalizeCode(code) {
+  return String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+function send(socket, message) {
+  try {
+    socket.send(JSON.stringify(message));
+  } catch (_) {
+    /* socket already closing */
+  }
+}
+
+/**
+ * Public view of a pending request
+ */
+function describeRequest(request) {
+  return {
+    code: request.code,
+    deviceName: request.deviceName,
+    ip: request.ip,
+    userAgent: request.userAgent,
+    createdAt: new Date(request.createdAt).toISOString(),
+    expiresAt: new Date(request.expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Check whether an upgrade request targets the pairing endpoint
+ * @param {http.IncomingMessage} req - HTTP upgrade request
+ * @returns {boolean}
+ */
+export function isPairingRequest(req) {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  return pathname.replace(/\/+$/, "") === "/pair";
+}
+
+/**
+ * Accept a pairing WebSocket upgrade
+ * @param {http.IncomingMessage} req - HTTP upgrade request
+ * @param {stream.Duplex} socket - Network socket
+ * @param {Buffer} head - First packet of the upgraded stream
+ */
+export function handlePairingUpgrade(req, socket, head) {
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit("connection", ws, req);
+  });
+}
+
+/**
+ * Make room for a request from `ip` once every pending slot is taken
+ * The client IP is the only thing an unauthenticated screen can be held to,
+ * so slots are shared per IP: the oldest code of the IP holding the most is
+ * dropped, as long as that IP holds more codes than `ip` would afterwards.
+ * @param {string} ip - Client IP asking for a code
+ * @param {number} fromIp - Codes already pending for that IP
+ * @returns {boolean} True if a slot was freed
+ */
+function evictForIp(ip, fromIp) {
+  const byIp = new Map();
+  for (const request of pending.values()) {
+    if (!byIp.has(request.ip)) byIp.set(request.ip, []);
+    byIp.get(request.ip).push(request); // Oldest first
+  }
+
+  let busiest = null;
+  for (const [otherIp, requests] of byIp) {
+    if (otherIp !== ip && (!busiest || requests.length > busiest.length)) {
+      busiest = requests;
+    }
+  }
+  if (!busiest || busiest.length <= fromIp + 1) {
+    return false;
+  }
+
+  const evicted = busiest[0];
+  clearTimeout(evicted.timer);
+  pending.delete(evicted.code);
+  console.warn(
+    `Pairing code ${evicted.code} of ${evicted.ip} dropped: pending codes are full`
+  );
+  evicted.socket.close(
+    PairingCloseCodes.LIMIT_REACHED,
+    "Too many pending pairings"
+  );
+  return true;
+}
+
+/**
+ * Register a new pairing request for a connected screen
+ * Optional query parameter: ?name=<device name> (shown to operators)
+ */
+function handlePairingConnection(socket, req) {
+  const ip = getClientIp(req);
+  const maxPending = getSetting("PAIRING_MAX_PENDING", 100);
+  const maxPerIp = getSetting("PAIRING_MAX_PER_IP", 5);
+  const fromIp = Array.from(pending.values()).filter(
+    (request) => request.ip === ip
+  ).length;
+
+  if (
+    fromIp >= maxPerIp ||
+    (pending.size >= maxPending && !evictForIp(ip, fromIp))
+  ) {
+    console.warn(`Pairing request refused for ${ip}: too many pending codes`);
+    socket.close(PairingCloseCodes.LIMIT_REACHED, "Too many pending pairings");
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const ttl = getSetting("PAIRING_CODE_TTL_MS", 10 * 60 * 1000);
+  const now = Date.now();
+  const request = {
+    code: generateCode(),
+    socket,
+    deviceName: (url.searchParams.get("name") || "").slice(0, 100) || null,
+    ip,
+    userAgent: req.headers["user-agent"] || null,
+    createdAt: now,
+    expiresAt: now + ttl,
+  };
+
+  request.timer = setTimeout(() => {
+    pending.delete(request.code);
+    send(socket, { type: "pairing-expired" });
+    socket.close(PairingCloseCodes.EXPIRED, "Pairing code expired");
+  }, ttl);
+
+  socket.on("close", () => {
+    clearTimeout(request.timer);
+    if (pending.get(request.code) === request) {
+      pending.delete(request.code);
+    }
+  });
+  // Screens only listen; anything they send is ignored
+  socket.on("error", () => {});
+
+  pending.set(request.code, request);
+  console.log(
+    `📟 Pairing code ${request.code} issued to ${ip}${
+      request.deviceName ? ` (${request.deviceName})` : ""
+    }`
+  );
+  send(socket, {
+    type: "pairing-code",
+    code: request.code,
+    expiresAt: new Date(request.expiresAt).toISOString(),
+  });
+}
+
+/**
+ * List pending pairing requests, oldest first
+ * @returns {Object[]}
+ */
+export function listPairingRequests() {
+  return Array.from(pending.values()).map(describeRequest);
+}
+
+/**
+ * Approve a pairing code: mint a token and deliver it to the screen
+ * Lifetime defaults to the role's maximum in the issuance policy.
+ * @param {string} code - Pairing code shown on the screen
+ * @param {Object} data - {clientId, room, metadata: {role, ...}, expiresIn}
+ * @param {Object} issuer - {type, name} of the approving operator
+ * @returns {Object|null} {allowed: true, pairing, payload}, a denied issuance
+ *   decision ({allowed: false, status, error}), or null for an unknown code
+ */
+export function approvePairing(code, data, issuer) {
+  const request = pending.get(normalizeCode(code));
+  if (!request) {
+    return null;
+  }
+
+  const role = data.metadata?.role;
+  const maxLifetimeMs = getIssuancePolicy().roles?.[role]?.maxLifetimeMs;
+  const result = issueToken(
+    {
+      clientId: data.clientId,
+      room: data.room,
+      metadata: data.metadata || {},
+      expiresIn: data.expiresIn ?? maxLifetimeMs,
+    },
+    issuer
+  );
+  if (!result.allowed) {
+    return result;
+  }
+
+  const { token, payload } = result;
+  clearTimeout(request.timer);
+  pending.delete(request.code);
+  send(request.socket, {
+    type: "paired",
+    token,
+    clientId: payload.clientId,
+    room: payload.room,
+    wsUrl: buildWebSocketUrl(payload.room, token),
+    expiresAt: new Date(payload.expiresAt).toISOString(),
+  });
+  request.socket.close(PairingCloseCodes.PAIRED, "Paired");
+
+  console.log(
+    `📟 Pairing code ${request.code} approved by ${issuer.name}: ${payload.clientId} (room=${payload.room}, role=${role})`
+  );
+  return { allowed: true, pairing: describeRequest(request), payload };
+}
+
+/**
+ * Reject a pairing code and disconnect the screen
+ * @param {string} code - Pairing code
+ * @param {Object} issuer - {type, name} of the rejecting operator
+ * @returns {boolean} True if the code was pending
+ */
+export function rejectPairing(code, issuer) {
+  const request = pending.get(normalizeCode(code));
+  if (!request) {
+    return false;
+  }
+
+  clearTimeout(request.timer);
+  pending.delete(request.code);
+  send(request.socket, { type: "pairing-rejected" });
+  request.socket.close(PairingCloseCodes.REJECTED, "Pairing rejected");
+  console.log(`📟 Pairing code ${request.code} rejected by ${issuer.name}`);
+  return true;
+}
+
+/**
+ * Close every pairing socket (server shutdown)
+ * @param {number} code - WebSocket close code
+ * @param {string} reason - Close reason
+ */
+export function closePairingSockets(code, reason) {
+  for (const request of pending.values()) {
+    clearTimeout(request.timer);
+    request.socket.close(code, reason);
+  }
+  pending.clear();
+}
@@ -0,0 +1,70 @@
+/**
+ * audit-log plugin
+ *
+ * Records every message that reaches this step: to the console, and when
+ * `file` is set, as JSON Lines (one file can be shared by several rooms).
+ * Put it last to log what is actually broadcast, including annotations from
+ * earlier plugins.
+ *
+ * Options: {file: "data/room-audit.jsonl", includeMessage: true}
+ */
+
+import { createWriteStream, mkdirSync } from "fs";
+import { dirname, resolve } from "path";
+
+// One append stream per file, shared by every room (and reloaded pipeline)
+// logging to it, so writes never block the event loop
+const streams = new Map();
+
+function getStream(file) {
+  const path = resolve(file);
+  let stream = streams.get(path);
+  if (!stream) {
+    mkdirSync(dirname(path), { recursive: true });
+    stream = createWriteStream(path, { flags: "a" });
+    stream.on("error", (err) => {
+      console.error(`❌ Could not write room audit to ${path}:`, err);
+      // Reopen on the next entry
+      if (streams.get(path) === stream) {
+        streams.delete(path);
+      }
+    });
+    streams.set(path, stream);
+  }
+  return stream;
+}
+
+export function createAuditLog(options, roomName) {
+  const file = options.file || null;
+  const includeMessage = options.includeMessage !== false;
+
+  if (file) {
+    getStream(file);
+  }
+
+  return async (message, context) => {
+    const entry = {
+      at: new Date().toISOString(),
+      room: roomName,
+      transport: context.transport,
+      clientId: context.authPayload?.clientId || null,
+      clientAddress: context.clientAddress || null,
+      type: typeof message.type === "string" ? message.type : null,
+      annotations: context.annotations,
+    };
+    if (includeMessage) {
+      entry.message = message;
+    }
+
+    if (file) {
+      getStream(file).write(`${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(
+        `📝 [${roomName}] ${entry.transport} ${entry.type || "(no type)"} from ${
+          entry.clientId || entry.clientAddress
+        }`
+      );
+    }
+    return null;
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * enrich-sender plugin
+ *
+ * Adds who sent a message, taken from the sender's token, so receivers do
+ * not have to trust a client-supplied field. An existing field of the same
+ * name is overwritten.
+ *
+ * Options: {field: "sender", metadataKeys: ["role"]}
+ */
+
+export function createEnrichSender(options) {
+  const field = options.field || "sender";
+  const metadataKeys = options.metadataKeys || ["role"];
+
+  return async (message, context) => {
+    const payload = context.authPayload;
+    const sender = {
+      clientId: payload?.clientId || null,
+      anonymous: !payload,
+    };
+    for (const key of metadataKeys) {
+      if (payload?.metadata?.[key] !== undefined) {
+        sender[key] = payload.metadata[key];
+      }
+    }
+    return { message: { ...message, [field]: sender } };
+  };
+}
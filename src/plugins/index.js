@@ -0,0 +1,132 @@
+/**
+ * Room Plugin Pipeline
+ *
+ * Cross-cutting message processing that rooms opt into through rooms.json
+ * ("plugins": [...]) instead of re-implementing it in every handler. The
+ * pipeline runs for WebSocket messages and HTTP posts alike, after the
+ * handler's validateMessage/validateHttpPost and before onMessage/onHttpPost.
+ *
+ * A plugin is a factory `(options, roomName) => step`. Each step is called as
+ * `await step(message, context)` and returns:
+ * - nothing: continue with the message unchanged
+ * - {message}: continue with a transformed message
+ * - {reject: {error, status, details}}: stop; the sender gets the error
+ * - {drop: true}: stop silently
+ * A step that throws rejects the message with status 500 ("Plugin failed").
+ * Steps may also annotate: `context.annotations.<key> = value`. Annotations
+ * are visible to later steps and the handler, and are broadcast alongside the
+ * message.
+ */
+
+import { createRateLimit } from "./rate-limit.js";
+import { createSchemaValidate } from "./schema-validate.js";
+import { createEnrichSender } from "./enrich-sender.js";
+import { createProfanityFilter } from "./profanity-filter.js";
+import { createAuditLog } from "./audit-log.js";
+
+const plugins = new Map([
+  ["rate-limit", createRateLimit],
+  ["schema-validate", createSchemaValidate],
+  ["enrich-sender", createEnrichSender],
+  ["profanity-filter", createProfanityFilter],
+  ["audit-log", createAuditLog],
+]);
+
+/**
+ * Register a custom plugin (call before room handlers are initialized)
+ * @param {string} name - Name used in rooms.json
+ * @param {Function} factory - (options, roomName) => async (message, context) => result
+ */
+export function registerPlugin(name, factory) {
+  if (typeof factory !== "function") {
+    throw new Error(`Plugin ${name} must be a factory function`);
+  }
+  plugins.set(name, factory);
+}
+
+/**
+ * List registered plugin names
+ * @returns {string[]}
+ */
+export function listPlugins() {
+  return Array.from(plugins.keys());
+}
+
+/**
+ * Build a room's pipeline from its rooms.json "plugins" list
+ * Entries are a plugin name or {name, options}.
+ * @param {Array} definitions - Plugin list from rooms.json
+ * @param {string} roomName - Room the pipeline belongs to
+ * @returns {Object[]} Steps as [{name, step}]
+ * @throws {Error} On an unknown plugin or malformed entry
+ */
+export function createPipeline(definitions, roomName) {
+  return definitions.map((definition) => {
+    const { name, options = {} } =
+      typeof definition === "string" ? { name: definition } : definition || {};
+    const factory = plugins.get(name);
+    if (!factory) {
+      throw new Error(
+        `unknown plugin "${name}" (available: ${listPlugins().join(", ")})`
+      );
+    }
+    return { name, step: factory(options, roomName) };
+  });
+}
+
+/**
+ * Run a message through a pipeline
+ * @param {Object[]|null} pipeline - Result of createPipeline (null = no plugins)
+ * @param {Object} message - Parsed message or POST body
+ * @param {Object} context - {roomName, transport: "websocket"|"http", socket,
+ *   authPayload, clientAddress}
+ * @returns {Promise<Object>} {message, annotations}, or
+ *   {rejected: true, error, details, status, plugin}, or {dropped: true, plugin}
+ */
+export async function runPipeline(pipeline, message, context) {
+  const annotations = {};
+  if (!pipeline || pipeline.length === 0) {
+    return { message, annotations };
+  }
+
+  const stepContext = { ...context, annotations };
+  let current = message;
+
+  for (const { name, step } of pipeline) {
+    let result;
+    try {
+      result = await step(current, stepContext);
+    } catch (err) {
+      // A broken plugin rejects the message instead of the event callback
+      console.error(
+        `❌ Plugin "${name}" failed in room ${context.roomName}:`,
+        err
+      );
+      return {
+        rejected: true,
+        error: "Plugin failed",
+        status: 500,
+        plugin: name,
+      };
+    }
+    if (!result) continue;
+
+    if (result.reject) {
+      return {
+        rejected: true,
+        error: result.reject.error || "Rejected",
+        details: result.reject.details,
+        status: result.reject.status || 422,
+        plugin: name,
+      };
+    }
+    if (result.drop) {
+      return { dropped: true, plugin: name };
+    }
+    if (result.message) {
+      current = result.message;
+    }
+  }
+
+  return { message: current, annotations };
+}
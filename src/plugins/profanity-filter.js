@@ -0,0 +1,66 @@
+/**
+ * profanity-filter plugin
+ *
+ * Checks every string in the message (or only `fields`) against a word list.
+ * Words match whole words, case-insensitively.
+ *
+ * Options: {words: [...], action: "reject" | "mask", fields: ["text"]}
+ * - reject (default): the sender gets "Message contains inappropriate content"
+ * - mask: matching words are replaced by asterisks; annotates `filtered: true`
+ */
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function createProfanityFilter(options) {
+  const words = (options.words || []).filter(Boolean);
+  const action = options.action === "mask" ? "mask" : "reject";
+  const fields = options.fields || null;
+  const pattern = words.length
+    ? new RegExp(`\\b(${words.map(escapeRegExp).join("|")})\\b`, "gi")
+    : null;
+
+  // Walk strings in nested objects and arrays; returns the (masked) copy
+  function scan(value, state) {
+    if (typeof value === "string") {
+      pattern.lastIndex = 0;
+      if (!pattern.test(value)) return value;
+      state.found = true;
+      return value.replace(pattern, (word) => "*".repeat(word.length));
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => scan(item, state));
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, scan(item, state)])
+      );
+    }
+    return value;
+  }
+
+  return async (message, context) => {
+    if (!pattern) return null;
+
+    const state = { found: false };
+    const filtered = { ...message };
+    for (const key of fields || Object.keys(message)) {
+      if (key in filtered) {
+        filtered[key] = scan(filtered[key], state);
+      }
+    }
+
+    if (!state.found) return null;
+    if (action === "reject") {
+      return {
+        reject: {
+          error: "Message contains inappropriate content",
+          status: 422,
+        },
+      };
+    }
+    context.annotations.filtered = true;
+    return { message: filtered };
+  };
+}
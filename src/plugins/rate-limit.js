@@ -0,0 +1,50 @@
+/**
+ * rate-limit plugin
+ *
+ * Fixed-window limit per sender: at most `messages` per `perMs`. Senders are
+ * identified by their token's clientId, falling back to the client address.
+ *
+ * Options: {messages: 10, perMs: 1000}
+ */
+
+// Windows are swept once the map grows past this many senders
+const SWEEP_THRESHOLD = 10000;
+
+export function createRateLimit(options) {
+  const limit = Number(options.messages) || 10;
+  const windowMs = Number(options.perMs) || 1000;
+  const windows = new Map();
+
+  function sweep(now) {
+    for (const [key, window] of windows) {
+      if (now - window.startedAt >= windowMs) {
+        windows.delete(key);
+      }
+    }
+  }
+
+  return async (message, context) => {
+    const key = context.authPayload?.clientId || context.clientAddress;
+    const now = Date.now();
+
+    let window = windows.get(key);
+    if (!window || now - window.startedAt >= windowMs) {
+      if (windows.size >= SWEEP_THRESHOLD) {
+        sweep(now);
+      }
+      window = { startedAt: now, count: 0 };
+      windows.set(key, window);
+    }
+
+    window.count++;
+    if (window.count > limit) {
+      return {
+        reject: {
+          error: `Rate limit exceeded (${limit} messages per ${windowMs}ms)`,
+          status: 429,
+        },
+      };
+    }
+    return null;
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * schema-validate plugin
+ *
+ * Validates messages against a JSON Schema chosen by the message's `type`,
+ * at this point of the pipeline (e.g. after a plugin that transforms the
+ * message). Schemas a room always applies belong in the room's `schemas`
+ * setting instead, which is also published at GET /rooms/:room/schemas.
+ *
+ * Options: {schemas: {"<type>": schema, "*": fallback}, rejectUnknownTypes: false}
+ * Messages whose type has no schema (and no "*") pass unless
+ * rejectUnknownTypes is set.
+ */
+
+import {
+  compileSchema,
+  validateSchema,
+  schemaForType,
+} from "../schemas/index.js";
+
+export function createSchemaValidate(options) {
+  const schemas = options.schemas || {};
+  const rejectUnknownTypes = options.rejectUnknownTypes === true;
+  // Bad schemas fail createPipeline, so the room is skipped at startup
+  for (const [type, schema] of Object.entries(schemas)) {
+    compileSchema(schema, `schema-validate schema "${type}"`);
+  }
+
+  return async (message) => {
+    const schema = schemaForType(schemas, message);
+
+    if (!schema) {
+      if (!rejectUnknownTypes) return null;
+      return {
+        reject: {
+          error: `Unknown message type: ${message.type || "(none)"}`,
+          status: 422,
+        },
+      };
+    }
+
+    const details = validateSchema(schema, message);
+    if (details.length === 0) return null;
+    return {
+      reject: { error: "Validation failed", details, status: 422 },
+    };
+  };
+}
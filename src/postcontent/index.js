@@ -2,7 +2,7 @@
  * BACKWARD COMPATIBILITY ENDPOINT
  *
  * This module provides the legacy /postcontent endpoint that acts as a bridge
- * to /rooms/radio/post using the hardcoded "advertiser" token.
+ * to /rooms/radio/post using the "advertiser" permanent token.
  *
  * This exists for backward compatibility with old clients that don't send tokens.
  * Can be safely removed once all clients migrate to /rooms/radio/post
@@ -10,9 +10,18 @@
 
 import http from "http";
 
-// Hardcoded advertiser token for backward compatibility
-const ADVERTISER_TOKEN =
-  "eyJjbGllbnRJZCI6ImFkdmVydGlzZXIiLCJyb29tIjoicmFkaW8iLCJleHBpcmVzQXQiOjQ5MTQxMjE1NjY0NjQsIm1ldGFkYXRhIjp7InJvbGUiOiJhZHZlcnRpc2VyIiwidmFsaWRpdHkiOiJObyBleHBpcmF0aW9uIn0sImlzc3VlZEF0IjoxNzYwNTIxNTY2NDY0fQ.K7jX9mNvL4pRnQwS8tYc1UhA6fBgE3qJsW2oZxI5kDv";
+import { getConfiguredTokenValue } from "../auth/permanent-tokens.js";
+
+/**
+ * Token used for the bridge: POSTCONTENT_BRIDGE_TOKEN, or the configured
+ * "advertiser" permanent token when it is configured with its plaintext token
+ */
+function getBridgeToken() {
+  return (
+    process.env.POSTCONTENT_BRIDGE_TOKEN ||
+    getConfiguredTokenValue("advertiser")
+  );
+}
 
 export function handlePostContentRequest(req, res) {
   let raw = "";
@@ -47,6 +56,16 @@ export function handlePostContentRequest(req, res) {
     }
 
     // Bridge to /rooms/radio/post with advertiser token
+    const bridgeToken = getBridgeToken();
+    if (!bridgeToken) {
+      res.writeHead(503, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+      });
+      res.end(JSON.stringify({ error: "Bridge token not configured" }));
+      return;
+    }
+
     const port = process.env.PORT || 8080;
     const options = {
       hostname: "localhost",
@@ -55,7 +74,7 @@ export function handlePostContentRequest(req, res) {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${ADVERTISER_TOKEN}`,
+        Authorization: `Bearer ${bridgeToken}`,
       },
     };
 
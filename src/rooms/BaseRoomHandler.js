@@ -1,14 +1,80 @@
+import {
+  AuthConfig,
+  Scopes,
+  hasScope,
+  tokenAllowsRoom,
+} from "../auth/index.js";
+import { RoomScheduler } from "./RoomScheduler.js";
+import {
+  compileSchema,
+  validateSchema,
+  schemaForType,
+} from "../schemas/index.js";
+
 /**
  * BaseRoomHandler - Abstract base class for room-specific logic
  *
  * All room handlers should extend this class and override methods
  * to implement custom behavior for their specific room.
+ *
+ * `this.room` (see RoomContext.js) lets a handler message its room at any
+ * time, e.g. `this.room.broadcast({type: "announcement"})` from onJoin.
  */
 export class BaseRoomHandler {
   constructor(roomName) {
     this.roomName = roomName;
     this.requiresAuth = true; // By default, all rooms require authentication
     this.broadcastDelay = 0; // Default delay before broadcasting (ms)
+    this.controlRequiresAuth = false; // Control channel is public unless a room opts in
+    this.historySize = 0; // Recent messages replayed to new joiners (0 = none)
+    this.history = [];
+    this.suppressedTypes = null; // Message types not broadcast (null = SUPPRESSED_TYPES)
+    this.maxPayloadBytes = null; // Per-room message limit (null = MAX_PAYLOAD_BYTES)
+    this.options = {}; // Room-specific settings from rooms.json
+    this.room = null; // RoomContext (broadcast, send, disconnect...), set by the registry
+    this.scheduler = new RoomScheduler(roomName); // Timers cleared on dispose()
+    this.emptyRoomTtlMs = 0; // How long an empty room is kept before onRoomDestroyed
+    this.pipeline = null; // Message plugins from rooms.json (see src/plugins)
+    this.schemas = { websocket: {}, http: {} }; // JSON Schemas by message type
+  }
+
+  /**
+   * Apply settings from the room configuration file (see src/rooms/index.js)
+   * Only the keys present in the config are changed, so handler defaults stay
+   * in place for everything a room does not declare.
+   * @param {Object} config - Normalized room entry from rooms.json
+   */
+  applyConfig(config) {
+    if (config.requiresAuth !== undefined) {
+      this.requiresAuth = config.requiresAuth;
+    }
+    if (config.controlRequiresAuth !== undefined) {
+      this.controlRequiresAuth = config.controlRequiresAuth;
+    }
+    if (config.broadcastDelayMs !== undefined) {
+      this.broadcastDelay = config.broadcastDelayMs;
+    }
+    if (config.historySize !== undefined) {
+      this.historySize = config.historySize;
+    }
+    if (config.suppressedTypes !== undefined) {
+      this.suppressedTypes = config.suppressedTypes;
+    }
+    if (config.maxPayloadBytes !== undefined) {
+      this.maxPayloadBytes = config.maxPayloadBytes;
+    }
+    if (config.emptyRoomTtlMs !== undefined) {
+      this.emptyRoomTtlMs = config.emptyRoomTtlMs;
+    }
+    if (config.pipeline !== undefined) {
+      this.pipeline = config.pipeline;
+    }
+    for (const [transport, schemas] of Object.entries(config.schemas || {})) {
+      for (const [type, schema] of Object.entries(schemas)) {
+        this.registerSchema(type, schema, [transport]);
+      }
+    }
+    this.options = { ...this.options, ...(config.options || {}) };
   }
 
   /**
@@ -20,6 +86,11 @@ export class BaseRoomHandler {
    * @returns {boolean|Object} - Return false to reject, true to accept, or object with rejection info
    */
   async verifyAuth(authPayload, req, clientAddress) {
+    // Rooms configured with requiresAuth: false accept anonymous listeners
+    if (!authPayload && this.requiresAuth === false) {
+      return true;
+    }
+
     // Default: Require authentication
     if (!authPayload) {
       return {
@@ -29,8 +100,8 @@ export class BaseRoomHandler {
       };
     }
 
-    // Verify token is for this room
-    if (authPayload.room !== this.roomName) {
+    // Verify token is for this room (tokens may list several rooms or patterns)
+    if (!tokenAllowsRoom(authPayload, this.roomName)) {
       return {
         reject: true,
         code: 4004,
@@ -38,10 +109,51 @@ export class BaseRoomHandler {
       };
     }
 
+    // Verify token grants listener access
+    if (!hasScope(authPayload, Scopes.ROOM_JOIN)) {
+      return {
+        reject: true,
+        code: AuthConfig.ERRORS.INSUFFICIENT_SCOPE,
+        reason: `Token lacks scope: ${Scopes.ROOM_JOIN}`,
+      };
+    }
+
     // Default: Accept authenticated clients
     return true;
   }
 
+  /**
+   * Verify authentication for the control channel (called before onControlJoin)
+   * Anonymous subscribers are accepted unless controlRequiresAuth is set, but a
+   * presented token must grant control:subscribe.
+   * @param {Object} authPayload - Decoded auth token payload (null if no token)
+   * @param {Object} req - The HTTP upgrade request
+   * @param {string} clientAddress - The client's address
+   * @returns {boolean|Object} - Return true to accept, or object with rejection info
+   */
+  async verifyControlAuth(authPayload, req, clientAddress) {
+    if (!authPayload) {
+      if (this.controlRequiresAuth) {
+        return {
+          reject: true,
+          code: AuthConfig.ERRORS.NO_TOKEN,
+          reason: "Authentication required",
+        };
+      }
+      return true;
+    }
+
+    if (!hasScope(authPayload, Scopes.CONTROL_SUBSCRIBE)) {
+      return {
+        reject: true,
+        code: AuthConfig.ERRORS.INSUFFICIENT_SCOPE,
+        reason: `Token lacks scope: ${Scopes.CONTROL_SUBSCRIBE}`,
+      };
+    }
+
+    return true;
+  }
+
   /**
    * Called when a client joins this room (after authentication)
    * @param {WebSocket} socket - The client's WebSocket connection
@@ -72,6 +184,37 @@ export class BaseRoomHandler {
     );
   }
 
+  /**
+   * Called when the room is created, before the first client's onJoin
+   * If that join is rejected, the room may be destroyed again right away.
+   */
+  async onRoomCreated() {
+    // Override to start per-room work
+  }
+
+  /**
+   * Called when the last client has left the room
+   * The room is destroyed after emptyRoomTtlMs unless a client joins again.
+   */
+  async onRoomEmpty() {
+    // Override to flush or pause per-room work
+  }
+
+  /**
+   * Called when an empty room is removed
+   */
+  async onRoomDestroyed() {
+    // Override to release per-room state
+  }
+
+  /**
+   * Release the handler's resources (hot reload replacement or shutdown)
+   * Clears every scheduler timer; overrides should call super.dispose().
+   */
+  async dispose() {
+    this.scheduler.clearAll();
+  }
+
   /**
    * Called when a control-channel client joins this room
    * Override for custom behavior (default: allow)
@@ -100,6 +243,7 @@ export class BaseRoomHandler {
    * @returns {Object|null|false} - Return modified payload, null to use original, or false to suppress broadcast
    */
   async onMessage(payload, socket, clientAddress) {
+    this.addToHistory(payload);
     // Default: return null to use the original enriched message
     return null;
   }
@@ -110,10 +254,25 @@ export class BaseRoomHandler {
    * @returns {Object|null|false} - Return modified payload, null to use original, or false to reject
    */
   async onHttpPost(payload) {
+    this.addToHistory(payload);
     // Default: return null to use the original payload
     return null;
   }
 
+  /**
+   * Keep a message for new joiners (no-op unless historySize > 0)
+   * @param {Object} data - Message payload
+   */
+  addToHistory(data) {
+    if (this.historySize <= 0) {
+      return;
+    }
+    this.history.push({ timestamp: new Date().toISOString(), data });
+    if (this.history.length > this.historySize) {
+      this.history = this.history.slice(-this.historySize);
+    }
+  }
+
   /**
    * Validate a message payload (called before onMessage)
    * @param {Object} payload - The parsed message payload
@@ -135,12 +294,54 @@ export class BaseRoomHandler {
     return null;
   }
 
+  /**
+   * Register the JSON Schema for one message type
+   * Messages are checked before validateMessage/validateHttpPost; types
+   * without a schema (and no "*" fallback) are not checked. HTTP schemas
+   * describe the whole POST body ({type, timestamp, data}). The schemas are
+   * published at GET /rooms/:room/schemas.
+   * @param {string} type - Message `type`, or "*" for every other type
+   * @param {Object} schema - JSON Schema (subset, see src/schemas/index.js)
+   * @param {string[]} transports - "websocket" and/or "http"
+   * @throws {Error} If the schema is invalid (e.g. a bad pattern)
+   */
+  registerSchema(type, schema, transports = ["websocket", "http"]) {
+    compileSchema(schema, `${this.roomName} schema "${type}"`);
+    for (const transport of transports) {
+      this.schemas[transport][type] = schema;
+    }
+  }
+
+  /**
+   * Check a message against the schema registered for its type
+   * @param {Object} payload - WebSocket message or POST body
+   * @param {string} transport - "websocket" or "http"
+   * @returns {Object|null} - {error, details: [{pointer, keyword, message}]}, or null when valid
+   */
+  validateSchema(payload, transport) {
+    const schema = schemaForType(this.schemas[transport], payload);
+    if (!schema) {
+      return null;
+    }
+    const details = validateSchema(schema, payload);
+    return details.length ? { error: "Validation failed", details } : null;
+  }
+
   /**
    * Get custom welcome message for clients joining this room
    * @param {WebSocket} socket - The client's socket
    * @returns {Object|null} - Return custom welcome message object, or null for default
    */
   async getWelcomeMessage(socket) {
+    if (this.historySize > 0) {
+      return {
+        type: "welcome",
+        message: "Connected to broadcast server",
+        room: this.roomName,
+        time: Date.now(),
+        recentMessages: this.history,
+      };
+    }
     return null; // Use default welcome message
   }
 
@@ -163,6 +364,29 @@ export class BaseRoomHandler {
     // Override for custom periodic logic
   }
 
+  /**
+   * Export in-memory state before this handler is replaced by a hot reload
+   * Connected sockets move to the new handler, so per-socket data (kept on
+   * the socket) survives by itself; return whatever lives on the handler.
+   * @returns {Object|null} - State passed to the new handler's importState, or null
+   */
+  async exportState() {
+    return this.history.length ? { history: this.history } : null;
+  }
+
+  /**
+   * Restore state exported by the previous version of this handler
+   * The exporting version may be older, so tolerate missing fields.
+   * @param {Object} state - Value returned by exportState
+   */
+  async importState(state) {
+    if (Array.isArray(state.history)) {
+      this.history = state.history.slice(
+        state.history.length - this.historySize
+      );
+    }
+  }
+
   /**
    * Get HTTP routes for this room
    * By default, loads generic routes from src/rooms/routes.js
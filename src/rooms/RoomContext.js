@@ -0,0 +1,93 @@
+/**
+ * RoomContext - What a room handler can do to its own room
+ *
+ * The registry attaches one context per room to its handler as `this.room`,
+ * so handlers can send messages outside of the onMessage return value: from
+ * onJoin, onLeave, onHeartbeat or their own timers.
+ *
+ * The transport ({rooms, controlRooms, sendJson, broadcastToRoom,
+ * broadcastToControlRoom, enqueueRoomBroadcast}) comes from server.js.
+ */
+export class RoomContext {
+  constructor(roomName, transport) {
+    this.roomName = roomName;
+    this.transport = transport;
+  }
+
+  /**
+   * Broadcast a message to every client in the room
+   * @param {Object} message - Message to send
+   * @param {WebSocket} [excludeSocket] - Client to skip (usually the sender)
+   * @returns {number} Number of clients the message was sent to
+   */
+  broadcast(message, excludeSocket = null) {
+    return this.transport.broadcastToRoom(
+      this.roomName,
+      message,
+      excludeSocket
+    );
+  }
+
+  /**
+   * Send a message to one client
+   * @param {WebSocket} socket - Client socket
+   * @param {Object} message - Message to send
+   * @returns {boolean} False if the socket is no longer open
+   */
+  send(socket, message) {
+    if (socket.readyState !== socket.OPEN) {
+      return false;
+    }
+    this.transport.sendJson(socket, message);
+    return true;
+  }
+
+  /**
+   * Broadcast a message to the room's remote control channel
+   * @param {Object} message - Message to send
+   * @returns {number} Number of control subscribers reached
+   */
+  broadcastControl(message) {
+    return this.transport.broadcastToControlRoom(this.roomName, message);
+  }
+
+  /**
+   * Run a broadcast task through the room's ordered broadcast queue
+   * @param {number} delayMs - Delay before the task runs
+   * @param {Function} taskFn - Async function doing the broadcast
+   * @returns {Promise} Resolves with the task's result
+   */
+  enqueueBroadcast(delayMs, taskFn) {
+    return this.transport.enqueueRoomBroadcast(this.roomName, delayMs, taskFn);
+  }
+
+  /**
+   * Clients currently in the room
+   * @returns {WebSocket[]}
+   */
+  getMembers() {
+    return Array.from(this.transport.rooms.get(this.roomName) || []);
+  }
+
+  /**
+   * Clients subscribed to the room's remote control channel
+   * @returns {WebSocket[]}
+   */
+  getControlMembers() {
+    return Array.from(this.transport.controlRooms.get(this.roomName) || []);
+  }
+
+  /**
+   * Disconnect a client from the room (onLeave runs as usual)
+   * @param {WebSocket} socket - Client socket
+   * @param {number} [code=4004] - WebSocket close code
+   * @param {string} [reason="Removed from room"] - Close reason
+   */
+  disconnect(socket, code = 4004, reason = "Removed from room") {
+    try {
+      socket.close(code, reason);
+    } catch (_) {
+      socket.terminate();
+    }
+  }
+}
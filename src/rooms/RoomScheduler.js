@@ -0,0 +1,81 @@
+/**
+ * RoomScheduler - Timers owned by a room handler
+ *
+ * Every handler has one as `this.scheduler`. Timers run whether or not the
+ * room has clients, errors in a task are logged instead of crashing the
+ * server, and everything still pending is cleared when the handler is
+ * disposed (hot reload or shutdown), so a replaced handler leaves no timers
+ * behind.
+ */
+export class RoomScheduler {
+  constructor(label) {
+    this.label = label;
+    this.timers = new Set();
+  }
+
+  /**
+   * Run a task once after a delay
+   * @param {Function} task - Sync or async function
+   * @param {number} delayMs - Delay in milliseconds
+   * @returns {Object} Timer, for clear()
+   */
+  setTimeout(task, delayMs) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      void this.run(task);
+    }, delayMs);
+    return this.track(timer);
+  }
+
+  /**
+   * Run a task repeatedly
+   * @param {Function} task - Sync or async function
+   * @param {number} intervalMs - Interval in milliseconds
+   * @returns {Object} Timer, for clear()
+   */
+  setInterval(task, intervalMs) {
+    const timer = setInterval(() => void this.run(task), intervalMs);
+    return this.track(timer);
+  }
+
+  /**
+   * Cancel one timer
+   * @param {Object} timer - Value returned by setTimeout/setInterval
+   */
+  clear(timer) {
+    clearTimeout(timer);
+    this.timers.delete(timer);
+  }
+
+  /**
+   * Cancel every pending timer
+   */
+  clearAll() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Number of pending timers
+   */
+  get size() {
+    return this.timers.size;
+  }
+
+  track(timer) {
+    // Room timers never keep the process alive on shutdown
+    timer.unref();
+    this.timers.add(timer);
+    return timer;
+  }
+
+  async run(task) {
+    try {
+      await task();
+    } catch (err) {
+      console.error(`[${this.label}] Scheduled task failed:`, err);
+    }
+  }
+}
@@ -7,12 +7,32 @@ import { BaseRoomHandler } from "../BaseRoomHandler.js";
  * Demonstrates user management, message filtering, and custom validation.
  */
 export class ChatHandler extends BaseRoomHandler {
-  constructor() {
-    super("chat");
+  constructor(roomName = "chat") {
+    super(roomName);
     this.users = new Map(); // Map socket to user info
     this.messageCount = 0;
     this.bannedWords = ["spam", "badword"]; // Example word filter
     this.requiresAuth = true; // Enforce authentication
+
+    // Message shapes, checked before validateMessage
+    this.registerSchema(
+      "chatMessage",
+      {
+        type: "object",
+        required: ["text"],
+        properties: { text: { type: "string", minLength: 1, maxLength: 500 } },
+      },
+      ["websocket"]
+    );
+    this.registerSchema(
+      "setUsername",
+      {
+        type: "object",
+        required: ["username"],
+        properties: { username: { type: "string", minLength: 1 } },
+      },
+      ["websocket"]
+    );
   }
 
   /**
@@ -38,32 +58,22 @@ export class ChatHandler extends BaseRoomHandler {
    * Validate chat messages
    */
   async validateMessage(payload, socket) {
-    // Require username
-    if (!socket.chatUsername) {
+    // Require username (except for the message that sets it)
+    if (!socket.chatUsername && payload.type !== "setUsername") {
       return {
         error:
           'Username required. Send {type: "setUsername", username: "YourName"} first',
       };
     }
 
-    // Validate message type
+    // Check banned words (the schema guarantees text is a string)
     if (payload.type === "chatMessage") {
-      if (!payload.text || typeof payload.text !== "string") {
-        return { error: "Chat message must have a text field" };
-      }
-
-      // Check banned words
       const lowerText = payload.text.toLowerCase();
       for (const word of this.bannedWords) {
         if (lowerText.includes(word)) {
           return { error: "Message contains inappropriate content" };
         }
       }
-
-      // Check message length
-      if (payload.text.length > 500) {
-        return { error: "Message too long (max 500 characters)" };
-      }
     }
 
     return null; // Accept
@@ -237,13 +247,28 @@ export class ChatHandler extends BaseRoomHandler {
       console.log(`[Chat] User ${username} (${clientAddress}) left`);
 
       // Broadcast leave message to remaining users
-      // Note: This would require access to broadcastToRoom, so we'd need to modify the architecture
-      // For now, just log it
+      this.room?.broadcast({
+        type: "systemMessage",
+        text: `${username} left the chat`,
+        timestamp: new Date().toISOString(),
+      });
     } else {
       console.log(`[Chat] Anonymous client ${clientAddress} left`);
     }
   }
 
+  /**
+   * Keep the user list (keyed by socket) and message counter across hot reloads
+   */
+  async exportState() {
+    return { users: this.users, messageCount: this.messageCount };
+  }
+
+  async importState(state) {
+    this.users = state.users || new Map();
+    this.messageCount = state.messageCount || 0;
+  }
+
   /**
    * Periodic cleanup
    */
@@ -1,21 +1,175 @@
 import { BaseRoomHandler } from "./BaseRoomHandler.js";
+import { RoomContext } from "./RoomContext.js";
+import { roomMatches } from "../auth/index.js";
+import { createPipeline } from "../plugins/index.js";
+import { compileSchema } from "../schemas/index.js";
 import { RadioHandler } from "./radio/index.js";
-import { readdir } from "fs/promises";
+import { watch } from "fs";
+import { readdir, readFile } from "fs/promises";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// Settings a room may declare in rooms.json, with their expected types
+const ROOM_SETTINGS = {
+  requiresAuth: "boolean",
+  controlRequiresAuth: "boolean",
+  broadcastDelayMs: "number",
+  historySize: "number",
+  suppressedTypes: "array",
+  maxPayloadBytes: "number",
+  emptyRoomTtlMs: "number",
+  plugins: "array",
+  schemas: "object",
+  options: "object",
+};
+
+/**
+ * Which room names clients may use
+ * - open: any name (rooms without a handler use BaseRoomHandler)
+ * - registered: only rooms with a discovered or declared handler
+ * - pattern: registered rooms plus names matching roomPolicy.patterns
+ */
+export const RoomPolicy = {
+  OPEN: "open",
+  REGISTERED: "registered",
+  PATTERN: "pattern",
+};
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function roomConfigFile() {
+  return process.env.ROOMS_CONFIG || join(__dirname, "rooms.json");
+}
+
+/**
+ * Import a handler module, optionally bypassing the ESM cache
+ * Modules imported by the handler (BaseRoomHandler, auth, ...) stay cached,
+ * so reloaded classes still extend the same BaseRoomHandler.
+ * @param {string} handlerPath - Absolute path of the module
+ * @param {boolean} fresh - Import a new copy (hot reload)
+ */
+function importHandlerModule(handlerPath, fresh = false) {
+  // Convert to file:// URL for Windows compatibility
+  const handlerUrl = new URL(`file:///${handlerPath.replace(/\\/g, "/")}`);
+  if (fresh) {
+    handlerUrl.searchParams.set("reload", `${Date.now()}`);
+  }
+  return import(handlerUrl);
+}
+
+/**
+ * Find the exported class that extends BaseRoomHandler
+ */
+function findHandlerClass(module) {
+  return (
+    Object.values(module).find(
+      (exp) => exp.prototype instanceof BaseRoomHandler
+    ) || null
+  );
+}
+
+/**
+ * Dispose a handler, logging instead of throwing (shutdown and reload)
+ */
+async function disposeQuietly(roomName, handler) {
+  try {
+    await handler.dispose();
+  } catch (err) {
+    console.error(`Failed to dispose handler for room ${roomName}:`, err);
+  }
+}
+
+function parsePatterns(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return list.map((pattern) => String(pattern).trim()).filter(Boolean);
+}
+
+/**
+ * Validate one rooms.json entry
+ * @returns {{config: Object}|{error: string}}
+ */
+function normalizeRoomConfig(definition) {
+  if (!definition || typeof definition !== "object") {
+    return { error: "entry must be an object" };
+  }
+
+  const config = { handler: definition.handler || "base" };
+  if (typeof config.handler !== "string") {
+    return { error: "handler must be a string" };
+  }
+
+  for (const [key, value] of Object.entries(definition)) {
+    if (key === "handler" || key === "description") continue;
+    const expected = ROOM_SETTINGS[key];
+    if (!expected) {
+      return { error: `unknown setting "${key}"` };
+    }
+    const actual = Array.isArray(value) ? "array" : typeof value;
+    if (actual !== expected) {
+      return { error: `${key} must be a ${expected}` };
+    }
+    if (expected === "number" && (!Number.isFinite(value) || value < 0)) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    config[key] = value;
+  }
+
+  for (const [transport, schemas] of Object.entries(config.schemas || {})) {
+    if (transport !== "websocket" && transport !== "http") {
+      return {
+        error: `schemas.${transport}: transport must be websocket or http`,
+      };
+    }
+    const invalid = Object.entries(schemas || {}).find(
+      ([, schema]) => !schema || typeof schema !== "object"
+    );
+    if (!schemas || typeof schemas !== "object" || invalid) {
+      return {
+        error: `schemas.${transport} must map message types to schemas`,
+      };
+    }
+    try {
+      for (const [type, schema] of Object.entries(schemas)) {
+        compileSchema(schema, `schemas.${transport}.${type}`);
+      }
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  if (config.suppressedTypes) {
+    config.suppressedTypes = config.suppressedTypes.map((type) =>
+      String(type).trim().toLowerCase()
+    );
+  }
+  if (config.maxPayloadBytes === 0) {
+    config.maxPayloadBytes = null;
+  }
+  return { config };
+}
+
 /**
  * Room Registry - Manages room handlers
  *
- * Dynamically loads room handlers from the rooms directory
- * and provides a fallback for rooms without custom handlers.
+ * Dynamically loads room handlers from the rooms directory, then applies the
+ * declarative room configuration (rooms.json), and provides a fallback for
+ * rooms without custom handlers.
  */
 class RoomRegistry {
   constructor() {
     this.handlers = new Map();
     this.defaultHandler = new BaseRoomHandler("default");
+    // Handler classes by name, for rooms.json "handler" references
+    this.handlerClasses = new Map([["base", BaseRoomHandler]]);
+    // Module file of each reloadable handler class
+    this.handlerModules = new Map();
+    this.replaceListeners = [];
+    // Set by server.js; handlers get a RoomContext built on it
+    this.transport = null;
+    this.roomConfigs = new Map();
+    // From rooms.json; ROOMS_POLICY / ROOMS_ALLOWED_PATTERNS take precedence
+    this.roomPolicy = { mode: RoomPolicy.OPEN, patterns: [] };
   }
 
   /**
@@ -25,15 +179,24 @@ class RoomRegistry {
     console.log("Initializing room handlers...");
 
     // Register known handlers
+    this.handlerClasses.set("radio", RadioHandler);
+    this.handlerModules.set("radio", join(__dirname, "radio", "index.js"));
     this.registerHandler("radio", new RadioHandler());
 
     // Auto-discover room handlers from directories
     await this.discoverRoomHandlers();
 
+    // Declarative rooms and per-room settings
+    await this.loadRoomConfig();
+
     console.log(
       `Registered ${this.handlers.size} room handler(s):`,
       Array.from(this.handlers.keys())
     );
+
+    if (process.env.ROOMS_HOT_RELOAD === "true") {
+      this.watchHandlerModules();
+    }
   }
 
   /**
@@ -43,12 +206,132 @@ class RoomRegistry {
     if (!(handler instanceof BaseRoomHandler)) {
       throw new Error(`Handler for ${roomName} must extend BaseRoomHandler`);
     }
+    this.attachRoomContext(roomName, handler);
     this.handlers.set(roomName, handler);
     console.log(`✓ Registered handler for room: ${roomName}`);
   }
 
+  /**
+   * Load rooms.json (ROOMS_CONFIG overrides the path; a missing file keeps
+   * the discovered handlers as they are)
+   *
+   * {
+   *   "roomPolicy": { "mode": "pattern", "patterns": ["venue-*"] },
+   *   "rooms": {
+   *     "lobby": { "handler": "base", "historySize": 20, "requiresAuth": true }
+   *   }
+   * }
+   */
+  async loadRoomConfig() {
+    const file = roomConfigFile();
+    let config;
+    try {
+      config = JSON.parse(await readFile(file, "utf-8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(`❌ Could not load room config ${file}:`, err.message);
+      }
+      return;
+    }
+
+    if (config.roomPolicy) {
+      this.roomPolicy = {
+        mode: config.roomPolicy.mode || RoomPolicy.OPEN,
+        patterns: parsePatterns(config.roomPolicy.patterns),
+      };
+    }
+
+    for (const [roomName, definition] of Object.entries(config.rooms || {})) {
+      const result = normalizeRoomConfig(definition);
+      if (result.error) {
+        console.warn(`Skipping room "${roomName}" in ${file}: ${result.error}`);
+        continue;
+      }
+
+      const roomConfig = result.config;
+      // Built once per room, so plugin state (rate-limit windows) survives
+      // hot reloads of the handler
+      if (roomConfig.plugins) {
+        try {
+          roomConfig.pipeline = createPipeline(roomConfig.plugins, roomName);
+        } catch (err) {
+          console.warn(
+            `Skipping room "${roomName}" in ${file}: ${err.message}`
+          );
+          continue;
+        }
+      }
+
+      const HandlerClass = this.handlerClasses.get(roomConfig.handler);
+      if (!HandlerClass) {
+        console.warn(
+          `Skipping room "${roomName}" in ${file}: unknown handler "${
+            roomConfig.handler
+          }" (available: ${Array.from(this.handlerClasses.keys()).join(", ")})`
+        );
+        continue;
+      }
+
+      // A discovered handler of the same class keeps its instance (and state)
+      const existing = this.handlers.get(roomName);
+      const handler =
+        existing?.constructor === HandlerClass
+          ? existing
+          : new HandlerClass(roomName);
+      handler.applyConfig(roomConfig);
+      this.roomConfigs.set(roomName, roomConfig);
+      if (handler !== existing) {
+        this.registerHandler(roomName, handler);
+      }
+    }
+
+    console.log(
+      `✅ Loaded room config from ${file} (${this.roomConfigs.size} room(s))`
+    );
+  }
+
+  /**
+   * Get the effective room policy
+   * @returns {{mode: string, patterns: string[]}}
+   */
+  getRoomPolicy() {
+    const mode = process.env.ROOMS_POLICY || this.roomPolicy.mode;
+    const patterns = process.env.ROOMS_ALLOWED_PATTERNS
+      ? parsePatterns(process.env.ROOMS_ALLOWED_PATTERNS)
+      : this.roomPolicy.patterns;
+
+    if (!Object.values(RoomPolicy).includes(mode)) {
+      // Fail closed: a typo in the policy must not open every room name
+      if (this.invalidPolicyWarned !== mode) {
+        console.warn(`Unknown room policy "${mode}", using "registered"`);
+        this.invalidPolicyWarned = mode;
+      }
+      return { mode: RoomPolicy.REGISTERED, patterns: [] };
+    }
+    return { mode, patterns };
+  }
+
+  /**
+   * Check whether clients may use a room under the room policy
+   * Enforced on WebSocket joins and /rooms/:room/* HTTP routes.
+   * @param {string} roomName - Room name
+   * @returns {boolean}
+   */
+  allowsRoom(roomName) {
+    const { mode, patterns } = this.getRoomPolicy();
+    if (mode === RoomPolicy.OPEN || this.handlers.has(roomName)) {
+      return true;
+    }
+    return (
+      mode === RoomPolicy.PATTERN &&
+      patterns.some((pattern) => roomMatches(pattern, roomName))
+    );
+  }
+
   /**
    * Get handler for a specific room (returns default if not found)
+   * A default handler is a new instance on every call: server.js keeps the
+   * one a live room was created with and hands it to releaseHandler().
    */
   getHandler(roomName) {
     if (this.handlers.has(roomName)) {
@@ -56,7 +339,43 @@ class RoomRegistry {
     }
 
     // Return a default handler instance for this room
-    return new BaseRoomHandler(roomName);
+    const handler = new BaseRoomHandler(roomName);
+    this.attachRoomContext(roomName, handler);
+    return handler;
+  }
+
+  /**
+   * Dispose the handler of a destroyed room, unless it is a registered
+   * handler (those live until reload or shutdown)
+   * @param {string} roomName - Room name
+   * @param {BaseRoomHandler} handler - Instance the room was served by
+   */
+  async releaseHandler(roomName, handler) {
+    if (!handler || this.handlers.get(roomName) === handler) {
+      return;
+    }
+    await disposeQuietly(roomName, handler);
+  }
+
+  /**
+   * Provide the room transport used to build each handler's RoomContext
+   * @param {Object} transport - {rooms, controlRooms, sendJson, broadcastToRoom,
+   *   broadcastToControlRoom, enqueueRoomBroadcast} from server.js
+   */
+  setRoomTransport(transport) {
+    this.transport = transport;
+    for (const [roomName, handler] of this.handlers) {
+      this.attachRoomContext(roomName, handler);
+    }
+  }
+
+  /**
+   * Give a handler its room context (handler.room)
+   */
+  attachRoomContext(roomName, handler) {
+    if (this.transport) {
+      handler.room = new RoomContext(roomName, this.transport);
+    }
   }
 
   /**
@@ -93,21 +412,15 @@ class RoomRegistry {
           // Try to load index.js from the room directory
           try {
             const handlerPath = join(roomsDir, roomName, "index.js");
-            // Convert to file:// URL for Windows compatibility
-            const handlerUrl = new URL(
-              `file:///${handlerPath.replace(/\\/g, "/")}`
-            );
-            const module = await import(handlerUrl);
+            const module = await importHandlerModule(handlerPath);
 
             // Look for a class that extends BaseRoomHandler
-            const HandlerClass = Object.values(module).find(
-              (exp) =>
-                exp.prototype instanceof BaseRoomHandler ||
-                exp === BaseRoomHandler
-            );
-
-            if (HandlerClass && HandlerClass !== BaseRoomHandler) {
-              const handler = new HandlerClass();
+            const HandlerClass = findHandlerClass(module);
+
+            if (HandlerClass) {
+              this.handlerClasses.set(roomName, HandlerClass);
+              this.handlerModules.set(roomName, handlerPath);
+              const handler = new HandlerClass(roomName);
               this.registerHandler(roomName, handler);
             }
           } catch (err) {
@@ -129,6 +442,162 @@ class RoomRegistry {
     }
   }
 
+  /**
+   * Subscribe to handler replacements (hot reload)
+   * server.js uses this to move live sockets to the new handler.
+   * @param {Function} listener - (roomName, previousHandler, nextHandler)
+   */
+  onHandlerReplaced(listener) {
+    this.replaceListeners.push(listener);
+  }
+
+  /**
+   * Get the name of the handler class serving a room
+   * @param {string} roomName - Room name
+   * @returns {string|null} Key in handlerClasses ("radio", "chat", "base", ...)
+   */
+  getHandlerName(roomName) {
+    const handler = this.handlers.get(roomName);
+    if (!handler) {
+      return null;
+    }
+    for (const [name, HandlerClass] of this.handlerClasses) {
+      if (handler.constructor === HandlerClass) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Re-import handler modules and swap the handlers of every room using them
+   * State moves from the old to the new instance through the optional
+   * exportState()/importState(state) hooks. A module that fails to import,
+   * or whose new instances fail to build or import state, keeps its current
+   * handlers for every room.
+   * @param {string[]} [names] - Handler names (default: all reloadable)
+   * @returns {Promise<Object[]>} [{handler, rooms: [{room, stateMigrated}]}
+   *   or {handler, error}]
+   */
+  async reloadHandlers(names = Array.from(this.handlerModules.keys())) {
+    const results = [];
+
+    for (const name of names) {
+      const handlerPath = this.handlerModules.get(name);
+      if (!handlerPath) {
+        results.push({ handler: name, error: "Handler cannot be reloaded" });
+        continue;
+      }
+
+      let NextClass;
+      try {
+        NextClass = findHandlerClass(
+          await importHandlerModule(handlerPath, true)
+        );
+        if (!NextClass) {
+          throw new Error("Module exports no BaseRoomHandler subclass");
+        }
+      } catch (err) {
+        console.error(`❌ Could not reload handler "${name}":`, err.message);
+        results.push({ handler: name, error: err.message });
+        continue;
+      }
+
+      const PreviousClass = this.handlerClasses.get(name);
+
+      // Build every replacement before swapping any, so a constructor or
+      // importState that throws leaves all rooms on the previous class
+      const replacements = [];
+      try {
+        for (const [roomName, previous] of this.handlers) {
+          if (previous.constructor !== PreviousClass) continue;
+
+          const next = new NextClass(roomName);
+          replacements.push({ roomName, previous, next, stateMigrated: false });
+          this.attachRoomContext(roomName, next);
+          const roomConfig = this.roomConfigs.get(roomName);
+          if (roomConfig) {
+            next.applyConfig(roomConfig);
+          }
+
+          const state = await previous.exportState();
+          if (state !== null && state !== undefined) {
+            await next.importState(state);
+            replacements[replacements.length - 1].stateMigrated = true;
+          }
+        }
+      } catch (err) {
+        console.error(`❌ Could not reload handler "${name}":`, err.message);
+        for (const { roomName, next } of replacements) {
+          await disposeQuietly(roomName, next);
+        }
+        results.push({ handler: name, error: err.message });
+        continue;
+      }
+
+      this.handlerClasses.set(name, NextClass);
+      const rooms = [];
+      for (const { roomName, previous, next, stateMigrated } of replacements) {
+        this.handlers.set(roomName, next);
+        for (const listener of this.replaceListeners) {
+          listener(roomName, previous, next);
+        }
+        await disposeQuietly(roomName, previous);
+        rooms.push({ room: roomName, stateMigrated });
+      }
+
+      console.log(
+        `🔄 Reloaded handler "${name}" (${NextClass.name}) for room(s): ${
+          rooms.map((entry) => entry.room).join(", ") || "none"
+        }`
+      );
+      results.push({ handler: name, rooms });
+    }
+
+    return results;
+  }
+
+  /**
+   * Dispose every registered handler (server shutdown)
+   */
+  async disposeAll() {
+    for (const [roomName, handler] of this.handlers) {
+      await disposeQuietly(roomName, handler);
+    }
+  }
+
+  /**
+   * Reload handlers when their module files change (ROOMS_HOT_RELOAD=true)
+   * Only files inside a handler's folder are watched; changes to
+   * BaseRoomHandler.js or this registry still need a restart.
+   */
+  watchHandlerModules() {
+    const pending = new Map();
+
+    try {
+      const watcher = watch(__dirname, { recursive: true }, (_, filename) => {
+        const name = String(filename || "").split(/[\\/]/)[0];
+        if (!this.handlerModules.has(name)) return;
+
+        // Editors emit several events per save
+        clearTimeout(pending.get(name));
+        pending.set(
+          name,
+          setTimeout(() => {
+            pending.delete(name);
+            this.reloadHandlers([name]).catch((err) => {
+              console.error(`❌ Could not reload handler "${name}":`, err);
+            });
+          }, 200)
+        );
+      });
+      watcher.unref();
+      console.log(`👀 Watching room handlers in ${__dirname} for changes`);
+    } catch (err) {
+      console.warn("Could not watch room handlers:", err.message);
+    }
+  }
+
   /**
    * Get statistics for all rooms with handlers
    */
@@ -138,6 +607,7 @@ class RoomRegistry {
       stats[roomName] = {
         hasCustomHandler: true,
         handlerClass: handler.constructor.name,
+        configured: this.roomConfigs.has(roomName),
       };
     }
     return stats;
@@ -1,5 +1,25 @@
 import { BaseRoomHandler } from "../BaseRoomHandler.js";
 
+// Radio posts may reference content in data.content, which then needs an id
+const POST_SCHEMA = {
+  type: "object",
+  properties: {
+    data: {
+      type: "object",
+      properties: {
+        content: {
+          type: "object",
+          required: ["id"],
+          properties: {
+            // Any truthy string or number: "" and 0 were never valid
+            id: { type: ["string", "number"], minLength: 1, not: { const: 0 } },
+          },
+        },
+      },
+    },
+  },
+};
+
 /**
  * Radio Room Handler
  *
@@ -7,14 +27,19 @@ import { BaseRoomHandler } from "../BaseRoomHandler.js";
  * advertiser tracking, and content metadata.
  */
 export class RadioHandler extends BaseRoomHandler {
-  constructor() {
-    super("radio");
+  constructor(roomName = "radio") {
+    super(roomName);
     this.contentHistory = []; // Store recent content for new joiners
-    this.maxHistorySize = 10;
+    this.historySize = 10;
     this.requiresAuth = true; // Enforce authentication
     this.lastKnownDurationMs = null;
     this.lastControlSnapshot = null;
     this.radioPostBroadcastDelaySeconds = this.resolveBroadcastDelaySeconds();
+
+    // Every HTTP post, and WebSocket messages of type "post" (other types,
+    // such as player status, stay unchecked)
+    this.registerSchema("*", POST_SCHEMA, ["http"]);
+    this.registerSchema("post", POST_SCHEMA, ["websocket"]);
   }
 
   async getBroadcastDelay(context) {
@@ -111,22 +136,6 @@ export class RadioHandler extends BaseRoomHandler {
     return null;
   }
 
-  /**
-   * Validate HTTP POST messages for radio
-   */
-  async validateHttpPost(payload) {
-    // Additional validation specific to radio content
-    if (payload.data) {
-      // Check if content has expected structure for radio
-      if (payload.data.content) {
-        if (!payload.data.content.id) {
-          return { error: "Content must have an id", code: 422 };
-        }
-      }
-    }
-    return null; // Accept
-  }
-
   /**
    * Process radio messages
    */
@@ -539,13 +548,32 @@ export class RadioHandler extends BaseRoomHandler {
     }
   }
 
+  /**
+   * Keep content history and the last control snapshot across hot reloads
+   */
+  async exportState() {
+    return {
+      contentHistory: this.contentHistory,
+      lastKnownDurationMs: this.lastKnownDurationMs,
+      lastControlSnapshot: this.lastControlSnapshot,
+    };
+  }
+
+  async importState(state) {
+    this.contentHistory = state.contentHistory || [];
+    this.lastKnownDurationMs = state.lastKnownDurationMs ?? null;
+    this.lastControlSnapshot = state.lastControlSnapshot ?? null;
+  }
+
   /**
    * Periodic cleanup of old content
    */
   async onHeartbeat() {
     // Keep only recent history
-    if (this.contentHistory.length > this.maxHistorySize) {
-      this.contentHistory = this.contentHistory.slice(-this.maxHistorySize);
+    if (this.contentHistory.length > this.historySize) {
+      this.contentHistory = this.contentHistory.slice(
+        this.contentHistory.length - this.historySize
+      );
     }
   }
 
@@ -554,8 +582,10 @@ export class RadioHandler extends BaseRoomHandler {
    */
   addToHistory(item) {
     this.contentHistory.push(item);
-    if (this.contentHistory.length > this.maxHistorySize * 2) {
-      this.contentHistory = this.contentHistory.slice(-this.maxHistorySize);
+    if (this.contentHistory.length > this.historySize * 2) {
+      this.contentHistory = this.contentHistory.slice(
+        this.contentHistory.length - this.historySize
+      );
     }
   }
 }
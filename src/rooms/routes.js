@@ -5,6 +5,18 @@
  * Room-specific logic is delegated to the room's handler.
  */
 
+import { Scopes, hasScope, getClientIp } from "../auth/index.js";
+import { runPipeline } from "../plugins/index.js";
+import {
+  HTTP_POST_SCHEMA,
+  SCHEMA_DIALECT,
+  validateSchema,
+} from "../schemas/index.js";
+import {
+  isSignedRequest,
+  verifySignedRequest,
+} from "../auth/request-signing.js";
+
 /**
  * Handle POST /room/:roomName/post
  *
@@ -13,6 +25,11 @@
  *
  * This is a generic handler that works for any room (radio, chat, etc.)
  * Room-specific validation and processing is done by the room's handler.
+ *
+ * Server-to-server callers may sign the body (X-Signature header, see
+ * src/auth/request-signing.js) instead of sending a bearer token; in that
+ * case authPayload is null and the signature is verified here, once the
+ * raw body has been read.
  */
 export async function handlePost(
   req,
@@ -43,6 +60,31 @@ export async function handlePost(
   });
 
   req.on("end", async () => {
+    // Signed body: authenticate the exact bytes received
+    if (!authPayload && isSignedRequest(req)) {
+      const result = verifySignedRequest(req, raw, handler.roomName);
+      if (result.error) {
+        const headers = { "Content-Type": "application/json" };
+        if (result.retryAfterMs) {
+          headers["Retry-After"] = Math.ceil(result.retryAfterMs / 1000);
+        }
+        res.writeHead(result.status || 401, headers);
+        res.end(JSON.stringify({ error: result.error }));
+        return;
+      }
+      if (!hasScope(result.payload, Scopes.ROOM_POST)) {
+        res.writeHead(403, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({
+            error: "Insufficient scope",
+            requiredScope: Scopes.ROOM_POST,
+          })
+        );
+        return;
+      }
+      authPayload = result.payload;
+    }
+
     let body;
     try {
       body = JSON.parse(raw || "{}");
@@ -52,34 +94,15 @@ export async function handlePost(
       return;
     }
 
-    // Mandatory fields validation: type, timestamp, data
-    const errors = [];
-    if (!body || typeof body !== "object")
-      errors.push("Body must be a JSON object");
-    if (!("type" in body)) errors.push("Missing field: type");
-    if (!("timestamp" in body)) errors.push("Missing field: timestamp");
-    if (!("data" in body)) errors.push("Missing field: data");
-
-    if (body && typeof body.type !== "string")
-      errors.push("Field type must be a string");
-    if (body && typeof body.timestamp === "string") {
-      if (isNaN(Date.parse(body.timestamp)))
-        errors.push("timestamp must be an ISO-8601 date string");
-    } else if (body) {
-      errors.push("timestamp must be a string");
-    }
-    if (
-      body &&
-      (typeof body.data !== "object" ||
-        body.data === null ||
-        Array.isArray(body.data))
-    ) {
-      errors.push("data must be a non-null JSON object");
-    }
-
-    if (errors.length) {
+    // Mandatory fields (type, timestamp, data), then the room's schema for
+    // this type; both are published at GET /rooms/:room/schemas
+    const envelopeErrors = validateSchema(HTTP_POST_SCHEMA, body);
+    const schemaError = envelopeErrors.length
+      ? { error: "Validation failed", details: envelopeErrors }
+      : handler.validateSchema(body, "http");
+    if (schemaError) {
       res.writeHead(422, { "Content-Type": "application/json" });
-      res.end(JSON.stringify({ error: "Validation failed", details: errors }));
+      res.end(JSON.stringify(schemaError));
       return;
     }
 
@@ -93,11 +116,42 @@ export async function handlePost(
       return;
     }
 
+    // Room plugins from rooms.json (rate limits, filters, enrichment...)
+    const pipelineResult = await runPipeline(handler.pipeline, body, {
+      roomName: handler.roomName,
+      transport: "http",
+      socket: null,
+      authPayload,
+      clientAddress: getClientIp(req),
+    });
+    if (pipelineResult.rejected) {
+      res.writeHead(pipelineResult.status, {
+        "Content-Type": "application/json",
+      });
+      res.end(
+        JSON.stringify({
+          error: pipelineResult.error,
+          details: pipelineResult.details,
+          plugin: pipelineResult.plugin,
+        })
+      );
+      return;
+    }
+    if (pipelineResult.dropped) {
+      res.writeHead(202, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: "dropped", room: handler.roomName }));
+      return;
+    }
+    body = pipelineResult.message;
+
     // Attach server receipt timestamp
     let broadcastPayload = {
       ...body,
       serverReceivedAt: new Date().toISOString(),
     };
+    if (Object.keys(pipelineResult.annotations).length) {
+      broadcastPayload.annotations = pipelineResult.annotations;
+    }
 
     // Let handler process/modify the payload (room-specific processing)
     const handlerResult = await handler.onHttpPost(broadcastPayload);
@@ -171,28 +225,53 @@ export async function handlePost(
   });
 }
 
+/**
+ * Handle GET /rooms/:roomName/schemas
+ *
+ * Publishes the JSON Schemas the room validates messages against, so
+ * integrators can check payloads before sending them. Message types missing
+ * from the lists (and without a "*" entry) are not schema-checked.
+ */
+export async function handleSchemas(req, res, authPayload, handler) {
+  res.writeHead(200, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(
+    JSON.stringify({
+      room: handler.roomName,
+      dialect: SCHEMA_DIALECT,
+      http: {
+        envelope: HTTP_POST_SCHEMA,
+        types: handler.schemas.http,
+      },
+      websocket: {
+        types: handler.schemas.websocket,
+      },
+    })
+  );
+}
+
 /**
  * Generic route configuration for all rooms
- * Each route specifies: method, path pattern, handler function
+ * Each route specifies: method, path pattern, handler function,
+ * whether a token is required and the scope that token must grant.
+ * signedBody routes also accept an HMAC-signed body instead of a token.
  */
 export const routes = [
   {
     method: "POST",
     path: "/post",
     requiresAuth: true,
+    scope: Scopes.ROOM_POST,
+    signedBody: true,
     handler: handlePost,
   },
   {
-    method: "OPTIONS",
-    path: "/post",
+    method: "GET",
+    path: "/schemas",
     requiresAuth: false,
-    handler: async (req, res) => {
-      res.writeHead(204, {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "POST, OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type, Authorization",
-      });
-      res.end();
-    },
+    scope: null,
+    handler: handleSchemas,
   },
 ];
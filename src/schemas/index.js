@@ -0,0 +1,238 @@
+/**
+ * JSON Schema Validation
+ *
+ * A small validator for the subset of JSON Schema used by room message
+ * schemas. Errors carry a JSON Pointer (RFC 6901) to the offending value, so
+ * clients can map them back to a form field or message property.
+ *
+ * Supported keywords: type, enum, const, required, properties,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength,
+ * pattern, format ("date-time"), minimum, maximum, not. Annotation keywords
+ * ($schema, $id, title, description, examples) are ignored.
+ */
+
+export const SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+/**
+ * Envelope every POST /rooms/:room/post body must match, before the room's
+ * own schema for the body's type is applied
+ */
+export const HTTP_POST_SCHEMA = {
+  type: "object",
+  required: ["type", "timestamp", "data"],
+  properties: {
+    type: { type: "string" },
+    timestamp: { type: "string", format: "date-time" },
+    data: { type: "object" },
+  },
+};
+
+const TYPES = [
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "object",
+  "array",
+  "null",
+];
+
+// Compiled `pattern` of each (sub)schema, filled by compileSchema
+const patterns = new WeakMap();
+
+/**
+ * Check a schema and compile its patterns, once, when it is registered
+ * Validating a message then never compiles a regular expression, and a bad
+ * schema fails at startup instead of on the first matching message.
+ * @param {Object} schema - JSON Schema (supported subset, see above)
+ * @param {string} [path] - Location used in error messages
+ * @returns {Object} The same schema
+ * @throws {Error} On an invalid pattern or type
+ */
+export function compileSchema(schema, path = "schema") {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    throw new Error(`${path} must be an object`);
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const unknown = types.find((type) => !TYPES.includes(type));
+    if (unknown !== undefined) {
+      throw new Error(`${path}.type: unknown type "${unknown}"`);
+    }
+  }
+
+  if (schema.pattern !== undefined && !patterns.has(schema)) {
+    try {
+      patterns.set(schema, new RegExp(schema.pattern, "u"));
+    } catch (err) {
+      throw new Error(`${path}.pattern: ${err.message}`);
+    }
+  }
+
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    compileSchema(child, `${path}.properties.${key}`);
+  }
+  if (schema.items !== undefined) {
+    compileSchema(schema.items, `${path}.items`);
+  }
+  if (
+    schema.additionalProperties !== undefined &&
+    typeof schema.additionalProperties !== "boolean"
+  ) {
+    compileSchema(schema.additionalProperties, `${path}.additionalProperties`);
+  }
+  if (schema.not !== undefined) {
+    compileSchema(schema.not, `${path}.not`);
+  }
+  return schema;
+}
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  return actual === expected || (expected === "number" && actual === "integer");
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function patternOf(schema) {
+  // Schemas passed straight to validateSchema are compiled on first use
+  if (!patterns.has(schema)) {
+    compileSchema(schema);
+  }
+  return patterns.get(schema);
+}
+
+function check(schema, value, pointer, errors) {
+  const fail = (keyword, message) => errors.push({ pointer, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      fail("type", `must be ${types.join(" or ")}`);
+      return; // Other keywords would only repeat the type error
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => isEqual(option, value))) {
+    fail("enum", `must be one of: ${schema.enum.map(String).join(", ")}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    fail("const", `must be ${JSON.stringify(schema.const)}`);
+  }
+  if (
+    schema.not !== undefined &&
+    validateSchema(schema.not, value).length === 0
+  ) {
+    fail("not", `must not match ${JSON.stringify(schema.not)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("minLength", `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail("maxLength", `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !patternOf(schema).test(value)) {
+      fail("pattern", `must match ${schema.pattern}`);
+    }
+    if (schema.format === "date-time" && isNaN(Date.parse(value))) {
+      fail("format", "must be an ISO-8601 date string");
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail("minimum", `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail("maximum", `must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("minItems", `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail("maxItems", `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        check(schema.items, item, `${pointer}/${index}`, errors)
+      );
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({
+          pointer: `${pointer}/${escapePointerToken(key)}`,
+          keyword: "required",
+          message: "is required",
+        });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const child = `${pointer}/${escapePointerToken(key)}`;
+      if (Object.hasOwn(properties, key)) {
+        check(properties[key], item, child, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          pointer: child,
+          keyword: "additionalProperties",
+          message: "is not allowed",
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        check(schema.additionalProperties, item, child, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * Run compileSchema on the schema first; an uncompiled invalid pattern
+ * throws here.
+ * @param {Object} schema - JSON Schema (supported subset, see above)
+ * @param {*} value - Parsed JSON value
+ * @returns {Object[]} Errors as [{pointer, keyword, message}]; empty when valid.
+ *   The pointer of the value itself is "" (e.g. "/data/content/id" below it).
+ */
+export function validateSchema(schema, value) {
+  const errors = [];
+  check(schema, value, "", errors);
+  return errors;
+}
+
+/**
+ * Pick the schema for a message from a {"<type>": schema} map
+ * Falls back to the "*" entry; null when neither exists.
+ * @param {Object} schemas - Schemas by message type
+ * @param {Object} message - Message with an optional string `type`
+ * @returns {Object|null}
+ */
+export function schemaForType(schemas, message) {
+  const type = typeof message?.type === "string" ? message.type : null;
+  // Own keys only: a message type like "constructor" must not hit Object.prototype
+  if (type !== null && Object.hasOwn(schemas, type)) {
+    return schemas[type];
+  }
+  return Object.hasOwn(schemas, "*") ? schemas["*"] : null;
+}
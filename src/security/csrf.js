@@ -0,0 +1,145 @@
+/**
+ * CSRF Protection (double-submit cookie)
+ *
+ * Pages of the docs portal receive a `docs_csrf` cookie readable by
+ * JavaScript. State-changing docs routes require the same value in the
+ * X-CSRF-Token header: another site can make the browser send the cookie,
+ * but cannot read it to copy it into the header.
+ *
+ * Tokens are signed (random value + HMAC), so a cookie planted by another
+ * subdomain is rejected. Requests authenticated only with a bearer token
+ * carry no ambient credentials and are exempt.
+ */
+
+import crypto from "crypto";
+import { isSecureRequest } from "./index.js";
+
+export const CSRF_COOKIE = "docs_csrf";
+export const CSRF_HEADER = "x-csrf-token";
+
+let fallbackSecret = null;
+
+// Resolved lazily: importers load .env after their imports are evaluated
+function getSecret() {
+  const secret = process.env.CSRF_SECRET || process.env.AUTH_SECRET;
+  if (secret) return secret;
+  if (!fallbackSecret) {
+    fallbackSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return fallbackSecret;
+}
+
+function sign(value) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`csrf:${value}`)
+    .digest("base64url");
+}
+
+function readCookie(req, name) {
+  for (const cookie of (req.headers.cookie || "").split(";")) {
+    const [cookieName, ...rest] = cookie.trim().split("=");
+    if (cookieName === name) {
+      return decodeURIComponent(rest.join("="));
+    }
+  }
+  return null;
+}
+
+function isValidToken(token) {
+  if (typeof token !== "string") return false;
+  const [value, signature] = token.split(".");
+  if (!value || !signature) return false;
+  const expected = Buffer.from(sign(value));
+  const provided = Buffer.from(signature);
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+}
+
+/**
+ * Create a new signed CSRF token
+ * @returns {string}
+ */
+export function createCsrfToken() {
+  const value = crypto.randomBytes(24).toString("base64url");
+  return `${value}.${sign(value)}`;
+}
+
+/**
+ * Build the Set-Cookie value for a CSRF token
+ * Not HttpOnly: the page script must read it to send it back in the header.
+ * @param {http.IncomingMessage} req - HTTP request (for the Secure flag)
+ * @param {string} token - CSRF token
+ * @returns {string}
+ */
+export function csrfCookie(req, token) {
+  return [
+    `${CSRF_COOKIE}=${token}`,
+    "SameSite=Strict",
+    "Path=/",
+    ...(isSecureRequest(req) ? ["Secure"] : []),
+  ].join("; ");
+}
+
+/**
+ * Make sure the client has a valid CSRF cookie, setting one if needed
+ * Must be called before the response headers are written.
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @returns {string} The client's CSRF token
+ */
+export function ensureCsrfCookie(req, res) {
+  const existing = readCookie(req, CSRF_COOKIE);
+  if (isValidToken(existing)) {
+    return existing;
+  }
+  const token = createCsrfToken();
+  res.setHeader("Set-Cookie", csrfCookie(req, token));
+  return token;
+}
+
+/**
+ * Check the double-submitted CSRF token of a state-changing request
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {boolean} True if the request may proceed
+ */
+export function verifyCsrf(req) {
+  const authHeader = req.headers.authorization;
+  const hasCookies = Boolean(req.headers.cookie);
+  if (authHeader && authHeader.startsWith("Bearer ") && !hasCookies) {
+    return true;
+  }
+
+  const cookieToken = readCookie(req, CSRF_COOKIE);
+  const headerToken = req.headers[CSRF_HEADER];
+  if (!isValidToken(cookieToken) || typeof headerToken !== "string") {
+    return false;
+  }
+
+  const a = Buffer.from(cookieToken);
+  const b = Buffer.from(headerToken);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Reject a request without a valid CSRF token (403)
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @returns {boolean} True if the request may proceed
+ */
+export function requireCsrf(req, res) {
+  if (verifyCsrf(req)) {
+    return true;
+  }
+  console.warn(`CSRF check failed for ${req.method} ${req.url}`);
+  res.writeHead(403, { "Content-Type": "application/json" });
+  res.end(
+    JSON.stringify({
+      error: "CSRF token missing or invalid",
+      message: `Send the ${CSRF_COOKIE} cookie value in the X-CSRF-Token header`,
+    })
+  );
+  return false;
+}
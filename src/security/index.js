@@ -0,0 +1,109 @@
+/**
+ * Security Headers Module
+ *
+ * Shared response headers for every HTTP response (JSON and HTML):
+ * X-Content-Type-Options, X-Frame-Options, Referrer-Policy, a deny-all
+ * Content-Security-Policy, and Strict-Transport-Security when the request
+ * arrived over TLS (directly or via a proxy such as Cloud Run).
+ *
+ * HTML pages replace the deny-all policy with a page policy built by
+ * sendHtmlPage(), which allows inline <script>/<style> blocks through a
+ * per-response nonce.
+ */
+
+import crypto from "crypto";
+
+const DEFAULT_HSTS_MAX_AGE = 31536000; // 1 year
+
+const BASE_HEADERS = {
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "DENY",
+  "Referrer-Policy": "no-referrer",
+  "Cross-Origin-Opener-Policy": "same-origin",
+  // JSON and plain responses never need to load anything
+  "Content-Security-Policy":
+    "default-src 'none'; frame-ancestors 'none'; base-uri 'none'",
+};
+
+/**
+ * Check whether a request arrived over TLS
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {boolean}
+ */
+export function isSecureRequest(req) {
+  if (req.socket?.encrypted) return true;
+  const proto = req.headers["x-forwarded-proto"];
+  return Boolean(proto) && proto.split(",")[0].trim() === "https";
+}
+
+/**
+ * Apply the baseline security headers to a response
+ * Call before routing; headers passed to writeHead() still take precedence.
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ */
+export function applySecurityHeaders(req, res) {
+  for (const [name, value] of Object.entries(BASE_HEADERS)) {
+    res.setHeader(name, value);
+  }
+
+  if (isSecureRequest(req)) {
+    const maxAge = parseInt(
+      process.env.SECURITY_HSTS_MAX_AGE || `${DEFAULT_HSTS_MAX_AGE}`,
+      10
+    );
+    if (maxAge > 0) {
+      res.setHeader(
+        "Strict-Transport-Security",
+        `max-age=${maxAge}; includeSubDomains`
+      );
+    }
+  }
+}
+
+/**
+ * Build a Content-Security-Policy for an HTML page
+ * @param {string} nonce - Nonce for inline scripts and styles
+ * @param {Object} sources - Extra sources: {scriptSrc, styleSrc, imgSrc, connectSrc}
+ * @returns {string}
+ */
+function buildPagePolicy(nonce, sources = {}) {
+  const styleSrc = sources.styleSrc || [];
+  // A nonce disables 'unsafe-inline', which some pages need for style attributes
+  const styleNonce = styleSrc.includes("'unsafe-inline'")
+    ? []
+    : [`'nonce-${nonce}'`];
+
+  return [
+    "default-src 'none'",
+    ["script-src", `'nonce-${nonce}'`, ...(sources.scriptSrc || [])].join(" "),
+    ["style-src", ...styleNonce, ...styleSrc].join(" "),
+    ["img-src", "'self'", ...(sources.imgSrc || [])].join(" "),
+    ["connect-src", "'self'", ...(sources.connectSrc || [])].join(" "),
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+    "base-uri 'none'",
+  ].join("; ");
+}
+
+/**
+ * Send an HTML page with a nonce-based Content-Security-Policy
+ * Every <script> and <style> tag in the page receives the nonce.
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} html - Page markup
+ * @param {Object} sources - Extra CSP sources: {scriptSrc, styleSrc, imgSrc, connectSrc}
+ */
+export function sendHtmlPage(res, html, sources = {}) {
+  const nonce = crypto.randomBytes(16).toString("base64");
+  const body = html.replace(
+    /<(script|style)(?=[\s>])/g,
+    `<$1 nonce="${nonce}"`
+  );
+
+  res.writeHead(200, {
+    "Content-Type": "text/html",
+    "Content-Security-Policy": buildPagePolicy(nonce, sources),
+    "Cache-Control": "no-store",
+  });
+  res.end(body);
+}
@@ -9,16 +9,39 @@ dotenv.config({ path: join(__dirname, "..", ".env") });
 
 import { WebSocketServer } from "ws";
 import http from "http";
+import https from "https";
 import swaggerUi from "swagger-ui-express";
 import { generateSwaggerSpecs } from "./swagger.js";
 import { roomRegistry } from "./rooms/index.js";
+import { runPipeline } from "./plugins/index.js";
 import {
   extractToken,
   verifyAuthToken,
   validateHttpPostAuth,
   AuthConfig,
-  generateAuthToken,
+  hasScope,
+  getClientAddress,
+  getClientIp,
+  getTokenRooms,
+  tokenAllowsRoom,
+  PUBLIC_BASE_URL,
+  buildWebSocketUrl,
 } from "./auth/index.js";
+import {
+  authenticateAdmin,
+  authenticateIssuer,
+  getIssuancePolicy,
+  issueToken,
+} from "./auth/issuance.js";
+import { describeToken, introspectToken } from "./auth/introspection.js";
+import { isSignedRequest } from "./auth/request-signing.js";
+import {
+  getClientCertificate,
+  getTlsServerOptions,
+  verifyClientCertificate,
+} from "./auth/client-certs.js";
+import { RevocationType, revoke } from "./auth/revocation.js";
+import { listIssuedTokens, findIssuedToken } from "./auth/issued-tokens.js";
 import {
   handlePostContentRequest,
   handlePostContentOptions,
@@ -27,9 +50,42 @@ import {
   authenticateDocsUser,
   requireDocsAuth,
   destroySession,
-  getDocsCredentials,
+  destroySessionById,
+  getSessionStats,
+  getSessionCookieMaxAge,
 } from "./auth/docs-auth.js";
+import { DocsRoles, docsRoleAllows } from "./auth/docs-users.js";
+import {
+  applySecurityHeaders,
+  isSecureRequest,
+  sendHtmlPage,
+} from "./security/index.js";
+import {
+  createCsrfToken,
+  csrfCookie,
+  ensureCsrfCookie,
+  requireCsrf,
+} from "./security/csrf.js";
 import { handleHealthRequest, isHealthRequest } from "./health/index.js";
+import {
+  approvePairing,
+  closePairingSockets,
+  handlePairingUpgrade,
+  isPairingRequest,
+  listPairingRequests,
+  rejectPairing,
+} from "./pairing/index.js";
+import {
+  disconnectRevokedSockets,
+  handleAdminRequest,
+  isAdminRequest,
+} from "./admin/index.js";
+import { getSigningKey } from "./auth/keyring.js";
+import {
+  checkTokenExpiry,
+  handleRefreshTokenMessage,
+  isRefreshTokenMessage,
+} from "./auth/token-refresh.js";
 import { readFileSync } from "fs";
 
 const PORT = process.env.PORT || 8080;
@@ -42,16 +98,28 @@ const HEARTBEAT_INTERVAL_MS = parseInt(
 // Optional per-connection policies (disabled by default if 0)
 const IDLE_TIMEOUT_MS = parseInt(process.env.IDLE_TIMEOUT_MS || "0", 10);
 const MAX_CONN_AGE_MS = parseInt(process.env.MAX_CONN_AGE_MS || "0", 10);
+// How often connected sockets are checked for expiring tokens (0 disables)
+const TOKEN_EXPIRY_CHECK_MS = parseInt(
+  process.env.TOKEN_EXPIRY_CHECK_MS || "30000",
+  10
+);
 
-// Public base URL for clients (override in env). Fallback to the deployed Cloud Run URL.
-// Example (PowerShell): $env:PUBLIC_BASE_URL='https://radiowsserver-763503917257.europe-west1.run.app'
-const PUBLIC_BASE_URL = (
-  process.env.PUBLIC_BASE_URL ||
-  "https://radiowsserver-763503917257.europe-west1.run.app"
-).replace(/\/$/, "");
+// Swagger UI release loaded by the /docs page (also its CSP source)
+const SWAGGER_UI_ASSETS = "https://unpkg.com/swagger-ui-dist@4.15.5/";
+
+// TLS is normally terminated by Cloud Run; set TLS_CERT_FILE/TLS_KEY_FILE to
+// serve HTTPS directly (required for client certificates, see client-certs.js)
+const TLS_OPTIONS = getTlsServerOptions();
 
 // Basic HTTP server (optional for health check / upgrade flexibility)
-const server = http.createServer(async (req, res) => {
+const server = TLS_OPTIONS
+  ? https.createServer(TLS_OPTIONS)
+  : http.createServer();
+
+server.on("request", async (req, res) => {
+  // Security headers for every response - see src/security/index.js
+  applySecurityHeaders(req, res);
+
   // Simple router
 
   // Redirect root to documentation
@@ -67,6 +135,32 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Admin endpoints (revocations, ...) - see src/admin/index.js
+  if (isAdminRequest(req)) {
+    await handleAdminRequest(req, res, { rooms, controlRooms, wss });
+    return;
+  }
+
+  // GET /pair - Pairing page for unpaired screens (public)
+  if (
+    req.method === "GET" &&
+    req.url.split("?")[0] === "/pair" &&
+    process.env.PAIRING_ENABLED !== "false"
+  ) {
+    try {
+      const pairingHtml = readFileSync(
+        join(__dirname, "pairing", "pairing.html"),
+        "utf-8"
+      );
+      sendHtmlPage(res, pairingHtml);
+    } catch (error) {
+      console.error("Error loading pairing page:", error);
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end("Error loading pairing page");
+    }
+    return;
+  }
+
   // ============================================================================
   // DOCUMENTATION AUTHENTICATION ROUTES
   // ============================================================================
@@ -78,8 +172,8 @@ const server = http.createServer(async (req, res) => {
         join(__dirname, "auth", "login.html"),
         "utf-8"
       );
-      res.writeHead(200, { "Content-Type": "text/html" });
-      res.end(loginHtml);
+      ensureCsrfCookie(req, res);
+      sendHtmlPage(res, loginHtml);
     } catch (error) {
       console.error("Error loading login page:", error);
       res.writeHead(500, { "Content-Type": "text/plain" });
@@ -88,17 +182,32 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // GET /auth/csrf-token - CSRF token for scripted clients (also set as cookie)
+  if (req.method === "GET" && req.url === "/auth/csrf-token") {
+    const csrfToken = ensureCsrfCookie(req, res);
+    res.writeHead(200, {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+    });
+    res.end(JSON.stringify({ csrfToken }));
+    return;
+  }
+
   // POST /auth/docs-login - Handle login form submission
   if (req.method === "POST" && req.url === "/auth/docs-login") {
+    if (!requireCsrf(req, res)) return;
     let body = "";
     req.on("data", (chunk) => {
       body += chunk.toString();
     });
 
-    req.on("end", () => {
+    req.on("end", async () => {
       try {
         const { email, password } = JSON.parse(body);
-        const result = authenticateDocsUser(email, password);
+        const result = await authenticateDocsUser(email, password, {
+          clientAddress: getClientIp(req),
+          userAgent: req.headers["user-agent"],
+        });
 
         if (result.success) {
           // Set session cookie
@@ -107,26 +216,36 @@ const server = http.createServer(async (req, res) => {
             "HttpOnly",
             "SameSite=Strict",
             "Path=/",
-            `Max-Age=${24 * 60 * 60}`, // 24 hours
+            `Max-Age=${getSessionCookieMaxAge()}`,
+            ...(isSecureRequest(req) ? ["Secure"] : []),
           ].join("; ");
 
           res.writeHead(200, {
             "Content-Type": "application/json",
-            "Set-Cookie": cookieOptions,
+            // A fresh CSRF token per session prevents token fixation
+            "Set-Cookie": [cookieOptions, csrfCookie(req, createCsrfToken())],
           });
           res.end(
             JSON.stringify({
               success: true,
               message: result.message,
               token: result.token,
+              role: result.role,
             })
           );
         } else {
-          res.writeHead(401, { "Content-Type": "application/json" });
+          const headers = { "Content-Type": "application/json" };
+          if (result.retryAfterMs) {
+            headers["Retry-After"] = Math.ceil(result.retryAfterMs / 1000);
+          }
+          res.writeHead(result.status || 401, headers);
           res.end(
             JSON.stringify({
               success: false,
               message: result.message,
+              ...(result.retryAfterMs && {
+                retryAfterMs: result.retryAfterMs,
+              }),
             })
           );
         }
@@ -146,11 +265,12 @@ const server = http.createServer(async (req, res) => {
 
   // POST /auth/docs-logout - Logout and destroy session
   if (req.method === "POST" && req.url === "/auth/docs-logout") {
+    if (!requireCsrf(req, res)) return;
     const cookies = req.headers.cookie ? parseCookies(req.headers.cookie) : {};
     const token = cookies.docs_auth_token;
 
     if (token) {
-      destroySession(token);
+      await destroySession(token);
     }
 
     res.writeHead(200, {
@@ -164,10 +284,305 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // GET /auth/docs-sessions - Sessions of the logged-in user (all for admins)
+  if (req.method === "GET" && req.url === "/auth/docs-sessions") {
+    return requireDocsAuth(req, res, async () => {
+      const isAdmin = docsRoleAllows(req.docsUser.role, DocsRoles.ADMIN);
+      const stats = await getSessionStats(isAdmin ? null : req.docsUser.email);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          ...stats,
+          sessions: stats.sessions.map((session) => ({
+            ...session,
+            current: session.id === req.docsUser.id,
+          })),
+        })
+      );
+    });
+  }
+
+  // DELETE /auth/docs-sessions/:id - Revoke an own session (any for admins)
+  const docsSessionMatch = req.url.match(
+    /^\/auth\/docs-sessions\/([a-f0-9]{64})$/
+  );
+  if (req.method === "DELETE" && docsSessionMatch) {
+    if (!requireCsrf(req, res)) return;
+    return requireDocsAuth(req, res, async () => {
+      const isAdmin = docsRoleAllows(req.docsUser.role, DocsRoles.ADMIN);
+      const { sessions } = await getSessionStats(
+        isAdmin ? null : req.docsUser.email
+      );
+      const id = docsSessionMatch[1];
+      if (!sessions.some((session) => session.id === id)) {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "Session not found" }));
+        return;
+      }
+      await destroySessionById(id);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ success: true, id }));
+    });
+  }
+
+  // GET /auth/docs-tokens - Issued tokens and the roles an operator may mint
+  if (req.method === "GET" && req.url === "/auth/docs-tokens") {
+    return requireDocsAuth(
+      req,
+      res,
+      () => {
+        const roles = Object.entries(getIssuancePolicy().roles || {}).map(
+          ([role, policy]) => ({
+            role,
+            rooms: policy.rooms || [],
+            metadataKeys: policy.metadataKeys || [],
+            maxLifetimeMs: policy.maxLifetimeMs ?? null,
+          })
+        );
+        res.writeHead(200, {
+          "Content-Type": "application/json",
+          "Cache-Control": "no-store",
+        });
+        res.end(
+          JSON.stringify({
+            roles,
+            defaultLifetimeMs: AuthConfig.DEFAULT_EXPIRY,
+            tokens: listIssuedTokens(),
+          })
+        );
+      },
+      DocsRoles.OPERATOR
+    );
+  }
+
+  // POST /auth/docs-tokens - Mint a token from the docs portal (operators)
+  if (req.method === "POST" && req.url === "/auth/docs-tokens") {
+    if (!requireCsrf(req, res)) return;
+    return requireDocsAuth(
+      req,
+      res,
+      async () => {
+        let data;
+        try {
+          data = JSON.parse(await readBody(req));
+        } catch (_) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "Invalid JSON" }));
+          return;
+        }
+
+        if (!data.clientId || !data.room) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "clientId and room are required" }));
+          return;
+        }
+
+        const issuer = { type: "docs", name: req.docsUser.email };
+        let result;
+        try {
+          result = issueToken(
+            {
+              clientId: data.clientId,
+              room: data.room,
+              metadata: data.metadata || {},
+              expiresIn: data.expiresIn,
+            },
+            issuer
+          );
+        } catch (err) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: err.message }));
+          return;
+        }
+
+        if (!result.allowed) {
+          console.warn(
+            `Token issuance denied for ${issuer.name}:`,
+            result.error
+          );
+          res.writeHead(result.status, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: result.error, ...result.details }));
+          return;
+        }
+
+        const { token, payload } = result;
+        console.log(
+          `🎫 Token minted in docs portal by ${issuer.name} for ${payload.clientId} (room=${payload.room}, role=${payload.metadata.role})`
+        );
+        res.writeHead(201, {
+          "Content-Type": "application/json",
+          "Cache-Control": "no-store",
+        });
+        res.end(
+          JSON.stringify({
+            token,
+            wsUrl: buildWebSocketUrl(payload.room, token),
+            issuedToken: findIssuedToken(payload.tokenId),
+          })
+        );
+      },
+      DocsRoles.OPERATOR
+    );
+  }
+
+  // DELETE /auth/docs-tokens/:tokenId - Revoke an issued token (operators)
+  const docsTokenMatch = req.url.match(/^\/auth\/docs-tokens\/([\w-]+)$/);
+  if (req.method === "DELETE" && docsTokenMatch) {
+    if (!requireCsrf(req, res)) return;
+    return requireDocsAuth(
+      req,
+      res,
+      () => {
+        const tokenId = docsTokenMatch[1];
+        if (!findIssuedToken(tokenId)) {
+          res.writeHead(404, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "Issued token not found" }));
+          return;
+        }
+
+        const revocation = revoke(RevocationType.TOKEN, tokenId, {
+          reason: "Revoked in docs portal",
+          revokedBy: `docs:${req.docsUser.email}`,
+        });
+        const closedConnections = disconnectRevokedSockets({
+          rooms,
+          controlRooms,
+        });
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({
+            revocation,
+            closedConnections,
+            issuedToken: findIssuedToken(tokenId),
+          })
+        );
+      },
+      DocsRoles.OPERATOR
+    );
+  }
+
+  // GET /auth/docs-pairing - Screens waiting for their pairing code to be approved
+  if (req.method === "GET" && req.url === "/auth/docs-pairing") {
+    return requireDocsAuth(
+      req,
+      res,
+      () => {
+        res.writeHead(200, {
+          "Content-Type": "application/json",
+          "Cache-Control": "no-store",
+        });
+        res.end(JSON.stringify({ pairings: listPairingRequests() }));
+      },
+      DocsRoles.OPERATOR
+    );
+  }
+
+  // POST /auth/docs-pairing/:code/approve - Send a token to a waiting screen
+  // DELETE /auth/docs-pairing/:code - Reject a pairing code
+  const docsPairingMatch = req.url.match(
+    /^\/auth\/docs-pairing\/([A-Za-z0-9-]+)(\/approve)?$/
+  );
+  if (
+    docsPairingMatch &&
+    ((req.method === "POST" && docsPairingMatch[2]) ||
+      (req.method === "DELETE" && !docsPairingMatch[2]))
+  ) {
+    if (!requireCsrf(req, res)) return;
+    return requireDocsAuth(
+      req,
+      res,
+      async () => {
+        const code = docsPairingMatch[1];
+        const issuer = { type: "docs", name: req.docsUser.email };
+
+        if (req.method === "DELETE") {
+          const rejected = rejectPairing(code, issuer);
+          res.writeHead(rejected ? 200 : 404, {
+            "Content-Type": "application/json",
+          });
+          res.end(
+            JSON.stringify(
+              rejected ? { success: true } : { error: "Pairing code not found" }
+            )
+          );
+          return;
+        }
+
+        let result;
+        try {
+          const data = JSON.parse(await readBody(req));
+          result = approvePairing(code, data, issuer);
+        } catch (err) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: err.message }));
+          return;
+        }
+
+        if (!result) {
+          res.writeHead(404, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "Pairing code not found" }));
+        } else if (!result.allowed) {
+          res.writeHead(result.status, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: result.error, ...result.details }));
+        } else {
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(
+            JSON.stringify({
+              pairing: result.pairing,
+              issuedToken: findIssuedToken(result.payload.tokenId),
+            })
+          );
+        }
+      },
+      DocsRoles.OPERATOR
+    );
+  }
+
   // ============================================================================
   // PROTECTED DOCUMENTATION ENDPOINTS
   // ============================================================================
 
+  // Session management page (PROTECTED)
+  if (req.method === "GET" && req.url === "/docs/sessions") {
+    return requireDocsAuth(req, res, () => {
+      try {
+        const sessionsHtml = readFileSync(
+          join(__dirname, "auth", "sessions.html"),
+          "utf-8"
+        );
+        ensureCsrfCookie(req, res);
+        sendHtmlPage(res, sessionsHtml);
+      } catch (error) {
+        console.error("Error loading sessions page:", error);
+        res.writeHead(500, { "Content-Type": "text/plain" });
+        res.end("Error loading sessions page");
+      }
+    });
+  }
+
+  // Token minting page (PROTECTED, operators)
+  if (req.method === "GET" && req.url === "/docs/tokens") {
+    return requireDocsAuth(
+      req,
+      res,
+      () => {
+        try {
+          const tokensHtml = readFileSync(
+            join(__dirname, "auth", "tokens.html"),
+            "utf-8"
+          );
+          ensureCsrfCookie(req, res);
+          sendHtmlPage(res, tokensHtml);
+        } catch (error) {
+          console.error("Error loading tokens page:", error);
+          res.writeHead(500, { "Content-Type": "text/plain" });
+          res.end("Error loading tokens page");
+        }
+      },
+      DocsRoles.OPERATOR
+    );
+  }
+
   // API Documentation endpoint (PROTECTED)
   if (req.method === "GET" && req.url === "/docs") {
     return requireDocsAuth(req, res, () => {
@@ -177,15 +592,15 @@ const server = http.createServer(async (req, res) => {
 <html>
 <head>
   <title>RadioWSServer API Documentation</title>
-  <link rel="stylesheet" type="text/css" href="https://unpkg.com/swagger-ui-dist@4.15.5/swagger-ui.css" />
+  <link rel="stylesheet" type="text/css" href="${SWAGGER_UI_ASSETS}swagger-ui.css" />
   <style>
     .swagger-ui .topbar { display: none }
   </style>
 </head>
 <body>
   <div id="swagger-ui"></div>
-  <script src="https://unpkg.com/swagger-ui-dist@4.15.5/swagger-ui-bundle.js"></script>
-  <script src="https://unpkg.com/swagger-ui-dist@4.15.5/swagger-ui-standalone-preset.js"></script>
+  <script src="${SWAGGER_UI_ASSETS}swagger-ui-bundle.js"></script>
+  <script src="${SWAGGER_UI_ASSETS}swagger-ui-standalone-preset.js"></script>
   <script>
     SwaggerUIBundle({
       url: '/docs/swagger.json',
@@ -199,8 +614,13 @@ const server = http.createServer(async (req, res) => {
   </script>
 </body>
 </html>`;
-        res.writeHead(200, { "Content-Type": "text/html" });
-        res.end(html);
+        // Only the pinned Swagger UI release, not every package on unpkg
+        sendHtmlPage(res, html, {
+          scriptSrc: [SWAGGER_UI_ASSETS],
+          styleSrc: [SWAGGER_UI_ASSETS],
+          imgSrc: ["data:"],
+          connectSrc: [PUBLIC_BASE_URL],
+        });
       } catch (error) {
         console.error("Error generating docs:", error);
         res.writeHead(500, { "Content-Type": "application/json" });
@@ -222,6 +642,22 @@ const server = http.createServer(async (req, res) => {
     });
   }
 
+  // Helper function to read a (small) request body
+  function readBody(request, maxBytes = 64 * 1024) {
+    return new Promise((resolve, reject) => {
+      let body = "";
+      request.on("data", (chunk) => {
+        body += chunk;
+        if (body.length > maxBytes) {
+          reject(new Error("Payload too large"));
+          request.destroy();
+        }
+      });
+      request.on("end", () => resolve(body));
+      request.on("error", reject);
+    });
+  }
+
   // Helper function to parse cookies
   function parseCookies(cookieHeader) {
     const cookies = {};
@@ -236,40 +672,74 @@ const server = http.createServer(async (req, res) => {
 
   // Authentication Routes
   // POST /auth/token - Generate authentication token (API only, use Postman)
+  // Requires an issuer credential (X-API-Key or a token:issue/admin bearer
+  // token) and is checked against the per-role issuance policy
 
   // POST /auth/token - Generate authentication token
   if (req.method === "POST" && req.url === "/auth/token") {
+    const issuer = authenticateIssuer(req);
+    if (!issuer) {
+      res.writeHead(401, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "WWW-Authenticate": "Bearer",
+      });
+      res.end(
+        JSON.stringify({
+          error:
+            "Issuer credential required. Include X-API-Key or Authorization: Bearer <token:issue token>",
+        })
+      );
+      return;
+    }
+
     let body = "";
     req.on("data", (chunk) => (body += chunk));
     req.on("end", () => {
       try {
         const data = JSON.parse(body);
 
-        if (!data.clientId || !data.room) {
+        if (!data.clientId || (!data.room && !data.rooms)) {
           res.writeHead(400, {
             "Content-Type": "application/json",
             "Access-Control-Allow-Origin": "*",
           });
           res.end(
             JSON.stringify({
-              error: "clientId and room are required",
+              error: "clientId and room (or rooms) are required",
               example: {
                 clientId: "user123",
                 room: "radio",
+                rooms: ["radio", "chat-*"],
+                metadata: { role: "screen" },
               },
             })
           );
           return;
         }
 
-        const token = generateAuthToken({
-          clientId: data.clientId,
-          room: data.room,
-          metadata: data.metadata || {},
-        });
+        const result = issueToken(data, issuer);
+        if (!result.allowed) {
+          console.warn(
+            `Token issuance denied for ${issuer.name}:`,
+            result.error
+          );
+          res.writeHead(result.status, {
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*",
+          });
+          res.end(JSON.stringify({ error: result.error, ...result.details }));
+          return;
+        }
+
+        const { token, payload: issued } = result;
+        const issuedRooms = getTokenRooms(issued);
 
-        // Calculate expiration (1 hour from now)
-        const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+        console.log(
+          `Token issued by ${issuer.name} for ${
+            data.clientId
+          } (rooms=${issuedRooms.join(",")}, role=${data.metadata.role})`
+        );
 
         res.writeHead(200, {
           "Content-Type": "application/json",
@@ -278,9 +748,12 @@ const server = http.createServer(async (req, res) => {
         res.end(
           JSON.stringify({
             token,
+            tokenId: issued.tokenId,
             clientId: data.clientId,
-            room: data.room,
-            expiresAt: expiresAt.toISOString(),
+            room: issued.room,
+            rooms: issuedRooms,
+            scopes: issued.scopes,
+            expiresAt: new Date(issued.expiresAt).toISOString(),
           })
         );
       } catch (err) {
@@ -299,7 +772,89 @@ const server = http.createServer(async (req, res) => {
     res.writeHead(204, {
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Methods": "POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-API-Key",
+    });
+    res.end();
+    return;
+  }
+
+  // POST /auth/introspect - Describe any token (admin only)
+  if (req.method === "POST" && req.url === "/auth/introspect") {
+    const admin = authenticateAdmin(req);
+    if (!admin) {
+      res.writeHead(401, {
+        "Content-Type": "application/json",
+        "WWW-Authenticate": "Bearer",
+      });
+      res.end(
+        JSON.stringify({
+          error:
+            "Admin credential required. Include X-API-Key or Authorization: Bearer <admin token>",
+        })
+      );
+      return;
+    }
+
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        const data = JSON.parse(body || "{}");
+        if (!data.token || typeof data.token !== "string") {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "token is required" }));
+          return;
+        }
+
+        console.log(`Token introspected by ${admin.name}`);
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(introspectToken(data.token)));
+      } catch (err) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "Invalid request: " + err.message }));
+      }
+    });
+    return;
+  }
+
+  // GET /auth/whoami - Decoded claims of the caller's own token
+  if (req.method === "GET" && req.url.split("?")[0] === "/auth/whoami") {
+    const token = extractToken(req);
+    const payload = token
+      ? verifyAuthToken(token, null, {
+          clientAddress: getClientAddress(req),
+        })
+      : null;
+    if (!payload) {
+      res.writeHead(401, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "WWW-Authenticate": "Bearer",
+      });
+      res.end(
+        JSON.stringify({
+          error: token
+            ? "Invalid, expired or revoked token"
+            : "Authentication required. Include Authorization: Bearer <token>",
+        })
+      );
+      return;
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+    });
+    res.end(JSON.stringify({ active: true, ...describeToken(payload) }));
+    return;
+  }
+
+  // OPTIONS for /auth/whoami (CORS preflight)
+  if (req.method === "OPTIONS" && req.url.split("?")[0] === "/auth/whoami") {
+    res.writeHead(204, {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, OPTIONS",
+      "Access-Control-Allow-Headers": "Authorization",
     });
     res.end();
     return;
@@ -337,7 +892,9 @@ const server = http.createServer(async (req, res) => {
     res.writeHead(204, {
       "Access-Control-Allow-Origin": "*",
       "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      // X-Signature: HMAC-signed posts (see auth/request-signing.js)
+      "Access-Control-Allow-Headers":
+        "Content-Type, Authorization, X-Signature",
     });
     res.end();
     return;
@@ -351,8 +908,20 @@ const server = http.createServer(async (req, res) => {
     const roomName = roomRouteMatch[1];
     const roomPath = roomRouteMatch[2];
 
+    if (!roomRegistry.allowsRoom(roomName)) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          error: "Unknown room",
+          room: roomName,
+          code: AuthConfig.ERRORS.UNKNOWN_ROOM,
+        })
+      );
+      return;
+    }
+
     // Get room handler
-    const handler = roomRegistry.getHandler(roomName);
+    const handler = getRoomHandler(roomName);
 
     // Try to get routes from the handler
     const routes = await handler.getRoutes();
@@ -364,8 +933,12 @@ const server = http.createServer(async (req, res) => {
       );
 
       if (matchingRoute) {
+        // Signed-body routes verify the X-Signature header themselves once
+        // the body has been read (see src/auth/request-signing.js)
+        const signedBody = matchingRoute.signedBody && isSignedRequest(req);
+
         // Check authentication if required
-        if (matchingRoute.requiresAuth) {
+        if (matchingRoute.requiresAuth && !signedBody) {
           const authPayload = validateHttpPostAuth(req, roomName);
           if (!authPayload) {
             res.writeHead(401, {
@@ -381,6 +954,21 @@ const server = http.createServer(async (req, res) => {
             return;
           }
 
+          // Check the token grants the scope this route needs
+          if (
+            matchingRoute.scope &&
+            !hasScope(authPayload, matchingRoute.scope)
+          ) {
+            res.writeHead(403, { "Content-Type": "application/json" });
+            res.end(
+              JSON.stringify({
+                error: "Insufficient scope",
+                requiredScope: matchingRoute.scope,
+              })
+            );
+            return;
+          }
+
           // Call the route handler with auth payload
           await matchingRoute.handler(
             req,
@@ -429,27 +1017,109 @@ const MAX_PAYLOAD_BYTES = parseInt(
 // other clients. They will be treated as internal control messages. Default
 // suppresses keepalive messages (case-insensitive). Example to add more:
 // PowerShell: $env:SUPPRESSED_TYPES='keepalive,typing'
+// Rooms can replace this list with suppressedTypes in rooms.json.
 const SUPPRESSED_TYPES = (process.env.SUPPRESSED_TYPES || "keepalive,ack")
   .split(",")
   .map((s) => s.trim().toLowerCase())
   .filter(Boolean);
 
-const wss = new WebSocketServer({ server, maxPayload: MAX_PAYLOAD_BYTES });
+// noServer: upgrades are authorized first (see the "upgrade" handler below)
+const wss = new WebSocketServer({
+  noServer: true,
+  maxPayload: MAX_PAYLOAD_BYTES,
+});
 
 // Room management: Maps room name to Set of WebSocket clients
 const rooms = new Map();
 const controlRooms = new Map();
 const roomBroadcastQueues = new Map();
+// Empty rooms waiting out their handler's emptyRoomTtlMs
+const emptyRoomTimers = new Map();
+// Handler instance of each live room. Rooms without a registered handler get
+// a new default instance from every getHandler() call, so hooks, heartbeats
+// and dispose must go through the instance the room was created with.
+const roomHandlers = new Map();
+// Joins waiting for onRoomCreated or onJoin: a room with pending joins is
+// kept even while it has no members
+const pendingJoins = new Map();
+// onRoomCreated of rooms being created, awaited by concurrent joiners
+const roomCreations = new Map();
 let broadcastSequence = 0;
 
-// Helper to get or create a room
-function getRoom(roomName) {
+/**
+ * Run a room lifecycle hook, logging instead of throwing
+ */
+async function runRoomHook(handler, hook, roomName) {
+  try {
+    await handler[hook]();
+  } catch (err) {
+    console.error(`${hook} failed for room ${roomName}:`, err);
+  }
+}
+
+/**
+ * Handler serving a room: the live room's own instance, else the registry's
+ */
+function getRoomHandler(roomName) {
+  return roomHandlers.get(roomName) || roomRegistry.getHandler(roomName);
+}
+
+// Helper to get or create a room (onRoomCreated runs for new rooms)
+async function getRoom(roomName, handler) {
+  const pendingDestroy = emptyRoomTimers.get(roomName);
+  if (pendingDestroy) {
+    clearTimeout(pendingDestroy);
+    emptyRoomTimers.delete(roomName);
+  }
+
   if (!rooms.has(roomName)) {
     rooms.set(roomName, new Set());
+    roomHandlers.set(roomName, handler);
+    const creation = runRoomHook(handler, "onRoomCreated", roomName);
+    roomCreations.set(roomName, creation);
+    await creation;
+    if (roomCreations.get(roomName) === creation) {
+      roomCreations.delete(roomName);
+    }
+  } else if (roomCreations.has(roomName)) {
+    await roomCreations.get(roomName);
   }
   return rooms.get(roomName);
 }
 
+/**
+ * Remove a room that is still empty and has no pending joins; onRoomDestroyed
+ * runs on the room's own handler, which is then disposed unless the registry
+ * keeps it
+ */
+async function destroyRoom(roomName) {
+  const room = rooms.get(roomName);
+  if (!room || room.size > 0 || pendingJoins.has(roomName)) return;
+  const handler = roomHandlers.get(roomName);
+  rooms.delete(roomName);
+  roomHandlers.delete(roomName);
+  await runRoomHook(handler, "onRoomDestroyed", roomName);
+  await roomRegistry.releaseHandler(roomName, handler);
+}
+
+/**
+ * Remove an empty room, now or after the handler's emptyRoomTtlMs
+ */
+function scheduleRoomDestroy(roomName, handler) {
+  const destroy = async () => {
+    emptyRoomTimers.delete(roomName);
+    await destroyRoom(roomName);
+  };
+
+  const ttl = Number(handler.emptyRoomTtlMs) || 0;
+  if (ttl <= 0) {
+    return destroy();
+  }
+  const timer = setTimeout(destroy, ttl);
+  timer.unref();
+  emptyRoomTimers.set(roomName, timer);
+}
+
 function getControlRoom(roomName) {
   if (!controlRooms.has(roomName)) {
     controlRooms.set(roomName, new Set());
@@ -458,20 +1128,39 @@ function getControlRoom(roomName) {
 }
 
 // Helper to add client to room with handler support
+// The room exists (onRoomCreated has run) before onJoin sees the client.
 async function joinRoom(socket, roomName, req, clientAddress, authPayload) {
-  const room = getRoom(roomName);
-  const handler = roomRegistry.getHandler(roomName);
+  const created = !rooms.has(roomName);
+  const handler = getRoomHandler(roomName);
+  pendingJoins.set(roomName, (pendingJoins.get(roomName) || 0) + 1);
 
-  // Call handler's onJoin method with auth payload
-  const joinResult = await handler.onJoin(
-    socket,
-    req,
-    clientAddress,
-    authPayload
-  );
+  let joinResult;
+  try {
+    await getRoom(roomName, handler);
+    // Call handler's onJoin method with auth payload
+    joinResult = await handler.onJoin(socket, req, clientAddress, authPayload);
+  } finally {
+    const pending = pendingJoins.get(roomName) - 1;
+    if (pending > 0) {
+      pendingJoins.set(roomName, pending);
+    } else {
+      pendingJoins.delete(roomName);
+    }
+  }
 
-  // If handler returns false, reject the connection
+  // Pending joins kept the room alive while onJoin ran
+  const room = rooms.get(roomName);
+
+  // If handler returns false, reject the connection and roll back the room
   if (joinResult === false) {
+    // The last pending join rolls back; earlier ones leave it to that one
+    if (room.size === 0 && !pendingJoins.has(roomName)) {
+      if (created) {
+        await destroyRoom(roomName);
+      } else if (!emptyRoomTimers.has(roomName)) {
+        await scheduleRoomDestroy(roomName, handler);
+      }
+    }
     return false;
   }
 
@@ -502,7 +1191,10 @@ async function leaveRoom(socket, code, reason, clientAddress) {
       );
       // Clean up empty rooms
       if (room.size === 0) {
-        rooms.delete(socket.currentRoom);
+        const roomName = socket.currentRoom;
+        const handler = socket.roomHandler || getRoomHandler(roomName);
+        await runRoomHook(handler, "onRoomEmpty", roomName);
+        await scheduleRoomDestroy(roomName, handler);
       }
     }
     socket.currentRoom = null;
@@ -660,13 +1352,6 @@ async function processRoomBroadcastQueue(roomName, state) {
   }
 }
 
-// Extract client address (respect Cloud Run / proxy headers)
-function getClientAddress(req) {
-  const fwd = req.headers["x-forwarded-for"]; // may contain list
-  if (fwd) return fwd.split(",")[0].trim();
-  return req.socket.remoteAddress + ":" + req.socket.remotePort;
-}
-
 function isOriginAllowed(originHeader) {
   if (!ORIGIN_ALLOWLIST.length) return true; // allow all if no list configured
   if (!originHeader) return false; // if list provided, require an origin
@@ -707,7 +1392,7 @@ if (HEARTBEAT_INTERVAL_MS > 0) {
     // Call heartbeat on room handlers
     for (const [roomName, clients] of rooms.entries()) {
       if (clients.size > 0) {
-        const handler = roomRegistry.getHandler(roomName);
+        const handler = getRoomHandler(roomName);
         try {
           await handler.onHeartbeat();
         } catch (err) {
@@ -719,20 +1404,44 @@ if (HEARTBEAT_INTERVAL_MS > 0) {
   wss.on("close", () => clearInterval(heartbeatInterval));
 }
 
-wss.on("connection", async (socket, req) => {
-  socket.isAlive = true; // initial state for heartbeat
-  let lastActivity = Date.now();
+// Token expiry loop: warn clients before their token expires (see auth/token-refresh.js)
+if (TOKEN_EXPIRY_CHECK_MS > 0) {
+  const tokenExpiryInterval = setInterval(() => {
+    const { warned, closed } = checkTokenExpiry([rooms, controlRooms]);
+    if (warned || closed) {
+      console.log(`Token expiry check: ${warned} warned, ${closed} closed`);
+    }
+  }, TOKEN_EXPIRY_CHECK_MS);
+  wss.on("close", () => clearInterval(tokenExpiryInterval));
+}
+
+// HTTP status returned at the handshake for each rejection close code
+const UPGRADE_REJECTION_STATUS = {
+  [AuthConfig.ERRORS.NO_TOKEN]: 401,
+  [AuthConfig.ERRORS.INVALID_TOKEN]: 401,
+  [AuthConfig.ERRORS.EXPIRED_TOKEN]: 401,
+  [AuthConfig.ERRORS.WRONG_ROOM]: 403,
+  [AuthConfig.ERRORS.NO_ROOM_SPECIFIED]: 404,
+  [AuthConfig.ERRORS.INSUFFICIENT_SCOPE]: 403,
+  [AuthConfig.ERRORS.TOKEN_REVOKED]: 401,
+  [AuthConfig.ERRORS.UNKNOWN_ROOM]: 404,
+};
+
+/**
+ * Authorize a WebSocket upgrade before it is accepted
+ * Performs the origin check, room extraction and token verification.
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {Promise<Object>} {roomName, isControlChannel, authPayload, roomHandler}
+ *   or {reject: true, status, reason, code}
+ */
+async function authorizeUpgrade(req) {
   const clientAddress = getClientAddress(req);
-  socket.isControlChannel = false;
 
-  // Basic origin check AFTER upgrade (lightweight; for stricter security use custom upgrade handling)
+  // Origin check
   const origin = req.headers.origin;
   if (!isOriginAllowed(origin)) {
-    console.warn("Closing connection due to disallowed origin", origin);
-    try {
-      socket.close(4003, "Origin not allowed");
-    } catch (_) {}
-    return;
+    console.warn("Upgrade rejected due to disallowed origin", origin);
+    return { reject: true, status: 403, reason: "Origin not allowed" };
   }
 
   // Extract room from URL path or query parameter
@@ -776,19 +1485,52 @@ wss.on("connection", async (socket, req) => {
 
   // SECURITY: Reject if no room specified
   if (!roomName) {
-    console.warn("Connection rejected: No room specified", clientAddress);
-    try {
-      socket.close(AuthConfig.ERRORS.NO_ROOM_SPECIFIED, "Room name required");
-    } catch (_) {}
-    return;
+    console.warn("Upgrade rejected: No room specified", clientAddress);
+    return { reject: true, status: 404, reason: "Room name required" };
+  }
+
+  // Room policy (open / registered / pattern) - see src/rooms/index.js
+  if (!roomRegistry.allowsRoom(roomName)) {
+    console.warn("Upgrade rejected: Unknown room", clientAddress, roomName);
+    return {
+      reject: true,
+      status: 404,
+      code: AuthConfig.ERRORS.UNKNOWN_ROOM,
+      reason: `Unknown room: ${roomName}`,
+    };
   }
 
   // SECURITY: Extract and verify authentication token
+  // Without a token, a client certificate (mTLS) is used - see client-certs.js
   const token = extractToken(req);
+  const hasCertificate = !token && Boolean(getClientCertificate(req));
+  const roomHandler = getRoomHandler(roomName);
+  // Browsers present certificates on every connection: in a room open to
+  // anonymous listeners, one that does not grant the room is ignored
+  const certificateOptional =
+    hasCertificate && roomHandler.requiresAuth === false;
   let authPayload = null;
 
-  if (token) {
-    authPayload = verifyAuthToken(token, roomName);
+  if (token || hasCertificate) {
+    // Room is checked separately so a valid token for another room gets a 403
+    authPayload = token
+      ? verifyAuthToken(token, null, { clientAddress })
+      : verifyClientCertificate(req);
+    if (authPayload && !tokenAllowsRoom(authPayload, roomName)) {
+      if (!isControlChannel && !certificateOptional) {
+        console.warn(
+          "Upgrade rejected: Token not valid for this room",
+          clientAddress,
+          roomName
+        );
+        return {
+          reject: true,
+          status: 403,
+          reason: "Token not valid for this room",
+        };
+      }
+      authPayload = null;
+    }
     if (!authPayload) {
       if (isControlChannel) {
         console.warn(
@@ -796,49 +1538,120 @@ wss.on("connection", async (socket, req) => {
           clientAddress,
           roomName
         );
+      } else if (certificateOptional) {
+        console.log(
+          "Client certificate not accepted for this room, joining anonymously",
+          clientAddress,
+          roomName
+        );
       } else {
         console.warn(
-          "Connection rejected: Invalid token",
+          `Upgrade rejected: Invalid ${token ? "token" : "client certificate"}`,
           clientAddress,
           roomName
         );
-        try {
-          socket.close(
-            AuthConfig.ERRORS.INVALID_TOKEN,
-            "Invalid or expired token"
-          );
-        } catch (_) {}
-        return;
+        return {
+          reject: true,
+          status: 401,
+          reason: token
+            ? "Invalid or expired token"
+            : "Client certificate not accepted",
+        };
       }
     }
   }
 
-  // Get room handler and verify authentication
-  const roomHandler = roomRegistry.getHandler(roomName);
-  if (!isControlChannel) {
-    const authResult = await roomHandler.verifyAuth(
-      authPayload,
-      req,
-      clientAddress
+  // Verify authentication with the room handler
+  const authResult = isControlChannel
+    ? await roomHandler.verifyControlAuth(authPayload, req, clientAddress)
+    : await roomHandler.verifyAuth(authPayload, req, clientAddress);
+
+  if (authResult && authResult.reject) {
+    console.warn(
+      "Upgrade rejected by auth:",
+      authResult.reason,
+      clientAddress,
+      roomName
     );
+    return {
+      reject: true,
+      status: UPGRADE_REJECTION_STATUS[authResult.code] || 401,
+      code: authResult.code,
+      reason: authResult.reason,
+    };
+  }
 
-    if (authResult && authResult.reject) {
-      console.warn(
-        "Connection rejected by auth:",
-        authResult.reason,
-        clientAddress,
-        roomName
-      );
-      try {
-        socket.close(
-          authResult.code || AuthConfig.ERRORS.INVALID_TOKEN,
-          authResult.reason
-        );
-      } catch (_) {}
-      return;
+  return { roomName, isControlChannel, authPayload, roomHandler };
+}
+
+/**
+ * Answer a rejected upgrade with a plain HTTP response and drop the socket
+ */
+function rejectUpgrade(socket, status, reason, code) {
+  // code: the close code a socket would have received (e.g. 4011 unknown room)
+  const body = JSON.stringify(
+    code ? { error: reason, code } : { error: reason }
+  );
+  const headers = [
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    "Content-Type: application/json",
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    "Connection: close",
+  ];
+  if (status === 401) {
+    headers.push("WWW-Authenticate: Bearer");
+  }
+  try {
+    socket.end(`${headers.join("\r\n")}\r\n\r\n${body}`);
+  } catch (_) {
+    socket.destroy();
+  }
+}
+
+// Upgrades are authorized before the WebSocket is accepted, so rejected
+// clients get an HTTP error and never reach onJoin
+server.on("upgrade", async (req, socket, head) => {
+  socket.on("error", () => socket.destroy());
+
+  // Unpaired screens asking for a pairing code - see src/pairing/index.js
+  if (isPairingRequest(req)) {
+    if (process.env.PAIRING_ENABLED === "false") {
+      rejectUpgrade(socket, 404, "Pairing disabled");
+    } else if (!isOriginAllowed(req.headers.origin)) {
+      rejectUpgrade(socket, 403, "Origin not allowed");
+    } else {
+      handlePairingUpgrade(req, socket, head);
     }
+    return;
+  }
+
+  let upgrade;
+  try {
+    upgrade = await authorizeUpgrade(req);
+  } catch (err) {
+    console.error("Upgrade authorization error:", err);
+    rejectUpgrade(socket, 500, "Internal server error");
+    return;
+  }
+
+  if (upgrade.reject) {
+    rejectUpgrade(socket, upgrade.status, upgrade.reason, upgrade.code);
+    return;
   }
 
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit("connection", ws, req, upgrade);
+  });
+});
+
+wss.on("connection", async (socket, req, upgrade) => {
+  socket.isAlive = true; // initial state for heartbeat
+  let lastActivity = Date.now();
+  const clientAddress = getClientAddress(req);
+  const origin = req.headers.origin;
+  const { roomName, isControlChannel, authPayload, roomHandler } = upgrade;
+  socket.isControlChannel = false;
+
   // Store auth payload on socket
   socket.authPayload = authPayload;
 
@@ -879,13 +1692,6 @@ wss.on("connection", async (socket, req) => {
   });
 
   if (isControlChannel) {
-    const controlRoomMatch = pathname.match(
-      /^\/rooms\/([^\/]+)\/remotecontrol\/?$/
-    );
-    if (controlRoomMatch) {
-      roomName = controlRoomMatch[1];
-      console.log(`✅ Control channel matched for room: ${roomName}`);
-    }
     sendJson(socket, {
       type: "control-welcome",
       message: "Connected to remote control channel",
@@ -893,7 +1699,7 @@ wss.on("connection", async (socket, req) => {
       time: Date.now(),
     });
   } else {
-    const customWelcome = await roomHandler.getWelcomeMessage(socket);
+    const customWelcome = await socket.roomHandler.getWelcomeMessage(socket);
 
     const welcomeMessage = customWelcome || {
       type: "welcome",
@@ -926,6 +1732,27 @@ wss.on("connection", async (socket, req) => {
 
   // Whenever you process a real message, update activity time
   socket.on("message", async (data, isBinary) => {
+    // Token refresh is accepted on every channel, including remote control
+    if (!isBinary) {
+      let message = null;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (_) {
+        /* handled below */
+      }
+      if (isRefreshTokenMessage(message)) {
+        lastActivity = Date.now();
+        await handleRefreshTokenMessage(socket, message, {
+          clientAddress,
+          handler:
+            socket.roomHandler ||
+            socket.controlHandler ||
+            getRoomHandler(socket.currentRoom),
+        });
+        return;
+      }
+    }
+
     if (socket.isControlChannel) {
       if (!socket.controlWriteWarningSent) {
         console.warn(
@@ -949,6 +1776,14 @@ wss.on("connection", async (socket, req) => {
       return;
     }
 
+    const handler = socket.roomHandler || getRoomHandler(socket.currentRoom);
+
+    // Rooms may set a lower limit than MAX_PAYLOAD_BYTES (rooms.json)
+    if (handler.maxPayloadBytes && data.length > handler.maxPayloadBytes) {
+      socket.close(1009, "Message too big");
+      return;
+    }
+
     let payload;
     try {
       payload = JSON.parse(data.toString());
@@ -966,9 +1801,18 @@ wss.on("connection", async (socket, req) => {
       return;
     }
 
+    // JSON Schema registered for this message type (GET /rooms/:room/schemas)
+    const schemaError = handler.validateSchema(payload, "websocket");
+    if (schemaError) {
+      sendJson(socket, {
+        type: "error",
+        error: schemaError.error,
+        details: schemaError.details,
+      });
+      return;
+    }
+
     // Validate with room handler
-    const handler =
-      socket.roomHandler || roomRegistry.getHandler(socket.currentRoom);
     const validationError = await handler.validateMessage(payload, socket);
 
     if (validationError) {
@@ -994,7 +1838,8 @@ wss.on("connection", async (socket, req) => {
       payload && typeof payload.type === "string"
         ? payload.type.toLowerCase()
         : null;
-    if (payloadType && SUPPRESSED_TYPES.includes(payloadType)) {
+    const suppressedTypes = handler.suppressedTypes || SUPPRESSED_TYPES;
+    if (payloadType && suppressedTypes.includes(payloadType)) {
       // Optionally acknowledge only to the sender so they know the server saw it.
       sendJson(socket, {
         type: "ack",
@@ -1004,6 +1849,32 @@ wss.on("connection", async (socket, req) => {
       return; // Do NOT broadcast further
     }
 
+    // Room plugins from rooms.json (rate limits, filters, enrichment...)
+    const pipelineResult = await runPipeline(handler.pipeline, payload, {
+      roomName: socket.currentRoom,
+      transport: "websocket",
+      socket,
+      authPayload: socket.authPayload,
+      clientAddress,
+    });
+    if (pipelineResult.rejected) {
+      sendJson(socket, {
+        type: "error",
+        error: pipelineResult.error,
+        details: pipelineResult.details,
+        plugin: pipelineResult.plugin,
+      });
+      return;
+    }
+    if (pipelineResult.dropped) {
+      return;
+    }
+    payload = pipelineResult.message;
+    const annotations = Object.keys(pipelineResult.annotations).length
+      ? pipelineResult.annotations
+      : undefined;
+    enriched = { ...enriched, data: payload, annotations };
+
     // Let handler process/modify the message
     const handlerResult = await handler.onMessage(
       payload,
@@ -1023,6 +1894,7 @@ wss.on("connection", async (socket, req) => {
         from: clientAddress,
         receivedAt: Date.now(),
         data: handlerResult,
+        annotations,
       };
     }
 
@@ -1073,6 +1945,37 @@ wss.on("connection", async (socket, req) => {
   });
 });
 
+// Room handlers reach their rooms through this.room (src/rooms/RoomContext.js)
+roomRegistry.setRoomTransport({
+  rooms,
+  controlRooms,
+  sendJson,
+  broadcastToRoom,
+  broadcastToControlRoom,
+  enqueueRoomBroadcast,
+});
+
+// Hot-reloaded handlers take over live sockets without reconnecting them
+roomRegistry.onHandlerReplaced((roomName, previous, next) => {
+  if (roomHandlers.get(roomName) === previous) {
+    roomHandlers.set(roomName, next);
+  }
+  let moved = 0;
+  for (const socket of rooms.get(roomName) || []) {
+    if (socket.roomHandler === previous) {
+      socket.roomHandler = next;
+      moved++;
+    }
+  }
+  for (const socket of controlRooms.get(roomName) || []) {
+    if (socket.controlHandler === previous) {
+      socket.controlHandler = next;
+      moved++;
+    }
+  }
+  console.log(`Room ${roomName}: ${moved} connection(s) moved to new handler`);
+});
+
 // Initialize room handlers before starting server
 await roomRegistry.initialize();
 
@@ -1081,9 +1984,17 @@ server.listen(PORT, () => {
   console.log(`Public base: ${PUBLIC_BASE_URL}`);
   console.log(`Health endpoint: ${PUBLIC_BASE_URL}/health`);
   console.log(`WebSocket URL: ${PUBLIC_BASE_URL.replace(/^http/, "ws")}`);
+  if (TLS_OPTIONS) {
+    console.log(
+      `🔒 TLS enabled${
+        TLS_OPTIONS.requestCert ? " (client certificates accepted)" : ""
+      }`
+    );
+  }
   console.log(
     `Room handlers ready: ${roomRegistry.getRegisteredRooms().join(", ")}`
   );
+  console.log(`Active signing key: ${getSigningKey().kid}`);
 });
 
 // Graceful shutdown (Cloud Run sends SIGTERM before instance stops)
@@ -1100,6 +2011,9 @@ function shutdown() {
       client.close(4002, "Server shutting down");
     } catch (_) {}
   });
+  closePairingSockets(4002, "Server shutting down");
+  // Stop room handler timers (see src/rooms/RoomScheduler.js)
+  void roomRegistry.disposeAll();
   // Force exit after a grace period (Cloud Run gives ~10s by default)
   setTimeout(() => process.exit(0), 8000).unref();
 }
@@ -33,11 +33,24 @@ export function generateSwaggerSpecs(baseUrl) {
             description:
               "Authentication token required for protected endpoints",
           },
+          apiKeyAuth: {
+            type: "apiKey",
+            in: "header",
+            name: "X-API-Key",
+            description: "Issuer or admin API key",
+          },
+          signatureAuth: {
+            type: "apiKey",
+            in: "header",
+            name: "X-Signature",
+            description:
+              "HMAC-signed body: keyId=<integration>,t=<unix seconds>,nonce=<random>,v1=<hex HMAC-SHA256 of `${t}.${nonce}.${body}`>",
+          },
         },
         schemas: {
           AuthTokenRequest: {
             type: "object",
-            required: ["clientId", "room"],
+            required: ["clientId"],
             properties: {
               clientId: {
                 type: "string",
@@ -46,16 +59,83 @@ export function generateSwaggerSpecs(baseUrl) {
               },
               room: {
                 type: "string",
-                description: "Room name the client wants to access",
+                description:
+                  "Room name the client wants to access (room or rooms is required)",
                 example: "radio",
               },
+              rooms: {
+                type: "array",
+                items: { type: "string" },
+                description:
+                  "Rooms or patterns the token covers; * matches any characters (e.g. chat-*)",
+                example: ["radio", "chat-*"],
+              },
               metadata: {
                 type: "object",
                 description: "Additional metadata for the token",
-                example: { userRole: "admin" },
+                example: { role: "screen" },
+              },
+              scopes: {
+                type: "array",
+                items: {
+                  type: "string",
+                  enum: [
+                    "room:join",
+                    "room:post",
+                    "control:subscribe",
+                    "health:read",
+                  ],
+                },
+                description:
+                  "Scopes granted to the token. Defaults to the scopes of metadata.role",
+                example: ["room:join", "control:subscribe"],
+              },
+              expiresIn: {
+                type: "number",
+                description:
+                  "Token lifetime in milliseconds (default 1 hour, capped by the role's maxLifetimeMs)",
+                example: 86400000,
               },
             },
           },
+          TokenDescription: {
+            type: "object",
+            properties: {
+              active: { type: "boolean", example: true },
+              reason: {
+                type: "string",
+                nullable: true,
+                enum: ["invalid", "expired", "revoked", "disabled"],
+              },
+              format: {
+                type: "string",
+                enum: ["legacy", "jwt", "permanent"],
+              },
+              tokenId: { type: "string" },
+              clientId: { type: "string", example: "screen-lobby-01" },
+              room: { type: "string", example: "radio" },
+              rooms: {
+                type: "array",
+                items: { type: "string" },
+                example: ["radio"],
+              },
+              role: { type: "string", example: "screen" },
+              scopes: {
+                type: "array",
+                items: { type: "string" },
+                example: ["room:join", "control:subscribe"],
+              },
+              metadata: { type: "object" },
+              issuedAt: { type: "string", format: "date-time" },
+              expiresAt: {
+                type: "string",
+                format: "date-time",
+                nullable: true,
+              },
+              expiresInMs: { type: "integer", nullable: true },
+              revocation: { type: "object", nullable: true },
+            },
+          },
           AuthTokenResponse: {
             type: "object",
             properties: {
@@ -64,6 +144,11 @@ export function generateSwaggerSpecs(baseUrl) {
                 description: "Authentication token",
                 example: "eyJjbGllbnRJZCI6InVzZXIxMjMiLCJyb29tIjoicmFkaW8i...",
               },
+              tokenId: {
+                type: "string",
+                description: "Token id, used to revoke the token",
+                example: "JclGokiTuryPWzog",
+              },
               clientId: {
                 type: "string",
                 example: "user123",
@@ -72,6 +157,16 @@ export function generateSwaggerSpecs(baseUrl) {
                 type: "string",
                 example: "radio",
               },
+              rooms: {
+                type: "array",
+                items: { type: "string" },
+                example: ["radio", "chat-*"],
+              },
+              scopes: {
+                type: "array",
+                items: { type: "string" },
+                example: ["room:join", "control:subscribe"],
+              },
               expiresAt: {
                 type: "string",
                 format: "date-time",
@@ -264,6 +359,30 @@ export function generateSwaggerSpecs(baseUrl) {
               },
             },
           },
+          ValidationError: {
+            type: "object",
+            properties: {
+              error: {
+                type: "string",
+                example: "Validation failed",
+              },
+              details: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    pointer: {
+                      type: "string",
+                      description: "JSON Pointer to the offending value",
+                      example: "/data/content/id",
+                    },
+                    keyword: { type: "string", example: "required" },
+                    message: { type: "string", example: "is required" },
+                  },
+                },
+              },
+            },
+          },
         },
       },
       tags: [
@@ -287,6 +406,11 @@ export function generateSwaggerSpecs(baseUrl) {
           name: "WebSocket",
           description: "WebSocket connection information",
         },
+        {
+          name: "Admin",
+          description:
+            "Administrative endpoints (AUTH_ADMIN_KEY or a token with the admin scope)",
+        },
       ],
       paths: {
         "/": {
@@ -351,7 +475,8 @@ export function generateSwaggerSpecs(baseUrl) {
             tags: ["Authentication"],
             summary: "Generate authentication token",
             description:
-              "Creates a new authentication token for accessing protected endpoints and WebSocket rooms. Tokens expire automatically after 1 hour. For permanent access, trusted clients should use the hardcoded always-valid token.",
+              "Creates a new authentication token for accessing protected endpoints and WebSocket rooms. Requires an issuer API key (X-API-Key) or a bearer token with the token:issue or admin scope. The request is checked against the issuance policy for metadata.role (rooms, metadata keys, scopes, maximum lifetime). Tokens expire after expiresIn milliseconds (default 1 hour).",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
             requestBody: {
               required: true,
               content: {
@@ -383,6 +508,26 @@ export function generateSwaggerSpecs(baseUrl) {
                   },
                 },
               },
+              401: {
+                description: "Issuer credential missing or invalid",
+                content: {
+                  "application/json": {
+                    schema: {
+                      $ref: "#/components/schemas/Error",
+                    },
+                  },
+                },
+              },
+              403: {
+                description: "Request not allowed by the issuance policy",
+                content: {
+                  "application/json": {
+                    schema: {
+                      $ref: "#/components/schemas/Error",
+                    },
+                  },
+                },
+              },
             },
           },
           options: {
@@ -397,16 +542,72 @@ export function generateSwaggerSpecs(baseUrl) {
             },
           },
         },
+        "/auth/introspect": {
+          post: {
+            tags: ["Authentication"],
+            summary: "Introspect a token (admin)",
+            description:
+              "Returns validity, expiry, room(s), role, scopes, metadata and revocation status. Expired and revoked tokens are described with active: false.",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            requestBody: {
+              required: true,
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    required: ["token"],
+                    properties: { token: { type: "string" } },
+                  },
+                },
+              },
+            },
+            responses: {
+              200: {
+                description: "Token description",
+                content: {
+                  "application/json": {
+                    schema: { $ref: "#/components/schemas/TokenDescription" },
+                  },
+                },
+              },
+              400: { description: "token missing" },
+              401: { description: "Admin credential required" },
+            },
+          },
+        },
+        "/auth/whoami": {
+          get: {
+            tags: ["Authentication"],
+            summary: "Decoded claims of the caller's token",
+            security: [{ bearerAuth: [] }],
+            responses: {
+              200: {
+                description: "Token description",
+                content: {
+                  "application/json": {
+                    schema: { $ref: "#/components/schemas/TokenDescription" },
+                  },
+                },
+              },
+              401: {
+                description: "Missing, invalid, expired or revoked token",
+              },
+            },
+          },
+        },
         "/rooms/radio/post": {
           post: {
             tags: ["Radio Content"],
             summary: "Broadcast content to radio room",
             description:
-              "Sends content to all connected clients in the radio room. Requires authentication.",
+              "Sends content to all connected clients in the radio room. Requires a bearer token, or an HMAC-signed body (X-Signature) for server-to-server integrations.",
             security: [
               {
                 bearerAuth: [],
               },
+              {
+                signatureAuth: [],
+              },
             ],
             requestBody: {
               required: true,
@@ -465,6 +666,16 @@ export function generateSwaggerSpecs(baseUrl) {
                   },
                 },
               },
+              403: {
+                description: "Token lacks the room:post scope",
+                content: {
+                  "application/json": {
+                    schema: {
+                      $ref: "#/components/schemas/Error",
+                    },
+                  },
+                },
+              },
               413: {
                 description: "Payload too large",
                 content: {
@@ -475,6 +686,28 @@ export function generateSwaggerSpecs(baseUrl) {
                   },
                 },
               },
+              422: {
+                description:
+                  "Body fails the envelope or the room's JSON Schema (see /rooms/{room}/schemas)",
+                content: {
+                  "application/json": {
+                    schema: {
+                      $ref: "#/components/schemas/ValidationError",
+                    },
+                  },
+                },
+              },
+              503: {
+                description:
+                  "Signed posts only: too many recent nonces to remember; retry after Retry-After seconds",
+                content: {
+                  "application/json": {
+                    schema: {
+                      $ref: "#/components/schemas/Error",
+                    },
+                  },
+                },
+              },
             },
           },
           options: {
@@ -489,6 +722,503 @@ export function generateSwaggerSpecs(baseUrl) {
             },
           },
         },
+        "/rooms/{room}/schemas": {
+          get: {
+            tags: ["Radio Content"],
+            summary: "JSON Schemas a room validates messages against",
+            description:
+              'Schemas by message type for WebSocket messages and HTTP posts, plus the envelope every HTTP post must match. Types without a schema (and no "*" entry) are not checked.',
+            parameters: [
+              {
+                in: "path",
+                name: "room",
+                required: true,
+                schema: { type: "string" },
+                example: "radio",
+              },
+            ],
+            responses: {
+              200: {
+                description: "Published schemas",
+                content: {
+                  "application/json": {
+                    schema: {
+                      type: "object",
+                      properties: {
+                        room: { type: "string", example: "radio" },
+                        dialect: {
+                          type: "string",
+                          example:
+                            "https://json-schema.org/draft/2020-12/schema",
+                        },
+                        http: {
+                          type: "object",
+                          properties: {
+                            envelope: { type: "object" },
+                            types: { type: "object" },
+                          },
+                        },
+                        websocket: {
+                          type: "object",
+                          properties: {
+                            types: { type: "object" },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+              404: {
+                description: "Unknown room (room policy)",
+                content: {
+                  "application/json": {
+                    schema: {
+                      $ref: "#/components/schemas/Error",
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        "/admin/revocations": {
+          get: {
+            tags: ["Admin"],
+            summary: "List token revocations",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            responses: {
+              200: { description: "Current revocation list" },
+              401: { description: "Admin credential required" },
+            },
+          },
+          post: {
+            tags: ["Admin"],
+            summary: "Revoke a token or client",
+            description:
+              "Revokes a token (by tokenId or full token) or every token of a clientId, and closes matching live sockets with code 4007.",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            requestBody: {
+              required: true,
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      tokenId: { type: "string" },
+                      token: { type: "string" },
+                      clientId: { type: "string", example: "screen" },
+                      reason: { type: "string", example: "Token leaked" },
+                    },
+                  },
+                },
+              },
+            },
+            responses: {
+              201: { description: "Revocation stored" },
+              400: { description: "No tokenId, token or clientId given" },
+              401: { description: "Admin credential required" },
+            },
+          },
+        },
+        "/admin/revocations/{type}/{value}": {
+          delete: {
+            tags: ["Admin"],
+            summary: "Remove a revocation",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              {
+                name: "type",
+                in: "path",
+                required: true,
+                schema: { type: "string", enum: ["token", "client"] },
+              },
+              {
+                name: "value",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+              },
+            ],
+            responses: {
+              200: { description: "Revocation removed" },
+              404: { description: "Revocation not found" },
+            },
+          },
+        },
+        "/admin/keys": {
+          get: {
+            tags: ["Admin"],
+            summary: "List signing keys",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            responses: {
+              200: { description: "Keys (without secrets)" },
+              401: { description: "Admin credential required" },
+            },
+          },
+          post: {
+            tags: ["Admin"],
+            summary: "Generate a signing key",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            requestBody: {
+              required: false,
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      kid: { type: "string", example: "2025-q4" },
+                      promote: { type: "boolean", example: true },
+                    },
+                  },
+                },
+              },
+            },
+            responses: {
+              201: { description: "Key generated" },
+              400: { description: "Key id already exists" },
+            },
+          },
+        },
+        "/admin/keys/{kid}/promote": {
+          post: {
+            tags: ["Admin"],
+            summary: "Promote a key to active signing key",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              {
+                name: "kid",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+              },
+            ],
+            responses: {
+              200: { description: "Key promoted" },
+              400: { description: "Unknown or retired key" },
+            },
+          },
+        },
+        "/admin/keys/{kid}": {
+          delete: {
+            tags: ["Admin"],
+            summary: "Retire a key",
+            description:
+              "Tokens signed with a retired key are rejected. The active key cannot be retired.",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              {
+                name: "kid",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+              },
+            ],
+            responses: {
+              200: { description: "Key retired" },
+              400: { description: "Unknown or active key" },
+            },
+          },
+        },
+        "/admin/permanent-tokens": {
+          get: {
+            tags: ["Admin"],
+            summary: "List permanent tokens",
+            description:
+              "Registry entries with usage counters. Token values are never returned.",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            responses: {
+              200: { description: "Permanent tokens" },
+              401: { description: "Admin credential required" },
+            },
+          },
+          post: {
+            tags: ["Admin"],
+            summary: "Create a permanent token",
+            description: "The token value is only returned in this response.",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            requestBody: {
+              required: true,
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    required: ["id", "role", "rooms"],
+                    properties: {
+                      id: { type: "string", example: "lobby-screen" },
+                      clientId: { type: "string", example: "lobby-screen" },
+                      role: { type: "string", example: "screen" },
+                      rooms: {
+                        type: "array",
+                        items: { type: "string" },
+                        example: ["radio"],
+                      },
+                      scopes: { type: "array", items: { type: "string" } },
+                      description: { type: "string", example: "Lobby display" },
+                    },
+                  },
+                },
+              },
+            },
+            responses: {
+              201: { description: "Permanent token created" },
+              400: { description: "Invalid definition or duplicate id" },
+            },
+          },
+        },
+        "/admin/permanent-tokens/{id}/{action}": {
+          post: {
+            tags: ["Admin"],
+            summary: "Enable or disable a permanent token",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              {
+                name: "id",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+              },
+              {
+                name: "action",
+                in: "path",
+                required: true,
+                schema: { type: "string", enum: ["enable", "disable"] },
+              },
+            ],
+            responses: {
+              200: { description: "Permanent token updated" },
+              404: { description: "Permanent token not found" },
+            },
+          },
+        },
+        "/admin/docs-users": {
+          get: {
+            tags: ["Admin"],
+            summary: "List docs portal users",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            responses: {
+              200: { description: "Users (without password hashes)" },
+            },
+          },
+          post: {
+            tags: ["Admin"],
+            summary: "Add a docs portal user",
+            description:
+              "A random password is generated and returned once when password is omitted.",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            requestBody: {
+              required: true,
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    required: ["email", "role"],
+                    properties: {
+                      email: { type: "string", format: "email" },
+                      role: {
+                        type: "string",
+                        enum: ["viewer", "operator", "admin"],
+                      },
+                      password: { type: "string", minLength: 10 },
+                    },
+                  },
+                },
+              },
+            },
+            responses: {
+              201: { description: "User created" },
+              400: { description: "Invalid email, role or password" },
+            },
+          },
+        },
+        "/admin/docs-users/{email}": {
+          delete: {
+            tags: ["Admin"],
+            summary: "Remove a docs portal user and end their sessions",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              {
+                name: "email",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+              },
+            ],
+            responses: {
+              200: { description: "User removed" },
+              404: { description: "Docs user not found" },
+            },
+          },
+        },
+        "/admin/docs-users/{email}/password": {
+          post: {
+            tags: ["Admin"],
+            summary: "Reset a docs portal user's password",
+            description:
+              "Ends the user's sessions. A random password is generated and returned once when password is omitted.",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              {
+                name: "email",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+              },
+            ],
+            requestBody: {
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      password: { type: "string", minLength: 10 },
+                    },
+                  },
+                },
+              },
+            },
+            responses: {
+              200: { description: "Password reset" },
+              404: { description: "Docs user not found" },
+            },
+          },
+        },
+        "/admin/docs-users/{email}/role": {
+          post: {
+            tags: ["Admin"],
+            summary: "Change a docs portal user's role",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              {
+                name: "email",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+              },
+            ],
+            requestBody: {
+              required: true,
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    required: ["role"],
+                    properties: {
+                      role: {
+                        type: "string",
+                        enum: ["viewer", "operator", "admin"],
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            responses: {
+              200: { description: "Role changed" },
+              404: { description: "Docs user not found" },
+            },
+          },
+        },
+        "/admin/docs-sessions": {
+          get: {
+            tags: ["Admin"],
+            summary: "List active docs portal sessions",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              { name: "email", in: "query", schema: { type: "string" } },
+            ],
+            responses: {
+              200: { description: "Active sessions" },
+            },
+          },
+        },
+        "/admin/docs-sessions/{id}": {
+          delete: {
+            tags: ["Admin"],
+            summary: "Revoke a docs portal session",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              {
+                name: "id",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+              },
+            ],
+            responses: {
+              200: { description: "Session revoked" },
+              404: { description: "Session not found" },
+            },
+          },
+        },
+        "/admin/docs-login/audit": {
+          get: {
+            tags: ["Admin"],
+            summary: "Query the docs login audit trail",
+            description: "Recent login events, newest first.",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              {
+                name: "event",
+                in: "query",
+                schema: {
+                  type: "string",
+                  enum: ["success", "failure", "throttled", "locked"],
+                },
+              },
+              { name: "account", in: "query", schema: { type: "string" } },
+              { name: "ip", in: "query", schema: { type: "string" } },
+              {
+                name: "since",
+                in: "query",
+                schema: { type: "string", format: "date-time" },
+              },
+              {
+                name: "limit",
+                in: "query",
+                schema: { type: "integer", default: 100, maximum: 1000 },
+              },
+            ],
+            responses: {
+              200: { description: "Matching login events" },
+            },
+          },
+        },
+        "/admin/docs-login/lockouts": {
+          get: {
+            tags: ["Admin"],
+            summary: "List IPs and accounts with recent failed docs logins",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            responses: {
+              200: { description: "Tracked failures and active lockouts" },
+            },
+          },
+        },
+        "/admin/docs-login/lockouts/{scope}/{value}": {
+          delete: {
+            tags: ["Admin"],
+            summary: "Clear failures and lockout of an IP or account",
+            security: [{ apiKeyAuth: [] }, { bearerAuth: [] }],
+            parameters: [
+              {
+                name: "scope",
+                in: "path",
+                required: true,
+                schema: { type: "string", enum: ["ip", "account"] },
+              },
+              {
+                name: "value",
+                in: "path",
+                required: true,
+                schema: { type: "string" },
+              },
+            ],
+            responses: {
+              200: { description: "Lockout cleared" },
+              404: { description: "No failures recorded for this key" },
+            },
+          },
+        },
         "/postcontent": {
           post: {
             tags: ["Legacy"],
@@ -0,0 +1,111 @@
+/**
+ * Manage documentation portal users from the command line
+ * Usage:
+ *   node src/utils/docs-users.js list
+ *   node src/utils/docs-users.js add <email> <viewer|operator|admin> [password]
+ *   node src/utils/docs-users.js reset-password <email> [password]
+ *   node src/utils/docs-users.js set-role <email> <viewer|operator|admin>
+ *   node src/utils/docs-users.js remove <email>
+ *
+ * Edits the user store file directly; a running server picks the changes up
+ * after a restart (use the /admin/docs-users endpoints for live changes).
+ * When no password is given, a random one is generated and printed once.
+ */
+
+import dotenv from "dotenv";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import {
+  listDocsUsers,
+  addDocsUser,
+  setDocsUserPassword,
+  setDocsUserRole,
+  removeDocsUser,
+  generatePassword,
+} from "../auth/docs-users.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, "..", "..", ".env"), quiet: true });
+
+const [command, email, ...rest] = process.argv.slice(2);
+
+function usage() {
+  console.error("Usage:");
+  console.error("  node src/utils/docs-users.js list");
+  console.error(
+    "  node src/utils/docs-users.js add <email> <viewer|operator|admin> [password]"
+  );
+  console.error(
+    "  node src/utils/docs-users.js reset-password <email> [password]"
+  );
+  console.error(
+    "  node src/utils/docs-users.js set-role <email> <viewer|operator|admin>"
+  );
+  console.error("  node src/utils/docs-users.js remove <email>");
+  process.exit(1);
+}
+
+function printPassword(password, generated) {
+  if (generated) {
+    console.log(`\n🔑 Generated password (shown once): ${password}\n`);
+  }
+}
+
+try {
+  switch (command) {
+    case "list": {
+      const users = listDocsUsers();
+      if (users.length === 0) {
+        console.log("No docs users");
+      }
+      for (const user of users) {
+        console.log(
+          `${user.email}\t${user.role}\tlast login: ${user.lastLoginAt || "never"}`
+        );
+      }
+      break;
+    }
+
+    case "add": {
+      const [role, provided] = rest;
+      if (!email || !role) usage();
+      const password = provided || generatePassword();
+      await addDocsUser({ email, role, password }, "cli");
+      printPassword(password, !provided);
+      break;
+    }
+
+    case "reset-password": {
+      const [provided] = rest;
+      if (!email) usage();
+      const password = provided || generatePassword();
+      if (!(await setDocsUserPassword(email, password))) {
+        throw new Error(`Docs user ${email} not found`);
+      }
+      printPassword(password, !provided);
+      break;
+    }
+
+    case "set-role": {
+      const [role] = rest;
+      if (!email || !role) usage();
+      if (!setDocsUserRole(email, role)) {
+        throw new Error(`Docs user ${email} not found`);
+      }
+      break;
+    }
+
+    case "remove":
+      if (!email) usage();
+      if (!removeDocsUser(email)) {
+        throw new Error(`Docs user ${email} not found`);
+      }
+      break;
+
+    default:
+      usage();
+  }
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
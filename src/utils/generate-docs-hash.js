@@ -1,6 +1,9 @@
 /**
  * Generate SHA-256 hashes for documentation authentication credentials
  * Usage: node src/utils/generate-docs-hash.js email@example.com yourpassword
+ *
+ * Legacy: these credentials are migrated to a scrypt user on first login.
+ * Manage users with src/utils/docs-users.js instead.
  */
 
 import crypto from "crypto";
@@ -0,0 +1,121 @@
+/**
+ * Generate a local CA, a server certificate and client certificates for
+ * testing mutual TLS (see src/auth/client-certs.js)
+ *
+ * Usage: node src/utils/generate-test-certs.js [outDir] [clientCN ...]
+ * Defaults: outDir "certs", one client "screen-lobby-01"
+ *
+ * Requires the openssl command (bundled with Git for Windows).
+ */
+
+import { execFileSync } from "child_process";
+import { mkdirSync, writeFileSync, existsSync, unlinkSync } from "fs";
+import { join } from "path";
+
+const [outDir = "certs", ...clientNames] = process.argv.slice(2);
+const clients = clientNames.length ? clientNames : ["screen-lobby-01"];
+const DAYS = "365";
+
+// Output is only shown when openssl fails (it is part of the thrown error)
+function openssl(...args) {
+  execFileSync("openssl", args, { stdio: "pipe" });
+}
+
+function file(name) {
+  return join(outDir, name);
+}
+
+/**
+ * Create a key and a certificate signed by the test CA
+ */
+function issue(name, subject, extensions) {
+  const extFile = file(`${name}.ext`);
+  writeFileSync(extFile, extensions);
+  openssl(
+    "req",
+    "-new",
+    "-newkey",
+    "rsa:2048",
+    "-nodes",
+    "-keyout",
+    file(`${name}.key`),
+    "-out",
+    file(`${name}.csr`),
+    "-subj",
+    subject
+  );
+  openssl(
+    "x509",
+    "-req",
+    "-in",
+    file(`${name}.csr`),
+    "-CA",
+    file("ca.crt"),
+    "-CAkey",
+    file("ca.key"),
+    "-CAcreateserial",
+    "-days",
+    DAYS,
+    "-extfile",
+    extFile,
+    "-out",
+    file(`${name}.crt`)
+  );
+  unlinkSync(extFile);
+  unlinkSync(file(`${name}.csr`));
+}
+
+mkdirSync(outDir, { recursive: true });
+
+if (existsSync(file("ca.crt"))) {
+  console.log(`ℹ️  Reusing CA in ${outDir}`);
+} else {
+  openssl(
+    "req",
+    "-x509",
+    "-newkey",
+    "rsa:2048",
+    "-nodes",
+    "-keyout",
+    file("ca.key"),
+    "-out",
+    file("ca.crt"),
+    "-days",
+    DAYS,
+    "-subj",
+    "/CN=RadioWS Test CA"
+  );
+  console.log(`✅ CA: ${file("ca.crt")}`);
+}
+
+issue(
+  "server",
+  "/CN=localhost",
+  "subjectAltName=DNS:localhost,IP:127.0.0.1\nextendedKeyUsage=serverAuth\n"
+);
+console.log(`✅ Server: ${file("server.crt")} / ${file("server.key")}`);
+
+for (const name of clients) {
+  issue(
+    name,
+    `/CN=${name}`,
+    `subjectAltName=URI:urn:radiows:client:${name}\nextendedKeyUsage=clientAuth\n`
+  );
+  console.log(`✅ Client: ${file(`${name}.crt`)} / ${file(`${name}.key`)}`);
+}
+
+console.log(`
+Server settings:
+  TLS_CERT_FILE=${file("server.crt")}
+  TLS_KEY_FILE=${file("server.key")}
+  TLS_CLIENT_CA_FILE=${file("ca.crt")}
+
+Example mapping (AUTH_CLIENT_CERTS_FILE):
+${JSON.stringify(
+  {
+    certificates: [{ subject: clients[0], role: "screen", rooms: ["radio"] }],
+  },
+  null,
+  2
+)}
+`);
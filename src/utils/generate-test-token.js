@@ -1,16 +1,20 @@
 /**
  * Generate a test token for testing purposes
- * This will generate a 100-year token for the "test-client" in "radio" room
+ * This will generate a 24-hour "control" token for the "test-client" in "radio" room
+ * (the longest lifetime the default issuance policy allows for that role)
+ *
+ * Requires an issuer key: $env:AUTH_ISSUER_KEY = "<key from AUTH_ISSUER_KEYS>"
  */
 
 import http from "http";
 
-const hundredYears = 100 * 365 * 24 * 60 * 60 * 1000;
+const oneDay = 24 * 60 * 60 * 1000;
 
 const tokenRequest = {
   clientId: "test-client",
   room: "radio",
-  expiresIn: hundredYears,
+  metadata: { role: "control" },
+  expiresIn: oneDay,
 };
 
 async function generateToken() {
@@ -26,6 +30,7 @@ async function generateToken() {
     headers: {
       "Content-Type": "application/json",
       "Content-Length": Buffer.byteLength(postData),
+      "X-API-Key": process.env.AUTH_ISSUER_KEY || "",
     },
   };
 
@@ -18,6 +18,16 @@ if (-not $env:AUTH_SECRET) {
 Write-Host "✅ AUTH_SECRET is set" -ForegroundColor Green
 Write-Host ""
 
+# POST /auth/token requires an issuer key (one of AUTH_ISSUER_KEYS on the server)
+if (-not $env:AUTH_ISSUER_KEY) {
+    Write-Host "❌ ERROR: AUTH_ISSUER_KEY not set!" -ForegroundColor Red
+    Write-Host 'Quick fix for current session: $env:AUTH_ISSUER_KEY = "your-issuer-key"' -ForegroundColor White
+    exit
+}
+
+# 100-year lifetimes exceed the default issuance policy. Point the server's
+# AUTH_ISSUANCE_POLICY_FILE at a policy whose "control" role allows them.
+
 # Configuration
 $tokens = @(
     @{
@@ -53,12 +63,14 @@ foreach ($tokenConfig in $tokens) {
         $body = @{
             clientId = $tokenConfig.clientId
             room = $tokenConfig.room
+            metadata = @{ role = "control" }
             expiresIn = $hundredYears
         } | ConvertTo-Json
 
         $response = Invoke-RestMethod `
             -Uri "http://localhost:8080/auth/token" `
             -Method POST `
+            -Headers @{ "X-API-Key" = $env:AUTH_ISSUER_KEY } `
             -Body $body `
             -ContentType "application/json"
 
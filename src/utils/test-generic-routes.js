@@ -2,8 +2,12 @@
  * Test script for /rooms/radio/post endpoint with direct authentication
  */
 
-const ADVERTISER_TOKEN =
-  "eyJjbGllbnRJZCI6ImFkdmVydGlzZXIiLCJyb29tIjoicmFkaW8iLCJleHBpcmVzQXQiOjQ5MTQxMjE1NjY0NjQsIm1ldGFkYXRhIjp7InJvbGUiOiJhZHZlcnRpc2VyIiwidmFsaWRpdHkiOiJObyBleHBpcmF0aW9uIn0sImlzc3VlZEF0IjoxNzYwNTIxNTY2NDY0fQ.K7jX9mNvL4pRnQwS8tYc1UhA6fBgE3qJsW2oZxI5kDv";
+// Advertiser token (e.g. from POST /admin/permanent-tokens or POST /auth/token)
+const ADVERTISER_TOKEN = process.env.ADVERTISER_TOKEN;
+if (!ADVERTISER_TOKEN) {
+  console.error("❌ Set ADVERTISER_TOKEN to a token with the advertiser role");
+  process.exit(1);
+}
 
 const BASE_URL = process.env.PUBLIC_BASE_URL || "http://localhost:8080";
 
@@ -64,7 +64,10 @@ async function checkHealth() {
   console.log("\n📊 Checking health endpoint for advertiser client...\n");
 
   try {
-    const response = await fetch(`${BASE_URL}/health?detailed=true`);
+    // Detailed health needs a token with the health:read scope
+    const response = await fetch(`${BASE_URL}/health?detailed=true`, {
+      headers: { Authorization: `Bearer ${process.env.MONITOR_TOKEN}` },
+    });
     const health = await response.json();
 
     if (health.rooms?.radio?.clients?.details) {
@@ -0,0 +1,93 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const dir = mkdtempSync(join(tmpdir(), "client-certs-test-"));
+process.env.AUTH_SECRET = "client-certs-test-secret";
+process.env.AUTH_CLIENT_CERTS_FILE = join(dir, "client-certs.json");
+process.env.AUTH_REVOCATION_FILE = join(dir, "revocations.json");
+process.env.AUTH_KEYRING_FILE = join(dir, "keyring.json");
+process.env.AUTH_CLIENT_CERTS = JSON.stringify([
+  { subject: "screen-*", role: "screen", rooms: ["radio"] },
+  { san: "DNS:ops.venue.example", scopes: ["health:read"], rooms: ["*"] },
+  { fingerprint: "AA:BB:CC", clientId: "no-role", rooms: ["radio"] },
+  { subject: "bridge-*", role: "unknown", rooms: ["radio"] },
+]);
+
+const { verifyClientCertificate } = await import("../src/auth/client-certs.js");
+const { revoke, RevocationType } = await import("../src/auth/revocation.js");
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function request(cert, authorized = true) {
+  return {
+    socket: {
+      encrypted: true,
+      authorized,
+      authorizationError: authorized ? null : "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+      getPeerCertificate: () => ({
+        valid_from: "Jan  1 00:00:00 2026 GMT",
+        valid_to: "Jan  1 00:00:00 2036 GMT",
+        fingerprint256: "11:22:33",
+        ...cert,
+      }),
+    },
+  };
+}
+
+test("a subject rule maps the certificate to its role's scopes", () => {
+  const payload = verifyClientCertificate(
+    request({ subject: { CN: "screen-lobby-01" }, fingerprint256: "DE:AD" })
+  );
+  assert.equal(payload.format, "certificate");
+  assert.equal(payload.clientId, "screen-lobby-01");
+  assert.deepEqual(payload.rooms, ["radio"]);
+  assert.equal(payload.tokenId, "dead");
+  assert.deepEqual(payload.scopes, ["room:join", "control:subscribe"]);
+});
+
+test("a subjectAltName rule grants exactly its scopes", () => {
+  const payload = verifyClientCertificate(
+    request({
+      subject: { CN: "ops" },
+      subjectaltname: "DNS:other.example, DNS:ops.venue.example",
+    })
+  );
+  assert.deepEqual(payload.scopes, ["health:read"]);
+});
+
+test("rules without scopes or a known role are never used", () => {
+  assert.equal(
+    verifyClientCertificate(
+      request({ subject: { CN: "x" }, fingerprint256: "aa:bb:cc" })
+    ),
+    null
+  );
+  assert.equal(
+    verifyClientCertificate(request({ subject: { CN: "bridge-1" } })),
+    null
+  );
+});
+
+test("unverified, unmatched and revoked certificates are refused", () => {
+  const cert = { subject: { CN: "screen-lobby-02" }, fingerprint256: "BE:EF" };
+  assert.equal(verifyClientCertificate(request(cert, false)), null);
+  assert.equal(
+    verifyClientCertificate(request({ subject: { CN: "laptop" } })),
+    null
+  );
+
+  assert.ok(verifyClientCertificate(request(cert)));
+  revoke(RevocationType.TOKEN, "beef");
+  assert.equal(verifyClientCertificate(request(cert)), null);
+});
@@ -0,0 +1,58 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { getClientIp } from "../src/auth/index.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginThrottle,
+  ThrottleScope,
+} from "../src/auth/login-throttle.js";
+
+function request(forwardedFor, remoteAddress = "10.0.0.1") {
+  return {
+    headers: forwardedFor ? { "x-forwarded-for": forwardedFor } : {},
+    socket: { remoteAddress },
+  };
+}
+
+afterEach(() => {
+  delete process.env.TRUSTED_PROXY_HOPS;
+});
+
+test("X-Forwarded-For is ignored unless proxies are trusted", () => {
+  assert.equal(getClientIp(request("1.2.3.4")), "10.0.0.1");
+  assert.equal(getClientIp(request(null)), "10.0.0.1");
+});
+
+test("with trusted proxies the proxy-appended entry is used", () => {
+  process.env.TRUSTED_PROXY_HOPS = "1";
+  // The client forged "1.2.3.4"; the proxy appended the real address
+  assert.equal(getClientIp(request("1.2.3.4, 198.51.100.7")), "198.51.100.7");
+  assert.equal(getClientIp(request("198.51.100.7")), "198.51.100.7");
+
+  process.env.TRUSTED_PROXY_HOPS = "2";
+  assert.equal(
+    getClientIp(request("1.2.3.4, 198.51.100.7, 10.1.1.1")),
+    "198.51.100.7"
+  );
+});
+
+test("rotating X-Forwarded-For does not escape the per-IP lockout", () => {
+  process.env.TRUSTED_PROXY_HOPS = "1";
+  process.env.DOCS_LOGIN_IP_LOCKOUT = "3";
+  process.env.DOCS_LOGIN_FREE_ATTEMPTS = "100";
+
+  for (let i = 0; i < 3; i++) {
+    const ip = getClientIp(request(`192.0.2.${i}, 198.51.100.9`));
+    recordLoginFailure(ip, `user${i}@example.com`);
+  }
+
+  const ip = getClientIp(request("192.0.2.99, 198.51.100.9"));
+  const decision = checkLoginAllowed(ip, "fresh@example.com");
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.scope, ThrottleScope.IP);
+
+  clearLoginThrottle(ThrottleScope.IP, "198.51.100.9");
+  delete process.env.DOCS_LOGIN_IP_LOCKOUT;
+  delete process.env.DOCS_LOGIN_FREE_ATTEMPTS;
+});
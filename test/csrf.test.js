@@ -0,0 +1,111 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+
+let csrf;
+
+function request(headers = {}) {
+  return { method: "POST", url: "/docs/test", headers, socket: {} };
+}
+
+function response() {
+  return {
+    status: null,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    writeHead(status) {
+      this.status = status;
+    },
+    end(body) {
+      this.body = body;
+    },
+  };
+}
+
+before(async () => {
+  mock.method(console, "warn", () => {});
+  process.env.CSRF_SECRET = "csrf-test-secret";
+  csrf = await import("../src/security/csrf.js");
+});
+
+after(() => {
+  mock.restoreAll();
+  delete process.env.CSRF_SECRET;
+});
+
+test("a matching cookie and header pass", () => {
+  const token = csrf.createCsrfToken();
+  const req = request({
+    cookie: `other=1; ${csrf.CSRF_COOKIE}=${token}`,
+    [csrf.CSRF_HEADER]: token,
+  });
+  assert.equal(csrf.verifyCsrf(req), true);
+});
+
+test("a missing or different header is rejected with 403", () => {
+  const token = csrf.createCsrfToken();
+  const cookie = `${csrf.CSRF_COOKIE}=${token}`;
+  assert.equal(csrf.verifyCsrf(request({ cookie })), false);
+  assert.equal(
+    csrf.verifyCsrf(
+      request({ cookie, [csrf.CSRF_HEADER]: csrf.createCsrfToken() })
+    ),
+    false
+  );
+
+  const res = response();
+  assert.equal(csrf.requireCsrf(request({ cookie }), res), false);
+  assert.equal(res.status, 403);
+  assert.match(res.body, /CSRF token missing or invalid/);
+});
+
+test("a token not signed with the secret is rejected", () => {
+  const [value] = csrf.createCsrfToken().split(".");
+  for (const token of [value, `${value}.forged`]) {
+    const req = request({
+      cookie: `${csrf.CSRF_COOKIE}=${token}`,
+      [csrf.CSRF_HEADER]: token,
+    });
+    assert.equal(csrf.verifyCsrf(req), false);
+  }
+});
+
+test("a header without the cookie is rejected", () => {
+  const token = csrf.createCsrfToken();
+  assert.equal(csrf.verifyCsrf(request({ [csrf.CSRF_HEADER]: token })), false);
+});
+
+test("bearer-only requests are exempt, but not when cookies are sent", () => {
+  const authorization = "Bearer abc";
+  assert.equal(csrf.verifyCsrf(request({ authorization })), true);
+  assert.equal(
+    csrf.verifyCsrf(request({ authorization, cookie: "docs_session=s" })),
+    false
+  );
+});
+
+test("ensureCsrfCookie keeps a valid cookie and replaces an invalid one", () => {
+  const token = csrf.createCsrfToken();
+  const kept = response();
+  assert.equal(
+    csrf.ensureCsrfCookie(
+      request({ cookie: `${csrf.CSRF_COOKIE}=${token}` }),
+      kept
+    ),
+    token
+  );
+  assert.deepEqual(kept.headers, {});
+
+  const replaced = response();
+  const fresh = csrf.ensureCsrfCookie(
+    request({ cookie: `${csrf.CSRF_COOKIE}=planted.value` }),
+    replaced
+  );
+  assert.notEqual(fresh, "planted.value");
+  assert.match(
+    replaced.headers["Set-Cookie"],
+    new RegExp(`^${csrf.CSRF_COOKIE}=${fresh}; SameSite=Strict; Path=/`)
+  );
+});
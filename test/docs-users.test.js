@@ -0,0 +1,75 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+let dir;
+let docsUsers;
+
+before(async () => {
+  dir = mkdtempSync(join(tmpdir(), "docs-users-"));
+  process.env.DOCS_USERS_FILE = join(dir, "docs-users.json");
+  delete process.env.DOCS_EMAIL;
+  delete process.env.DOCS_PASSWORD;
+  delete process.env.DOCS_PASSWORD_HASH;
+  docsUsers = await import("../src/auth/docs-users.js");
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("logins verify scrypt hashes without blocking the event loop", async () => {
+  await docsUsers.addDocsUser(
+    { email: "Ops@Example.com", role: "operator", password: "correct horse" },
+    "test"
+  );
+
+  let ticked = false;
+  setImmediate(() => {
+    ticked = true;
+  });
+  const user = await docsUsers.verifyDocsUser(
+    "ops@example.com",
+    "correct horse"
+  );
+
+  assert.equal(ticked, true);
+  assert.equal(user.email, "ops@example.com");
+  assert.equal(user.role, "operator");
+  assert.equal(user.passwordHash, undefined);
+});
+
+test("wrong passwords and unknown users are refused", async () => {
+  assert.equal(
+    await docsUsers.verifyDocsUser("ops@example.com", "wrong password"),
+    null
+  );
+  assert.equal(
+    await docsUsers.verifyDocsUser("nobody@example.com", "correct horse"),
+    null
+  );
+});
+
+test("password resets replace the hash", async () => {
+  await docsUsers.setDocsUserPassword("ops@example.com", "battery staple");
+  assert.equal(
+    await docsUsers.verifyDocsUser("ops@example.com", "correct horse"),
+    null
+  );
+  assert.ok(
+    await docsUsers.verifyDocsUser("ops@example.com", "battery staple")
+  );
+});
+
+test("hashes use a random salt and compare in constant time", async () => {
+  const first = await docsUsers.hashPassword("same password");
+  const second = await docsUsers.hashPassword("same password");
+
+  assert.notEqual(first, second);
+  assert.match(first, /^scrypt\$16384\$8\$1\$/);
+  assert.equal(await docsUsers.verifyPassword("same password", first), true);
+  assert.equal(await docsUsers.verifyPassword("other", first), false);
+  assert.equal(await docsUsers.verifyPassword("same password", "sha$x"), false);
+});
@@ -0,0 +1,76 @@
+import { test, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const dir = mkdtempSync(join(tmpdir(), "health-test-"));
+process.env.AUTH_SECRET = "health-test-secret";
+process.env.AUTH_ISSUED_TOKENS_FILE = join(dir, "issued-tokens.json");
+process.env.AUTH_REVOCATION_FILE = join(dir, "revocations.json");
+process.env.AUTH_KEYRING_FILE = join(dir, "keyring.json");
+
+const { createTokenForClient } = await import("../src/auth/index.js");
+const { handleHealthRequest } = await import("../src/health/index.js");
+
+async function getHealth(query, token) {
+  const req = {
+    url: `/health${query}`,
+    headers: {
+      host: "localhost",
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+    },
+  };
+  const res = {
+    writeHead(status) {
+      this.status = status;
+    },
+    end(body) {
+      this.body = JSON.parse(body);
+    },
+  };
+  await handleHealthRequest(req, res, new Map(), { clients: new Set() });
+  return res;
+}
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+
+afterEach(() => {
+  delete process.env.HEALTH_DETAILED_PUBLIC;
+});
+
+after(() => {
+  mock.restoreAll();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("basic health needs no token", async () => {
+  const res = await getHealth("");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "ok");
+});
+
+test("detailed health needs a token with health:read", async () => {
+  assert.equal((await getHealth("?detailed=true")).status, 401);
+  assert.equal((await getHealth("?detailed=true", "not-a-token")).status, 401);
+
+  const screen = createTokenForClient("screen-1", "radio", {
+    metadata: { role: "screen" },
+  });
+  const denied = await getHealth("?detailed=true", screen);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.requiredScope, "health:read");
+
+  const monitor = createTokenForClient("monitor-1", "radio", {
+    metadata: { role: "monitor" },
+  });
+  assert.equal((await getHealth("?detailed=true", monitor)).status, 200);
+});
+
+test("HEALTH_DETAILED_PUBLIC=true serves detailed health without a token", async () => {
+  process.env.HEALTH_DETAILED_PUBLIC = "true";
+  assert.equal((await getHealth("?detailed=true")).status, 200);
+});
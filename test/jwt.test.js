@@ -0,0 +1,139 @@
+import { test, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const dir = mkdtempSync(join(tmpdir(), "jwt-test-"));
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const publicPem = publicKey.export({ type: "spki", format: "pem" });
+writeFileSync(join(dir, "public.pem"), publicPem);
+
+process.env.AUTH_SECRET = "jwt-test-keyring-secret";
+process.env.AUTH_JWT_SECRET = "jwt-test-shared-secret";
+process.env.AUTH_JWT_PUBLIC_KEY_FILE = join(dir, "public.pem");
+process.env.AUTH_REVOCATION_FILE = join(dir, "revocations.json");
+process.env.AUTH_KEYRING_FILE = join(dir, "keyring.json");
+
+const { verifyJwt } = await import("../src/auth/jwt.js");
+const { verifyAuthToken, resolveScopes } = await import("../src/auth/index.js");
+const { authenticateAdmin, authenticateIssuer } =
+  await import("../src/auth/issuance.js");
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+const now = () => Math.floor(Date.now() / 1000);
+
+function hs256(claims, secret = process.env.AUTH_JWT_SECRET, alg = "HS256") {
+  const input = `${encode({ alg, typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(input)
+    .digest("base64url");
+  return `${input}.${signature}`;
+}
+
+function rs256(claims) {
+  const input = `${encode({ alg: "RS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto
+    .sign("sha256", Buffer.from(input), privateKey)
+    .toString("base64url");
+  return `${input}.${signature}`;
+}
+
+const claims = (extra = {}) => ({
+  sub: "service-1",
+  aud: "radio",
+  exp: now() + 600,
+  ...extra,
+});
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+
+afterEach(() => {
+  delete process.env.AUTH_JWT_ALLOW_NO_EXP;
+  delete process.env.AUTH_JWT_ALLOWED_SCOPES;
+});
+
+after(() => {
+  mock.restoreAll();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("HS256 and RS256 JWTs map onto the token payload", () => {
+  const payload = verifyJwt(hs256(claims({ jti: "abc", scope: "room:post" })));
+  assert.equal(payload.format, "jwt");
+  assert.equal(payload.clientId, "service-1");
+  assert.deepEqual(payload.rooms, ["radio"]);
+  assert.equal(payload.tokenId, "abc");
+  assert.deepEqual(payload.scopes, ["room:post"]);
+
+  assert.equal(verifyJwt(rs256(claims())).clientId, "service-1");
+});
+
+test("unsupported algorithms and forged signatures are rejected", () => {
+  const unsigned = `${encode({ alg: "none" })}.${encode(claims())}.`;
+  assert.equal(verifyJwt(unsigned), null);
+  assert.equal(verifyJwt(hs256(claims(), "wrong-secret")), null);
+
+  // RS256 header with an HMAC signature keyed by the public key
+  assert.equal(verifyJwt(hs256(claims(), publicPem, "RS256")), null);
+  // HS256 header keyed by the public key
+  assert.equal(verifyJwt(hs256(claims(), publicPem)), null);
+});
+
+test("expired and not-yet-valid JWTs are rejected", () => {
+  assert.equal(verifyJwt(hs256(claims({ exp: now() - 600 }))), null);
+  assert.ok(
+    verifyJwt(hs256(claims({ exp: now() - 600 })), { allowExpired: true })
+  );
+  assert.equal(verifyJwt(hs256(claims({ nbf: now() + 600 }))), null);
+});
+
+test("a JWT without exp is rejected unless explicitly allowed", () => {
+  const token = hs256(claims({ exp: undefined }));
+  assert.equal(verifyJwt(token), null);
+
+  process.env.AUTH_JWT_ALLOW_NO_EXP = "true";
+  const payload = verifyJwt(token);
+  assert.equal(payload.clientId, "service-1");
+  assert.equal(payload.expiresAt, null);
+});
+
+test("a JWT without scopes or a known role may only join", () => {
+  const payload = verifyAuthToken(hs256(claims()), "radio");
+  assert.deepEqual(resolveScopes(payload), ["room:join"]);
+
+  const monitor = verifyAuthToken(hs256(claims({ role: "monitor" })), "radio");
+  assert.deepEqual(resolveScopes(monitor), ["room:join", "control:subscribe"]);
+});
+
+test("JWT scopes are limited to the allowed scopes", () => {
+  const token = hs256(
+    claims({ scopes: ["room:post", "admin", "token:issue", "health:read"] })
+  );
+  assert.deepEqual(resolveScopes(verifyAuthToken(token, "radio")), [
+    "room:post",
+  ]);
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  assert.equal(authenticateAdmin(req), null);
+  assert.equal(authenticateIssuer(req), null);
+
+  process.env.AUTH_JWT_ALLOWED_SCOPES = "room:post, health:read";
+  assert.deepEqual(resolveScopes(verifyAuthToken(token, "radio")), [
+    "room:post",
+    "health:read",
+  ]);
+
+  process.env.AUTH_JWT_ALLOWED_SCOPES = "room:join,admin";
+  assert.deepEqual(authenticateAdmin(req), {
+    type: "token",
+    name: "service-1",
+  });
+});
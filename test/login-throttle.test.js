@@ -0,0 +1,196 @@
+import { test, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  beginLoginAttempt,
+  endLoginAttempt,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLoginThrottles,
+  clearLoginThrottle,
+  ThrottleScope,
+} from "../src/auth/login-throttle.js";
+
+const SETTINGS = [
+  "DOCS_LOGIN_FREE_ATTEMPTS",
+  "DOCS_LOGIN_BACKOFF_BASE_MS",
+  "DOCS_LOGIN_ACCOUNT_LOCKOUT",
+  "DOCS_LOGIN_IP_LOCKOUT",
+  "DOCS_LOGIN_LOCKOUT_MS",
+];
+
+let dir;
+let docsAuth;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  dir = mkdtempSync(join(tmpdir(), "login-throttle-"));
+  process.env.DOCS_USERS_FILE = join(dir, "docs-users.json");
+  process.env.DOCS_LOGIN_AUDIT_FILE = join(dir, "audit.jsonl");
+  process.env.DOCS_SESSION_STORE = "memory";
+  delete process.env.DOCS_EMAIL;
+  delete process.env.DOCS_PASSWORD;
+  delete process.env.DOCS_PASSWORD_HASH;
+  const docsUsers = await import("../src/auth/docs-users.js");
+  await docsUsers.addDocsUser(
+    { email: "erin@example.com", role: "viewer", password: "right password" },
+    "test"
+  );
+  docsAuth = await import("../src/auth/docs-auth.js");
+});
+
+after(() => {
+  mock.restoreAll();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  for (const name of SETTINGS) delete process.env[name];
+  for (const { scope, value } of listLoginThrottles()) {
+    clearLoginThrottle(scope, value);
+  }
+});
+
+test("failures within the free attempts are not throttled", () => {
+  process.env.DOCS_LOGIN_FREE_ATTEMPTS = "3";
+  recordLoginFailure("203.0.113.1", "alice@example.com");
+  recordLoginFailure("203.0.113.1", "alice@example.com");
+  assert.deepEqual(checkLoginAllowed("203.0.113.1", "alice@example.com"), {
+    allowed: true,
+  });
+});
+
+test("failures past the free attempts back off", () => {
+  process.env.DOCS_LOGIN_FREE_ATTEMPTS = "1";
+  process.env.DOCS_LOGIN_BACKOFF_BASE_MS = "60000";
+  recordLoginFailure("203.0.113.2", "bob@example.com");
+
+  const decision = checkLoginAllowed("203.0.113.3", "bob@example.com");
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.reason, "throttled");
+  assert.equal(decision.scope, ThrottleScope.ACCOUNT);
+  assert.ok(decision.retryAfterMs > 0 && decision.retryAfterMs <= 60000);
+});
+
+test("an account is locked after too many failures, from any IP", () => {
+  process.env.DOCS_LOGIN_ACCOUNT_LOCKOUT = "3";
+  process.env.DOCS_LOGIN_FREE_ATTEMPTS = "100";
+
+  let locked = [];
+  for (let i = 0; i < 3; i++) {
+    locked = recordLoginFailure(`203.0.113.${10 + i}`, "Carol@Example.com");
+  }
+  assert.deepEqual(
+    locked.map(({ scope, value }) => ({ scope, value })),
+    [{ scope: ThrottleScope.ACCOUNT, value: "carol@example.com" }]
+  );
+
+  const decision = checkLoginAllowed("198.51.100.1", "carol@example.com");
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.reason, "locked");
+  assert.equal(decision.scope, ThrottleScope.ACCOUNT);
+  assert.ok(decision.retryAfterMs > 14 * 60 * 1000);
+
+  assert.equal(
+    clearLoginThrottle(ThrottleScope.ACCOUNT, "CAROL@example.com"),
+    true
+  );
+  assert.equal(
+    checkLoginAllowed("198.51.100.1", "carol@example.com").allowed,
+    true
+  );
+});
+
+test("a successful login resets the account but not the IP", () => {
+  process.env.DOCS_LOGIN_FREE_ATTEMPTS = "0";
+  process.env.DOCS_LOGIN_BACKOFF_BASE_MS = "60000";
+  recordLoginFailure("203.0.113.20", "dave@example.com");
+  recordLoginSuccess("dave@example.com");
+
+  assert.equal(
+    checkLoginAllowed("198.51.100.2", "dave@example.com").allowed,
+    true
+  );
+  const decision = checkLoginAllowed("203.0.113.20", "dave@example.com");
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.scope, ThrottleScope.IP);
+});
+
+test("failures without a client address still lock the account", () => {
+  process.env.DOCS_LOGIN_ACCOUNT_LOCKOUT = "1";
+  const [locked] = recordLoginFailure(null, "nobody@example.com");
+  assert.equal(locked.scope, ThrottleScope.ACCOUNT);
+  assert.equal(checkLoginAllowed(null, "nobody@example.com").reason, "locked");
+});
+
+test("clearing an unknown scope throws", () => {
+  assert.throws(
+    () => clearLoginThrottle("user", "x"),
+    /Unknown throttle scope/
+  );
+});
+
+test("logins being verified count against the free attempts", () => {
+  process.env.DOCS_LOGIN_FREE_ATTEMPTS = "2";
+  assert.equal(
+    beginLoginAttempt("203.0.113.30", "frank@example.com").allowed,
+    true
+  );
+  assert.equal(
+    beginLoginAttempt("203.0.113.31", "frank@example.com").allowed,
+    true
+  );
+
+  const decision = beginLoginAttempt("203.0.113.32", "frank@example.com");
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.scope, ThrottleScope.ACCOUNT);
+
+  endLoginAttempt("203.0.113.30", "frank@example.com");
+  endLoginAttempt("203.0.113.31", "frank@example.com");
+  assert.equal(
+    checkLoginAllowed("203.0.113.32", "frank@example.com").allowed,
+    true
+  );
+});
+
+test("parallel wrong passwords are evaluated at most `lockout` times", async () => {
+  process.env.DOCS_LOGIN_ACCOUNT_LOCKOUT = "5";
+  process.env.DOCS_LOGIN_FREE_ATTEMPTS = "100";
+
+  const results = await Promise.all(
+    Array.from({ length: 60 }, (_, i) =>
+      docsAuth.authenticateDocsUser("erin@example.com", "wrong password", {
+        clientAddress: `192.0.2.${i}`,
+      })
+    )
+  );
+  const evaluated = results.filter((result) => result.status === 401);
+  assert.ok(evaluated.length <= 5, `${evaluated.length} logins evaluated`);
+  assert.equal(
+    results.filter((result) => result.status === 429).length,
+    60 - evaluated.length
+  );
+
+  const next = await docsAuth.authenticateDocsUser(
+    "erin@example.com",
+    "right password",
+    { clientAddress: "198.51.100.40" }
+  );
+  assert.equal(next.status, 429);
+});
+
+test("a correct password releases its reservation", async () => {
+  const result = await docsAuth.authenticateDocsUser(
+    "erin@example.com",
+    "right password",
+    { clientAddress: "198.51.100.41" }
+  );
+  assert.equal(result.success, true);
+  assert.deepEqual(checkLoginAllowed("198.51.100.41", "erin@example.com"), {
+    allowed: true,
+  });
+});
@@ -0,0 +1,111 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import WebSocket from "ws";
+
+const dir = mkdtempSync(join(tmpdir(), "pairing-test-"));
+process.env.AUTH_SECRET = "pairing-test-secret";
+process.env.AUTH_ISSUED_TOKENS_FILE = join(dir, "issued-tokens.json");
+process.env.AUTH_REVOCATION_FILE = join(dir, "revocations.json");
+process.env.AUTH_KEYRING_FILE = join(dir, "keyring.json");
+process.env.PUBLIC_BASE_URL = "https://radio.example.com";
+process.env.TRUSTED_PROXY_HOPS = "1";
+process.env.PAIRING_MAX_PER_IP = "2";
+process.env.PAIRING_MAX_PENDING = "3";
+
+const { handlePairingUpgrade, approvePairing, closePairingSockets } =
+  await import("../src/pairing/index.js");
+
+let server;
+let port;
+const sockets = [];
+
+before(async () => {
+  // Keep the pairing logs out of the test runner's output stream
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  server = http.createServer();
+  server.on("upgrade", handlePairingUpgrade);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  mock.restoreAll();
+  closePairingSockets();
+  sockets.forEach((ws) => ws.terminate());
+  await new Promise((resolve) => server.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Open a pairing socket; resolves with its first message, or its close code
+ */
+function pair(forwardedFor, host = `127.0.0.1:${port}`) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/pair`, {
+    headers: { "x-forwarded-for": forwardedFor, host },
+  });
+  sockets.push(ws);
+  const closed = new Promise((resolve) =>
+    ws.on("close", (code) => resolve(code))
+  );
+  const first = new Promise((resolve) => {
+    ws.once("message", (data) => resolve(JSON.parse(data)));
+    ws.once("close", (code) => resolve({ closed: code }));
+  });
+  return { ws, first, closed };
+}
+
+let oldest;
+
+test("rotating X-Forwarded-For does not buy more pairing codes", async () => {
+  oldest = pair("10.9.9.1, 203.0.113.1");
+  assert.equal((await oldest.first).type, "pairing-code");
+  assert.equal(
+    (await pair("10.9.9.2, 203.0.113.1").first).type,
+    "pairing-code"
+  );
+
+  const third = await pair("10.9.9.3, 203.0.113.1").first;
+  assert.deepEqual(third, { closed: 4010 });
+});
+
+test("a full queue frees the oldest slot of the busiest IP", async () => {
+  // 203.0.113.1 holds 2 of the 3 slots after the previous test
+  assert.equal((await pair("203.0.113.2").first).type, "pairing-code");
+
+  const newcomer = await pair("203.0.113.3").first;
+  assert.equal(newcomer.type, "pairing-code");
+  assert.equal(await oldest.closed, 4010);
+
+  // Every IP now holds one code: nobody is evicted for a fourth IP
+  assert.deepEqual(await pair("203.0.113.4").first, { closed: 4010 });
+});
+
+test("paired screens get a URL on PUBLIC_BASE_URL, not the request Host", async () => {
+  closePairingSockets();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const screen = pair("203.0.113.5", "attacker.example");
+  const { code } = await screen.first;
+  const paired = new Promise((resolve) =>
+    screen.ws.once("message", (data) => resolve(JSON.parse(data)))
+  );
+
+  const result = approvePairing(
+    code,
+    { clientId: "lobby-1", room: "radio", metadata: { role: "screen" } },
+    { type: "admin", name: "test" }
+  );
+  assert.equal(result.allowed, true);
+
+  const message = await paired;
+  assert.equal(message.type, "paired");
+  assert.ok(
+    message.wsUrl.startsWith("wss://radio.example.com/rooms/radio?token="),
+    message.wsUrl
+  );
+});
@@ -0,0 +1,65 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const lobbyToken = `pt_${crypto.randomBytes(32).toString("base64url")}`;
+
+const dir = mkdtempSync(join(tmpdir(), "permanent-tokens-test-"));
+const configPath = join(dir, "permanent-tokens.config.json");
+writeFileSync(
+  configPath,
+  JSON.stringify({
+    tokens: [
+      {
+        id: "lobby-screen",
+        role: "screen",
+        rooms: ["radio"],
+        tokenHash: crypto.createHash("sha256").update(lobbyToken).digest("hex"),
+      },
+    ],
+  })
+);
+process.env.AUTH_SECRET = "permanent-tokens-test-secret";
+process.env.AUTH_PERMANENT_TOKENS_CONFIG = configPath;
+process.env.AUTH_PERMANENT_TOKENS_FILE = join(dir, "state.json");
+process.env.AUTH_REVOCATION_FILE = join(dir, "revocations.json");
+process.env.AUTH_KEYRING_FILE = join(dir, "keyring.json");
+
+const { findPermanentToken, getConfiguredTokenValue } =
+  await import("../src/auth/permanent-tokens.js");
+const { verifyAuthToken } = await import("../src/auth/index.js");
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("an entry configured by tokenHash matches its token", () => {
+  const entry = findPermanentToken(lobbyToken);
+  assert.equal(entry.id, "lobby-screen");
+  assert.equal(entry.token, null);
+  assert.equal(getConfiguredTokenValue("lobby-screen"), null);
+
+  const payload = verifyAuthToken(lobbyToken, "radio");
+  assert.equal(payload.clientId, "lobby-screen");
+});
+
+test("the example config lists token hashes, not tokens", () => {
+  const example = JSON.parse(
+    readFileSync(
+      new URL("../src/auth/permanent-tokens.example.json", import.meta.url)
+    )
+  );
+  for (const entry of example.tokens) {
+    assert.equal(entry.token, undefined);
+    assert.ok(entry.tokenHash);
+  }
+});
@@ -0,0 +1,117 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  createPipeline,
+  registerPlugin,
+  runPipeline,
+} from "../src/plugins/index.js";
+
+const context = {
+  roomName: "lab",
+  transport: "websocket",
+  socket: null,
+  authPayload: { clientId: "screen-1", metadata: { role: "player" } },
+  clientAddress: "203.0.113.5",
+};
+
+before(() => {
+  mock.method(console, "error", () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+test("steps run in order and can transform and annotate", async () => {
+  registerPlugin("tag", (options) => async (message, stepContext) => {
+    stepContext.annotations[options.key] = true;
+    return {
+      message: { ...message, seen: [...(message.seen || []), options.key] },
+    };
+  });
+  const pipeline = createPipeline(
+    [
+      { name: "tag", options: { key: "first" } },
+      { name: "tag", options: { key: "second" } },
+      "enrich-sender",
+    ],
+    "lab"
+  );
+
+  const result = await runPipeline(pipeline, { type: "say" }, context);
+
+  assert.deepEqual(result.message, {
+    type: "say",
+    seen: ["first", "second"],
+    sender: { clientId: "screen-1", anonymous: false, role: "player" },
+  });
+  assert.deepEqual(result.annotations, { first: true, second: true });
+});
+
+test("a reject short-circuits the remaining steps", async () => {
+  let reached = false;
+  registerPlugin("after", () => async () => {
+    reached = true;
+  });
+  const pipeline = createPipeline(
+    [{ name: "rate-limit", options: { messages: 1, perMs: 60000 } }, "after"],
+    "lab"
+  );
+
+  assert.ok((await runPipeline(pipeline, { type: "say" }, context)).message);
+  reached = false;
+  const result = await runPipeline(pipeline, { type: "say" }, context);
+
+  assert.equal(result.rejected, true);
+  assert.equal(result.status, 429);
+  assert.equal(result.plugin, "rate-limit");
+  assert.equal(reached, false);
+});
+
+test("a throwing plugin rejects with 500 instead of throwing", async () => {
+  registerPlugin("explode", () => async () => {
+    throw new Error("boom");
+  });
+  const pipeline = createPipeline(["explode"], "lab");
+
+  const result = await runPipeline(pipeline, { type: "say" }, context);
+
+  assert.deepEqual(result, {
+    rejected: true,
+    error: "Plugin failed",
+    status: 500,
+    plugin: "explode",
+  });
+});
+
+test("unknown plugins fail when the pipeline is built", () => {
+  assert.throws(() => createPipeline(["nope"], "lab"), /unknown plugin "nope"/);
+});
+
+test("audit-log appends entries to its file without blocking", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "audit-log-"));
+  const file = join(dir, "audit", "room.jsonl");
+  const pipeline = createPipeline(
+    [{ name: "audit-log", options: { file } }],
+    "lab"
+  );
+
+  await runPipeline(pipeline, { type: "say", text: "one" }, context);
+  await runPipeline(pipeline, { type: "say", text: "two" }, context);
+
+  // Written asynchronously: wait for the stream to flush
+  let lines = [];
+  for (let i = 0; i < 50 && lines.length < 2; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    lines = readFileSync(file, "utf-8").split("\n").filter(Boolean);
+  }
+  assert.deepEqual(
+    lines.map((line) => JSON.parse(line).message.text),
+    ["one", "two"]
+  );
+  assert.equal(JSON.parse(lines[0]).clientId, "screen-1");
+  rmSync(dir, { recursive: true, force: true });
+});
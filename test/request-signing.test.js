@@ -0,0 +1,86 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+process.env.AUTH_SIGNING_KEYS = "campaigns:signing-secret";
+process.env.AUTH_NONCE_CACHE_SIZE = "3";
+
+const { computeSignature, verifySignedRequest } =
+  await import("../src/auth/request-signing.js");
+
+before(() => {
+  mock.method(console, "warn", () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+function signedRequest(body, options = {}) {
+  const t = options.t ?? Math.floor(Date.now() / 1000);
+  const nonce = options.nonce ?? crypto.randomBytes(8).toString("hex");
+  const secret = options.secret ?? "signing-secret";
+  const v1 = computeSignature(secret, t, nonce, body);
+  return {
+    headers: {
+      "x-signature": `keyId=${options.keyId ?? "campaigns"},t=${t},nonce=${nonce},v1=${v1}`,
+    },
+  };
+}
+
+const body = JSON.stringify({ type: "post", data: {} });
+
+test("a correctly signed body is accepted with the integration's scopes", () => {
+  const result = verifySignedRequest(signedRequest(body), body, "radio");
+  assert.equal(result.payload.clientId, "campaigns");
+  assert.deepEqual(result.payload.scopes, ["room:post"]);
+});
+
+test("tampered bodies, wrong secrets, unknown keys and old timestamps fail", () => {
+  const req = signedRequest(body);
+  assert.equal(
+    verifySignedRequest(req, body.replace("post", "p0st"), "radio").error,
+    "Invalid signature"
+  );
+  assert.equal(
+    verifySignedRequest(signedRequest(body, { secret: "nope" }), body, "radio")
+      .error,
+    "Invalid signature"
+  );
+  assert.equal(
+    verifySignedRequest(signedRequest(body, { keyId: "who" }), body, "radio")
+      .error,
+    "Unknown signing key"
+  );
+  const stale = Math.floor(Date.now() / 1000) - 3600;
+  assert.equal(
+    verifySignedRequest(signedRequest(body, { t: stale }), body, "radio").error,
+    "Signature timestamp outside the tolerance window"
+  );
+});
+
+test("a replayed request is rejected", () => {
+  const req = signedRequest(body, { nonce: "replay-me" });
+  assert.ok(verifySignedRequest(req, body, "radio").payload);
+  assert.deepEqual(verifySignedRequest(req, body, "radio"), {
+    error: "Nonce already used",
+    status: 401,
+  });
+});
+
+test("a full nonce cache refuses new requests instead of forgetting live nonces", () => {
+  // Two nonces are cached by now; the third fills the cache
+  const last = signedRequest(body, { nonce: "fills-the-cache" });
+  assert.ok(verifySignedRequest(last, body, "radio").payload);
+
+  const refused = verifySignedRequest(signedRequest(body), body, "radio");
+  assert.equal(refused.status, 503);
+  assert.ok(refused.retryAfterMs > 0);
+
+  // Earlier nonces are still remembered
+  const replay = signedRequest(body, { nonce: "replay-me" });
+  assert.equal(
+    verifySignedRequest(replay, body, "radio").error,
+    "Nonce already used"
+  );
+});
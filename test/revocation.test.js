@@ -0,0 +1,75 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const dir = mkdtempSync(join(tmpdir(), "revocation-test-"));
+process.env.AUTH_SECRET = "revocation-test-secret";
+process.env.AUTH_ISSUED_TOKENS_FILE = join(dir, "issued-tokens.json");
+process.env.AUTH_REVOCATION_FILE = join(dir, "revocations.json");
+process.env.AUTH_KEYRING_FILE = join(dir, "keyring.json");
+
+const { createTokenForClient, verifyAuthToken, getTokenId } =
+  await import("../src/auth/index.js");
+const { revoke, unrevoke, RevocationType } =
+  await import("../src/auth/revocation.js");
+const { issueToken } = await import("../src/auth/issuance.js");
+
+const issuer = { type: "admin", name: "test" };
+
+before(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("a revoked token id stops verifying; un-revoking restores it", () => {
+  const token = createTokenForClient("screen-1", "radio");
+  const tokenId = getTokenId(token, verifyAuthToken(token));
+
+  revoke(RevocationType.TOKEN, tokenId);
+  assert.equal(verifyAuthToken(token), null);
+  assert.equal(
+    verifyAuthToken(token, null, { checkRevocation: false }).clientId,
+    "screen-1"
+  );
+
+  unrevoke(RevocationType.TOKEN, tokenId);
+  assert.equal(verifyAuthToken(token).clientId, "screen-1");
+});
+
+test("revoking a client id rejects all of its tokens", () => {
+  const first = createTokenForClient("screen-2", "radio");
+  const second = createTokenForClient("screen-2", "chat");
+  const other = createTokenForClient("screen-3", "radio");
+
+  revoke(RevocationType.CLIENT, "screen-2");
+  assert.equal(verifyAuthToken(first), null);
+  assert.equal(verifyAuthToken(second), null);
+  assert.equal(verifyAuthToken(other).clientId, "screen-3");
+  unrevoke(RevocationType.CLIENT, "screen-2");
+});
+
+test("issuing a token to a revoked client is refused with 403", () => {
+  const data = {
+    clientId: "screen-4",
+    room: "radio",
+    metadata: { role: "screen" },
+  };
+  assert.equal(issueToken(data, issuer).allowed, true);
+
+  revoke(RevocationType.CLIENT, "screen-4");
+  assert.deepEqual(issueToken(data, issuer), {
+    allowed: false,
+    status: 403,
+    error: "Client revoked",
+  });
+
+  unrevoke(RevocationType.CLIENT, "screen-4");
+  assert.equal(issueToken(data, issuer).allowed, true);
+});
@@ -0,0 +1,162 @@
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { pathToFileURL } from "url";
+import { roomRegistry } from "../src/rooms/index.js";
+import { BaseRoomHandler } from "../src/rooms/BaseRoomHandler.js";
+
+const baseUrl = pathToFileURL(
+  join(process.cwd(), "src/rooms/BaseRoomHandler.js")
+).href;
+
+class CurrentHandler extends BaseRoomHandler {
+  constructor(roomName) {
+    super(roomName);
+    this.disposed = false;
+  }
+
+  async exportState() {
+    return { marker: this.roomName };
+  }
+
+  async dispose() {
+    this.disposed = true;
+    await super.dispose();
+  }
+}
+
+let dir;
+
+function writeHandlerModule(file, body) {
+  const modulePath = join(dir, file);
+  writeFileSync(
+    modulePath,
+    `import { BaseRoomHandler } from ${JSON.stringify(baseUrl)};\n${body}\n`
+  );
+  return modulePath;
+}
+
+// Each test gets its own class, since reloads replace rooms by class
+function registerRooms(name, rooms) {
+  const HandlerClass = class extends CurrentHandler {};
+  roomRegistry.handlerClasses.set(name, HandlerClass);
+  return rooms.map((room) => {
+    const handler = new HandlerClass(room);
+    roomRegistry.registerHandler(room, handler);
+    return handler;
+  });
+}
+
+before(() => {
+  dir = mkdtempSync(join(tmpdir(), "room-reload-"));
+  // Keep the reload logs out of the test runner's output stream
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("a failing importState keeps every room on the previous handler", async () => {
+  const modulePath = writeHandlerModule(
+    "flaky.js",
+    `let built = 0;
+export class FlakyHandler extends BaseRoomHandler {
+  async importState() {
+    built++;
+    if (built === 2) throw new Error("state mismatch");
+  }
+}`
+  );
+  roomRegistry.handlerModules.set("flaky", modulePath);
+  const previous = registerRooms("flaky", ["flaky-a", "flaky-b"]);
+
+  const results = await roomRegistry.reloadHandlers(["flaky"]);
+
+  assert.deepEqual(results, [{ handler: "flaky", error: "state mismatch" }]);
+  assert.equal(
+    roomRegistry.handlerClasses.get("flaky"),
+    previous[0].constructor
+  );
+  assert.equal(roomRegistry.getHandler("flaky-a"), previous[0]);
+  assert.equal(roomRegistry.getHandler("flaky-b"), previous[1]);
+  assert.ok(previous.every((handler) => !handler.disposed));
+});
+
+test("a throwing constructor is reported instead of rejecting", async () => {
+  const modulePath = writeHandlerModule(
+    "broken.js",
+    `export class BrokenHandler extends BaseRoomHandler {
+  constructor(roomName) {
+    super(roomName);
+    throw new Error("constructor failed");
+  }
+}`
+  );
+  roomRegistry.handlerModules.set("broken", modulePath);
+  const [previous] = registerRooms("broken", ["broken-a"]);
+
+  const results = await roomRegistry.reloadHandlers(["broken"]);
+
+  assert.deepEqual(results, [
+    { handler: "broken", error: "constructor failed" },
+  ]);
+  assert.equal(roomRegistry.getHandler("broken-a"), previous);
+});
+
+test("a successful reload swaps every room and disposes the old handlers", async () => {
+  const modulePath = writeHandlerModule(
+    "good.js",
+    `export class GoodHandler extends BaseRoomHandler {
+  async importState(state) {
+    this.imported = state;
+  }
+}`
+  );
+  roomRegistry.handlerModules.set("good", modulePath);
+  const previous = registerRooms("good", ["good-a", "good-b"]);
+  const replaced = [];
+  roomRegistry.onHandlerReplaced((room) => replaced.push(room));
+
+  const [result] = await roomRegistry.reloadHandlers(["good"]);
+
+  assert.deepEqual(result, {
+    handler: "good",
+    rooms: [
+      { room: "good-a", stateMigrated: true },
+      { room: "good-b", stateMigrated: true },
+    ],
+  });
+  assert.equal(
+    roomRegistry.getHandler("good-a").constructor.name,
+    "GoodHandler"
+  );
+  assert.deepEqual(roomRegistry.getHandler("good-b").imported, {
+    marker: "good-b",
+  });
+  assert.deepEqual(replaced, ["good-a", "good-b"]);
+  assert.ok(previous.every((handler) => handler.disposed));
+});
+
+test("releaseHandler disposes a destroyed room's default handler only", async () => {
+  const [registered] = registerRooms("kept", ["kept-a"]);
+  await roomRegistry.releaseHandler("kept-a", registered);
+  assert.equal(registered.disposed, false);
+
+  const first = roomRegistry.getHandler("unregistered-room");
+  assert.notEqual(roomRegistry.getHandler("unregistered-room"), first);
+
+  let disposed = false;
+  first.scheduler.setTimeout(() => {}, 60000);
+  const dispose = first.dispose.bind(first);
+  first.dispose = async () => {
+    disposed = true;
+    await dispose();
+  };
+  await roomRegistry.releaseHandler("unregistered-room", first);
+  assert.equal(disposed, true);
+});
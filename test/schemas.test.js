@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  HTTP_POST_SCHEMA,
+  compileSchema,
+  schemaForType,
+  validateSchema,
+} from "../src/schemas/index.js";
+import { BaseRoomHandler } from "../src/rooms/BaseRoomHandler.js";
+import { RadioHandler } from "../src/rooms/radio/index.js";
+
+test("errors point at the offending values", () => {
+  const schema = compileSchema({
+    type: "object",
+    required: ["text"],
+    properties: {
+      text: { type: "string", maxLength: 3 },
+      tags: { type: "array", items: { type: "string", pattern: "^[a-z]+$" } },
+      "a/b": { type: "number" },
+    },
+    additionalProperties: false,
+  });
+
+  const errors = validateSchema(schema, {
+    tags: ["ok", "NO"],
+    "a/b": "x",
+    extra: 1,
+  });
+
+  assert.deepEqual(errors, [
+    { pointer: "/text", keyword: "required", message: "is required" },
+    { pointer: "/tags/1", keyword: "pattern", message: "must match ^[a-z]+$" },
+    { pointer: "/a~1b", keyword: "type", message: "must be number" },
+    {
+      pointer: "/extra",
+      keyword: "additionalProperties",
+      message: "is not allowed",
+    },
+  ]);
+});
+
+test("the HTTP envelope reports every missing or malformed field", () => {
+  assert.deepEqual(validateSchema(HTTP_POST_SCHEMA, null), [
+    { pointer: "", keyword: "type", message: "must be object" },
+  ]);
+  assert.deepEqual(
+    validateSchema(HTTP_POST_SCHEMA, { type: 1, timestamp: "soon", data: [] }),
+    [
+      { pointer: "/type", keyword: "type", message: "must be string" },
+      {
+        pointer: "/timestamp",
+        keyword: "format",
+        message: "must be an ISO-8601 date string",
+      },
+      { pointer: "/data", keyword: "type", message: "must be object" },
+    ]
+  );
+});
+
+test("invalid patterns and types are rejected when compiled", () => {
+  assert.throws(
+    () => compileSchema({ properties: { id: { pattern: "(" } } }),
+    /schema\.properties\.id\.pattern/
+  );
+  assert.throws(() => compileSchema({ type: "text" }), /unknown type "text"/);
+});
+
+test("registerSchema rejects a bad schema instead of failing per message", () => {
+  const handler = new BaseRoomHandler("lab");
+  assert.throws(() =>
+    handler.registerSchema("say", { properties: { text: { pattern: "[" } } })
+  );
+  assert.deepEqual(handler.schemas.websocket, {});
+});
+
+test("schemaForType ignores inherited keys and falls back to *", () => {
+  const fallback = { type: "object" };
+  assert.equal(schemaForType({}, { type: "constructor" }), null);
+  assert.equal(schemaForType({ "*": fallback }, { type: "x" }), fallback);
+});
+
+test("radio content ids keep the non-empty contract", () => {
+  const radio = new RadioHandler("radio-test");
+  const post = (id) => ({
+    type: "post",
+    timestamp: new Date().toISOString(),
+    data: { content: { id } },
+  });
+
+  assert.equal(radio.validateSchema(post("6564"), "http"), null);
+  assert.equal(radio.validateSchema(post(6564), "http"), null);
+  // Every truthy id stays valid, as before the schema existed
+  for (const id of [-5, 0.5]) {
+    assert.equal(radio.validateSchema(post(id), "http"), null, `id ${id}`);
+  }
+  for (const id of [0, ""]) {
+    assert.ok(radio.validateSchema(post(id), "http"), `id ${id} accepted`);
+  }
+});